@@ -0,0 +1,28 @@
+// Puts the on-device embedding model and its runtime in models/, where embeddings.js loads them from the
+// extension package: the quantized all-MiniLM-L6-v2 files from Hugging Face, and the transformers.js build
+// and ONNX Runtime WASM files from node_modules (run npm install first).
+
+import { copyFile, mkdir, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+
+const MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
+const MODEL_FILES = ["config.json", "tokenizer.json", "tokenizer_config.json", "special_tokens_map.json", "onnx/model_quantized.onnx"];
+const RUNTIME_DIR = "node_modules/@huggingface/transformers/dist";
+const RUNTIME_FILES = ["transformers.min.js", "ort-wasm-simd-threaded.jsep.mjs", "ort-wasm-simd-threaded.jsep.wasm"];
+
+for (const file of MODEL_FILES) {
+    const response = await fetch(`https://huggingface.co/${MODEL_NAME}/resolve/main/${file}`);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${file}: ${response.status} ${response.statusText}`);
+    }
+    const target = join("models", MODEL_NAME, file);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, Buffer.from(await response.arrayBuffer()));
+    console.log(`Downloaded ${target}`);
+}
+
+await mkdir("models/transformers", { recursive: true });
+for (const file of RUNTIME_FILES) {
+    await copyFile(join(RUNTIME_DIR, file), join("models/transformers", file));
+    console.log(`Copied models/transformers/${file}`);
+}
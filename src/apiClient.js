@@ -0,0 +1,128 @@
+// HTTP layer shared by the LLM providers. Rate-limited (429) and failed (5xx) requests are retried with
+// exponential backoff, waiting as long as Retry-After or Gemini's RetryInfo asks; error responses become
+// ApiErrors whose kind says what went wrong, so the popup can say more than "the API failed".
+
+export const DEFAULT_RETRY = { retries: 3, baseDelayMs: 1000, maxDelayMs: 30000 };
+
+// kind is one of:
+//   invalidKey      the key is missing, malformed, revoked or not allowed to use the model
+//   quotaExhausted  a daily or billing quota is used up; retrying won't help until it resets
+//   rateLimited     too many requests right now (retryAfterMs says how long to wait, when known)
+//   serverError     a 5xx from the provider
+//   network         no response at all
+//   requestFailed   any other error response
+export class ApiError extends Error {
+    constructor(message, { kind, status = null, retryAfterMs = null, retries = 0 } = {}) {
+        super(message);
+        this.name = "ApiError";
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.retries = retries;
+    }
+}
+
+// "34s" or "1.5s", as in Gemini's RetryInfo
+function parseDuration(text) {
+    const match = typeof text === "string" && text.match(/^(\d+(?:\.\d+)?)s$/);
+    return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+// Error details from a response body. Gemini sends
+//   {"error": {"code", "message", "status", "details": [{"@type": ".../google.rpc.ErrorInfo", "reason"},
+//     {"@type": ".../google.rpc.QuotaFailure", "violations": [{"quotaId"}]}, {"@type": ".../google.rpc.RetryInfo", "retryDelay"}]}}
+// and OpenAI-compatible servers {"error": {"message", "type", "code"}}. Anything else is kept as plain text.
+export function parseErrorBody(text) {
+    let error;
+    try {
+        error = JSON.parse(text).error;
+    } catch (parseError) {
+        // Not JSON
+    }
+    if (!error || typeof error !== "object") {
+        return { message: text.trim().slice(0, 300), reasons: [], quotaIds: [], retryDelayMs: null };
+    }
+
+    const details = Array.isArray(error.details) ? error.details : [];
+    const ofType = (type) => details.filter((detail) => String(detail["@type"] || "").endsWith(type));
+    return {
+        message: String(error.message || text).slice(0, 300),
+        reasons: [error.status, error.code, error.type, ...ofType("ErrorInfo").map((detail) => detail.reason)].filter((reason) => typeof reason === "string"),
+        quotaIds: ofType("QuotaFailure").flatMap((detail) => (detail.violations || []).map((violation) => String(violation.quotaId || violation.quotaMetric || ""))),
+        retryDelayMs: ofType("RetryInfo").map((detail) => parseDuration(detail.retryDelay)).find((delay) => delay !== null) ?? null,
+    };
+}
+
+export function classifyError(status, { reasons = [], quotaIds = [] } = {}) {
+    if (status === 401 || status === 403 || reasons.some((reason) => ["API_KEY_INVALID", "UNAUTHENTICATED", "PERMISSION_DENIED", "invalid_api_key"].includes(reason))) {
+        return "invalidKey";
+    }
+    if (status === 429) {
+        // Per-day and billing quotas don't come back within a retry
+        const exhausted = reasons.includes("insufficient_quota") || quotaIds.some((quotaId) => /PerDay|FreeTier.*Day/i.test(quotaId));
+        return exhausted ? "quotaExhausted" : "rateLimited";
+    }
+    if (status >= 500) return "serverError";
+    return "requestFailed";
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterHeader(response, now) {
+    const value = response.headers.get("Retry-After");
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+export async function apiErrorFrom(response, { now = Date.now() } = {}) {
+    const details = parseErrorBody(await response.text());
+    return new ApiError(`API call failed: ${response.status} - ${details.message}`, {
+        kind: classifyError(response.status, details),
+        status: response.status,
+        retryAfterMs: retryAfterHeader(response, now) ?? details.retryDelayMs,
+    });
+}
+
+// Resolves after ms, or rejects with the signal's reason when it aborts first
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener(
+            "abort",
+            () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            },
+            { once: true }
+        );
+    });
+}
+
+// Send a request through transport, retrying 429s and 5xx. Resolves to { response, retries } for an OK
+// response; throws an ApiError otherwise, and aborts (options.signal) unchanged. A wait the server asks for
+// that is longer than retry.maxDelayMs is not sat out: the error is thrown with its retryAfterMs.
+export async function sendRequest(transport, url, options, { retry = DEFAULT_RETRY, sleep = wait } = {}) {
+    const { retries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...retry };
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await transport(url, options);
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            throw new ApiError(`Network error: ${error.message}`, { kind: "network", retries: attempt });
+        }
+        if (response.ok) {
+            return { response, retries: attempt };
+        }
+
+        const error = await apiErrorFrom(response);
+        error.retries = attempt;
+        const delay = error.retryAfterMs ?? Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+        if (!["rateLimited", "serverError"].includes(error.kind) || attempt >= retries || delay > maxDelayMs) {
+            throw error;
+        }
+        await sleep(delay, options.signal);
+    }
+}
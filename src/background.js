@@ -1,42 +1,253 @@
 // Background service worker for Site Sleuth extension
 
+import { HistoryIndex } from "./historyIndex.js";
+import { IndexHistorySource } from "./historySources.js";
+import { MultiSource } from "./pageSources.js";
+import { learnAdjustments, loadFeedback } from "./personalization.js";
+import { loadPins } from "./pins.js";
+import { compileBlocklist, isBlocked } from "./privacy.js";
+import { ResultCache } from "./resultCache.js";
+import { SearchEngine } from "./searchEngine.js";
+import { loadSettings } from "./settings.js";
+import { parseTimeRange } from "./timeRange.js";
+import { recordUsage } from "./usage.js";
+
+const SUGGESTION_COUNT = 5;
+const CONTENT_SCRIPT_ID = "page-content";
+const CONTENT_ORIGINS = ["https://*/*", "http://*/*"];
+
+const historyIndex = new HistoryIndex();
+// Shared with the popup through chrome.storage.local; entries go when their pages leave history
+const resultCache = new ResultCache(chrome.storage.local);
+
+// Nothing touches the index until the user's blocklist and lookback are loaded
+const indexReady = loadSettings().then((settings) => {
+    historyIndex.setBlocklist(compileBlocklist(settings.blocklist));
+    historyIndex.setRetentionDays(settings.lookbackDays);
+});
+
+// Seeding reads a visit list per page, which takes a while on a large profile, so it runs whenever the
+// worker starts rather than on the first search. Searches go to chrome.history until it is done.
+function seedInBackground() {
+    indexReady.then(() => historyIndex.ensureSeeded()).catch((error) => console.error("Failed to seed history index", error));
+}
+
+seedInBackground();
+chrome.runtime.onStartup.addListener(seedInBackground);
+
+// Page content capture is opt-in: the content script is only registered while the setting is on
+// and the user has granted access to sites. Resolves to { enabled, optOut } for the message handler.
+async function applyContentSettings(settings) {
+    const granted = await chrome.permissions.contains({ origins: CONTENT_ORIGINS });
+    const enabled = settings.indexPageContent && granted;
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+
+    if (enabled && registered.length === 0) {
+        await chrome.scripting.registerContentScripts([{ id: CONTENT_SCRIPT_ID, matches: CONTENT_ORIGINS, js: ["src/contentScript.js"], runAt: "document_idle", persistAcrossSessions: true }]);
+    } else if (!enabled && registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+    return { enabled, optOut: compileBlocklist(settings.contentOptOut) };
+}
+
+function refreshContentPolicy() {
+    contentPolicy = loadSettings().then(applyContentSettings);
+    contentPolicy.catch((error) => console.error("Failed to update page content capture", error));
+    return contentPolicy;
+}
+
+let contentPolicy = null;
+refreshContentPolicy();
+
+chrome.permissions.onAdded.addListener(refreshContentPolicy);
+chrome.permissions.onRemoved.addListener(refreshContentPolicy);
+
+// The omnibox runs the same engine as the popup, reading the index directly
+let enginePromise = null;
+
+function getEngine() {
+    if (!enginePromise) {
+        enginePromise = Promise.all([loadSettings(), loadPins(), loadFeedback()]).then(
+            ([settings, pins, feedback]) =>
+                new SearchEngine({
+                    settings,
+                    historySource: new MultiSource(new IndexHistorySource(historyIndex, { maxResults: settings.maxResults, ready: indexReady })),
+                    pinnedUrls: new Set(pins.map((pin) => pin.url)),
+                    personalization: learnAdjustments(feedback),
+                    onUsage: recordUsage,
+                    resultCache,
+                })
+        );
+    }
+    return enginePromise;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    // Pins and result feedback change the keyword ranking
+    if (areaName === "local" && (changes.pinnedPages || changes.rankingFeedback)) {
+        enginePromise = null;
+    }
+    if (areaName !== "sync") return;
+
+    // Any settings change (keys, providers, limits) needs a fresh engine
+    enginePromise = null;
+    if (changes.lookbackDays) {
+        // A longer lookback seeds the extra days; a shorter one drops them
+        historyIndex.setRetentionDays(changes.lookbackDays.newValue);
+        indexReady
+            .then(() => historyIndex.ensureSeeded())
+            .then(() => historyIndex.prune())
+            .catch((error) => console.error("Failed to apply history retention", error));
+    }
+    if (changes.blocklist) {
+        historyIndex.setBlocklist(compileBlocklist(changes.blocklist.newValue));
+        historyIndex.purgeBlocked().catch((error) => console.error("Failed to purge blocked pages", error));
+        resultCache.clear();
+    }
+    if (changes.indexPageContent || changes.contentOptOut) {
+        // Turning capture off or opting a site out also deletes the text already stored
+        refreshContentPolicy()
+            .then((policy) => historyIndex.removeContent(policy.enabled ? (url) => isBlocked(url, policy.optOut) : undefined))
+            .catch((error) => console.error("Failed to remove page content", error));
+    }
+});
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener(() => {
     console.log("Site Sleuth extension installed");
+    seedInBackground();
+});
+
+// Keep the index current as pages are visited or removed
+chrome.history.onVisited.addListener((historyItem) => {
+    indexReady.then(() => historyIndex.recordVisit(historyItem)).catch((error) => console.error("Failed to index visit", error));
+});
+
+// New pages are usually indexed before they have a title; take it from the tab once it loads
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (!changeInfo.title || tab.incognito || !tab.url) return;
+    indexReady.then(() => historyIndex.setTitle(tab.url, changeInfo.title)).catch((error) => console.error("Failed to update page title", error));
 });
 
-// Handle any background tasks if needed
+chrome.history.onVisitRemoved.addListener((removed) => {
+    const update = removed.allHistory ? historyIndex.clear() : historyIndex.removeUrls(removed.urls || []);
+    update.catch((error) => console.error("Failed to remove visits from index", error));
+    // Cached results must not bring deleted pages back
+    if (removed.allHistory) {
+        resultCache.clear();
+    } else {
+        resultCache.removeUrls(removed.urls || []);
+    }
+});
+
+// Message API for the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === "getHistory") {
-        // Handle history requests if needed from content scripts
-        getHistoryData(message.days || 30).then(sendResponse);
+    if (message.type === "queryHistory") {
+        // Without items the popup searches chrome.history itself
+        indexReady
+            .then(() => historyIndex.covers(message.startTime))
+            .then((covered) => (covered ? historyIndex.query({ startTime: message.startTime, endTime: message.endTime, maxResults: message.maxResults }) : null))
+            .then((items) => sendResponse(items ? { items } : { covered: false }))
+            .catch((error) => sendResponse({ error: error.message || String(error) }));
         return true; // Will respond asynchronously
     }
+
+    // Text captured by the content script; sender.url is the page it ran in
+    if (message.type === "pageContent" && sender.tab && !sender.tab.incognito && sender.frameId === 0) {
+        Promise.all([contentPolicy, indexReady])
+            .then(([policy]) => {
+                if (policy.enabled && !isBlocked(sender.url, policy.optOut)) {
+                    return historyIndex.setContent(sender.url, message.content);
+                }
+            })
+            .catch((error) => console.error("Failed to store page content", error));
+    }
+});
+
+// Omnibox: "ss <query>" in the address bar
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+}
+
+function isUrl(text) {
+    return /^(?:https?|file|ftp):\/\//i.test(text);
+}
+
+// History for the range being typed, fetched once per range rather than on every keystroke
+let suggestionHistory = { key: null, items: Promise.resolve([]) };
+
+function historyForSuggestions(engine, timeRange) {
+    // Ranges relative to now shift every millisecond, so key by the matched label
+    const key = `${timeRange.label}|${timeRange.isDefault}`;
+    if (suggestionHistory.key !== key) {
+        suggestionHistory = { key, items: engine.getBrowserHistory(timeRange).catch(() => []) };
+    }
+    return suggestionHistory.items;
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: "Search your history with Site Sleuth" });
+
+chrome.omnibox.onInputStarted.addListener(() => {
+    suggestionHistory = { key: null, items: Promise.resolve([]) };
 });
 
-async function getHistoryData(days = 30) {
-    return new Promise((resolve) => {
-        const startTime = Date.now() - days * 24 * 60 * 60 * 1000;
-
-        chrome.history.search(
-            {
-                text: "",
-                startTime: startTime,
-                maxResults: 500,
-            },
-            (historyItems) => {
-                const filteredHistory = historyItems
-                    .filter((item) => item.url && item.title && !item.url.startsWith("chrome://") && !item.url.startsWith("chrome-extension://") && item.visitCount > 0)
-                    .map((item) => ({
-                        url: item.url,
-                        title: item.title,
-                        visitCount: item.visitCount,
-                        lastVisitTime: item.lastVisitTime,
-                    }))
-                    .sort((a, b) => b.lastVisitTime - a.lastVisitTime);
-
-                resolve(filteredHistory);
-            }
+// Live suggestions use keyword scoring only; the LLM pipeline runs on Enter
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+    const query = text.trim();
+    if (!query) return;
+
+    try {
+        const engine = await getEngine();
+        const timeRange = parseTimeRange(query, new Date(), engine.settings.lookbackDays);
+        const historyData = await historyForSuggestions(engine, timeRange);
+        const matches = timeRange.text ? engine.smartKeywordFilter(timeRange.text, historyData) : historyData;
+
+        chrome.omnibox.setDefaultSuggestion({ description: `Search your history for <match>${escapeXml(query)}</match> with Site Sleuth` });
+        suggest(
+            matches.slice(0, SUGGESTION_COUNT).map((item) => ({
+                content: item.url,
+                description: `${escapeXml(item.title || item.url)} - <url>${escapeXml(item.url)}</url>`,
+            }))
         );
-    });
+    } catch (error) {
+        console.error("Failed to build omnibox suggestions", error);
+    }
+});
+
+function openUrl(url, disposition) {
+    if (disposition === "newForegroundTab") {
+        return chrome.tabs.create({ url });
+    }
+    if (disposition === "newBackgroundTab") {
+        return chrome.tabs.create({ url, active: false });
+    }
+    return chrome.tabs.update({ url });
+}
+
+function resultsPageUrl(query) {
+    return chrome.runtime.getURL(`src/index.html?q=${encodeURIComponent(query)}`);
 }
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+    const query = text.trim();
+
+    // A picked suggestion is the page's URL
+    if (isUrl(query)) {
+        openUrl(query, disposition);
+        return;
+    }
+
+    try {
+        const engine = await getEngine();
+        if (engine.settings.omniboxAction === "showResults" || !engine.isReady()) {
+            openUrl(resultsPageUrl(query), disposition);
+            return;
+        }
+
+        const { results } = await engine.search(query);
+        openUrl(results.length > 0 ? results[0].url : resultsPageUrl(query), disposition);
+    } catch (error) {
+        console.error("Omnibox search failed", error);
+        openUrl(resultsPageUrl(query), disposition);
+    }
+});
@@ -0,0 +1,120 @@
+// URL canonicalization for the candidate pipeline: the same video, thread or article reached through short
+// links, mobile hosts, tracking parameters or comment permalinks is grouped into one history entry, so
+// duplicates don't take several of the ranking prompt's slots or the results shown.
+
+const TRACKING_PARAMS = new Set(["fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "mc_cid", "mc_eid", "igshid", "_hsenc", "_hsmi", "ref_src", "ref_url"]);
+const TRACKING_PREFIXES = ["utm_", "pk_"];
+
+// Share and referral markers that only mean tracking on YouTube; elsewhere they can pick the page
+const YOUTUBE_TRACKING_PARAMS = new Set(["si", "feature"]);
+
+const MOBILE_LABELS = new Set(["m", "mobile"]);
+const REDDIT_HOST = /^(?:old|new|np)\.reddit\.com$/;
+const REDDIT_THREAD = /^\/r\/[^/]+\/comments\/[^/]+/i;
+
+// www. in front, and m. or mobile. anywhere before the registrable domain: "en.m.wikipedia.org" is "en.wikipedia.org"
+function desktopHost(hostname) {
+    const labels = hostname.replace(/^www\./, "").split(".");
+    return labels.filter((label, index) => index >= labels.length - 2 || !MOBILE_LABELS.has(label)).join(".");
+}
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+// Key shared by URLs that show the same content, e.g. "youtube.com/watch?v=abc" for youtu.be/abc,
+// m.youtube.com/watch?v=abc&t=30 and https://www.youtube.com/watch?v=abc&utm_source=x. Not a URL to open.
+// Fragments are dropped unless they look like an app route ("#inbox/…"). Non-web URLs are returned unchanged.
+export function canonicalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return url;
+
+    let host = desktopHost(parsed.hostname);
+    let path = parsed.pathname;
+    let params = [...parsed.searchParams].filter(([name]) => !isTrackingParam(name));
+
+    if (host === "youtu.be") {
+        params = [["v", path.split("/")[1] || ""]];
+        host = "youtube.com";
+        path = "/watch";
+    }
+    if (host === "youtube.com") {
+        params = params.filter(([name]) => !YOUTUBE_TRACKING_PARAMS.has(name.toLowerCase()));
+    }
+    // Only the video id says which video; t, list and index just say where to start
+    if (host === "youtube.com" && path === "/watch") {
+        params = params.filter(([name]) => name === "v");
+    }
+
+    host = host.replace(REDDIT_HOST, "reddit.com");
+    if (host === "reddit.com") {
+        // A comment permalink is the thread it is in; parameters only pick sorting and context
+        const thread = path.match(REDDIT_THREAD);
+        if (thread) {
+            path = thread[0].toLowerCase();
+            params = [];
+        }
+    }
+
+    if (path.length > 1) path = path.replace(/\/+$/, "");
+    const query = params.length > 0 ? `?${new URLSearchParams(params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))}` : "";
+    const fragment = parsed.hash.includes("/") ? parsed.hash : "";
+    return `${host}${parsed.port ? `:${parsed.port}` : ""}${path}${query}${fragment}`;
+}
+
+// Most visited first, the latest on a tie
+function byVisits(a, b) {
+    return b.visitCount - a.visitCount || b.lastVisitTime - a.lastVisitTime;
+}
+
+function mergeGroup(group) {
+    const [main] = [...group].sort(byVisits);
+    const merged = {
+        ...main,
+        visitCount: group.reduce((total, item) => total + item.visitCount, 0),
+        lastVisitTime: Math.max(...group.map((item) => item.lastVisitTime)),
+        variants: [...group].sort(byVisits).map(({ url, title, visitCount, lastVisitTime }) => ({ url, title, visitCount, lastVisitTime })),
+    };
+
+    const visits = group.flatMap((item) => item.visits || []);
+    if (visits.length > 0) {
+        merged.visits = visits.sort((a, b) => b.visitTime - a.visitTime);
+    }
+    if (group.some((item) => item.typedCount !== undefined)) {
+        merged.typedCount = group.reduce((total, item) => total + (item.typedCount || 0), 0);
+    }
+    if (!merged.content) {
+        const withContent = group.find((item) => item.content);
+        if (withContent) merged.content = withContent.content;
+    }
+    // Where the variants were kept (see pageSources.js)
+    if (group.some((item) => item.sources)) {
+        merged.sources = [...new Set(group.flatMap((item) => item.sources || []))];
+    }
+    if (group.some((item) => item.bookmarkFolders)) {
+        merged.bookmarkFolders = [...new Set(group.flatMap((item) => item.bookmarkFolders || []))];
+    }
+    return merged;
+}
+
+// One entry per canonical URL, newest first. A group keeps its most-visited URL and that page's title, sums the
+// visit counts, keeps the latest visit time, merges visits, sources and folders, and lists every URL it holds in
+// variants: [{ url, title, visitCount, lastVisitTime }], most visited first. Pages without duplicates are kept as they are.
+export function collapseDuplicates(items) {
+    const groups = new Map();
+    items.forEach((item) => {
+        const key = canonicalUrl(item.url);
+        if (groups.has(key)) {
+            groups.get(key).push(item);
+        } else {
+            groups.set(key, [item]);
+        }
+    });
+    return [...groups.values()].map((group) => (group.length === 1 ? group[0] : mergeGroup(group))).sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+}
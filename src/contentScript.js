@@ -0,0 +1,49 @@
+// Content script: captures a page's readable text for the local history index.
+// Only registered when "Index page content" is on (see background.js); the service worker
+// decides whether to keep the text, so opted-out and blocked sites are dropped there.
+// Content scripts cannot be modules, so this file has no imports.
+
+(() => {
+    const MAX_TEXT_LENGTH = 5000;
+    const MAX_HEADINGS = 20;
+    const CAPTURE_DELAY_MS = 1500;
+
+    function clean(text) {
+        return (text || "").replace(/\s+/g, " ").trim();
+    }
+
+    function metaContent(selector) {
+        return clean(document.querySelector(selector)?.content);
+    }
+
+    // Prefer the main article over navigation, sidebars and footers
+    function readableRoot() {
+        return document.querySelector("article, main, [role='main']") || document.body;
+    }
+
+    function capture() {
+        if (!document.body) return;
+
+        const root = readableRoot();
+        const headings = [...root.querySelectorAll("h1, h2, h3")]
+            .map((heading) => clean(heading.textContent))
+            .filter(Boolean)
+            .slice(0, MAX_HEADINGS);
+
+        chrome.runtime
+            .sendMessage({
+                type: "pageContent",
+                content: {
+                    description: metaContent("meta[name='description']") || metaContent("meta[property='og:description']"),
+                    headings,
+                    text: clean(root.innerText).slice(0, MAX_TEXT_LENGTH),
+                },
+            })
+            .catch(() => {
+                // Extension reloaded or service worker unavailable; nothing to do
+            });
+    }
+
+    // Give client-rendered pages a moment to fill in
+    setTimeout(capture, CAPTURE_DELAY_MS);
+})();
@@ -0,0 +1,123 @@
+// Per-session conversation state and follow-up classification
+
+import { parseTimeRange } from "./timeRange.js";
+
+const MAX_TURNS = 5;
+const MAX_FOLLOW_UP_WORDS = 8;
+
+// Leading filler that doesn't change what a follow-up means ("no, older than that")
+const FILLER = /^(?:no|nope|actually|hmm+|ok|okay|well|and|but)\s*[,.!]\s*|^(?:actually|ok|okay|and|but)\s+/;
+
+const RESET = /^(?:new search|start over|reset|forget (?:that|it|those))\b/;
+// A shift is the whole message, so "the article I read earlier" stays a new search
+const SHIFT_TAIL = "(?: ones| results| pages)?(?: than (?:that|those|these|then))?(?: please)?";
+const OLDER = new RegExp(`^(?:(?:show |go |look |search )?(?:even |a bit |a little |much )?(?:older|earlier)${SHIFT_TAIL}|before (?:that|then|those)|(?:go |look |search )?further back)$`);
+const NEWER = new RegExp(`^(?:(?:show |go |look |search )?(?:even |a bit |a little |much )?(?:newer|more recent|later)${SHIFT_TAIL}|after (?:that|then|those))$`);
+// Words that make "<terms> <time>" refine the previous search rather than start one ("only github from last week")
+const REFINEMENT_CUE = /^(?:what about|how about|try|only|just|and|but|same (?:thing|search))\b|\binstead\b/;
+// Like a shift, widening is the whole message, so "more ways to cook rice" stays a new search
+const EXPAND = /^(?:(?:show |give me |find |any )?(?:(?:some |a few )?more|others?|other ones|anything else)(?: results| ones| pages| of (?:these|those|them)| like (?:these|those|this|that))?|expand|broaden|widen|expand (?:the )?search|(?:search|look|go) (?:further|wider))(?: please)?$/;
+const EXCLUDE = /^(?:not|without|except|excluding|exclude|minus|remove|drop|hide|no)\s+(?:the\s+)?(?:ones?\s+|anything\s+|those\s+|results?\s+)?(?:that\s+(?:are|mention)\s+)?(?:from\s+|on\s+|about\s+|with\s+)?(.+)$/;
+const FILTER = /^(?:only|just)\s+(?:the\s+)?(?:ones?\s+|those\s+|these\s+|results?\s+|pages?\s+)?(?:that\s+(?:are|mention)\s+)?(?:from\s+|on\s+|about\s+|with\s+)?(.+)$|^(?:which|the ones?|those|any)\s+(?:of\s+(?:these|those|them)\s+)?(?:are\s+|were\s+)?(?:from|on|about|with|that mention|mentioning)\s+(.+)$/;
+// Points back at the previous results ("the ones about python", "not those from reddit")
+const REFERENT = /\b(?:the ones?|those|these|them|the results?|the pages?|anything)\b/;
+const SWITCH = /^(?:what about|how about|try|now|same (?:thing|search) (?:but )?(?:for|on|from))\s+(?:on\s+|from\s+)?(.+?)(?:\s+instead)?$|^(?:on|from)\s+(.+?)\s+instead$/;
+
+function terms(text) {
+    return text
+        .toLowerCase()
+        .split(/\s+/)
+        .map((word) => word.replace(/[^a-z0-9./-]/g, ""))
+        .filter((word) => word.length > 1 && !["the", "ones", "one", "them", "those", "these", "please", "and", "or", "any", "pages", "results", "from", "on", "about", "with"].includes(word));
+}
+
+// A site the user might narrow to or leave out: a known platform or a domain ("github", "dev.to")
+function isSiteTerm(word, platformNames) {
+    return platformNames.includes(word) || /^[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(word);
+}
+
+// Cue words alone don't make a refinement: "no code website builder" and "just dance game trailer" are new
+// searches. The rest of the message has to point back at the results or only name sites.
+function refines(text, target, platformNames, referential = false) {
+    return target.length > 0 && (referential || REFERENT.test(text) || target.every((word) => isSiteTerm(word, platformNames)));
+}
+
+// Decide whether a message refines the previous turn or starts a new search.
+// Returns { type: "new" } or one of:
+//   { type: "time", timeRange?, shift?, text }   change the time window
+//   { type: "expand" }                            widen the search
+//   { type: "platform", platform }                same search on another platform
+//   { type: "filter", terms }                     keep only matching previous results
+//   { type: "exclude", terms }                    drop matching previous results
+export function classifyFollowUp(query, previousTurn, { lookbackDays, platformNames = [], now = new Date() } = {}) {
+    if (!previousTurn) return { type: "new" };
+
+    const text = query.toLowerCase().trim().replace(FILLER, "").replace(/[?!.]+$/, "");
+    if (!text || RESET.test(text) || text.split(/\s+/).length > MAX_FOLLOW_UP_WORDS) {
+        return { type: "new" };
+    }
+
+    if (OLDER.test(text)) {
+        return { type: "time", shift: "older", text: "" };
+    }
+    if (NEWER.test(text)) {
+        return { type: "time", shift: "newer", text: "" };
+    }
+
+    // "from last month instead", "what about in August" - a new time window for the same search. Words of
+    // its own ("react docs from last week") make it a new search unless a cue says it refines this one.
+    const timeRange = parseTimeRange(text, now, lookbackDays);
+    const leftover = terms(timeRange.text.replace(/^(?:what about|how about|try|only|just|and|but|same (?:thing|search))\b/, "").replace(/\binstead\b/, ""));
+    if (!timeRange.isDefault && (leftover.length === 0 || (leftover.length <= 2 && REFINEMENT_CUE.test(timeRange.text)))) {
+        return { type: "time", timeRange, text: leftover.join(" ") };
+    }
+
+    if (EXPAND.test(text)) {
+        return { type: "expand" };
+    }
+
+    const switchMatch = text.match(SWITCH);
+    if (switchMatch) {
+        const target = terms(switchMatch[1] || switchMatch[2]);
+        if (refines(text, target, platformNames)) {
+            const platform = target.find((word) => platformNames.includes(word));
+            return platform ? { type: "platform", platform } : { type: "filter", terms: target };
+        }
+    }
+
+    const excludeMatch = text.match(EXCLUDE);
+    if (excludeMatch && refines(text, terms(excludeMatch[1]), platformNames)) {
+        return { type: "exclude", terms: terms(excludeMatch[1]) };
+    }
+
+    // "which of these are about python" points back at the results by its shape
+    const filterMatch = text.match(FILTER);
+    if (filterMatch && refines(text, terms(filterMatch[1] || filterMatch[2]), platformNames, Boolean(filterMatch[2]))) {
+        return { type: "filter", terms: terms(filterMatch[1] || filterMatch[2]) };
+    }
+
+    return { type: "new" };
+}
+
+// The turns of the current popup session, newest last
+export class Conversation {
+    constructor() {
+        this.turns = [];
+    }
+
+    get last() {
+        return this.turns[this.turns.length - 1] || null;
+    }
+
+    // turn: { query, keywordQuery, timeRange, historyData, candidates, results, searchedAt }
+    addTurn(turn) {
+        this.turns.push(turn);
+        if (this.turns.length > MAX_TURNS) {
+            this.turns.shift();
+        }
+    }
+
+    reset() {
+        this.turns = [];
+    }
+}
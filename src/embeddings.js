@@ -0,0 +1,200 @@
+// On-device text embeddings for offline search, without sending anything over the network.
+// Pages and queries are embedded by a small sentence-embedding model bundled with the extension
+// (all-MiniLM-L6-v2, 8-bit quantized, run by transformers.js in WASM), so "laptop keeps overheating"
+// finds "MacBook fan noise fixes". Where the model can't run - the service worker, which can't import()
+// it, the tests, or a build without the model files - lexicalEmbed() stands in: feature hashing of words,
+// stems, synonym groups and character trigrams, which matches shared and related wording only.
+
+// Put in models/ by `npm run fetch-model` (scripts/fetchModel.js) and shipped with the extension
+const MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
+const TRANSFORMERS_DIR = "models/transformers/";
+const MODEL_BATCH_SIZE = 32;
+// Titles, URLs and the start of the page text are enough; longer input only costs time
+const MODEL_MAX_CHARS = 512;
+
+const DIMENSIONS = 512;
+const TRIGRAM_WEIGHT = 0.35;
+const GROUP_WEIGHT = 0.8;
+
+// Words that mean roughly the same thing when searching history
+const SYNONYM_GROUPS = [
+    ["video", "watch", "clip", "stream", "youtube", "vimeo", "movie", "film"],
+    ["article", "blog", "post", "read", "story", "essay", "medium", "substack"],
+    ["repo", "repository", "github", "gitlab", "code", "source", "library", "package"],
+    ["tutorial", "guide", "howto", "learn", "course", "lesson", "walkthrough", "intro"],
+    ["docs", "documentation", "reference", "api", "manual", "spec"],
+    ["recipe", "cook", "cooking", "food", "meal", "dinner", "lunch", "bake", "ingredient"],
+    ["shop", "buy", "price", "store", "cart", "order", "product", "deal", "amazon", "ebay"],
+    ["news", "headline", "breaking", "report", "press"],
+    ["question", "answer", "stackoverflow", "forum", "thread", "discussion", "reddit", "comment"],
+    ["paper", "research", "study", "arxiv", "journal", "pdf"],
+    ["job", "career", "hiring", "position", "resume", "linkedin", "interview"],
+    ["music", "song", "album", "playlist", "spotify", "listen"],
+    ["image", "photo", "picture", "pic", "wallpaper", "gallery"],
+    ["game", "gaming", "steam", "play"],
+    ["travel", "flight", "hotel", "trip", "booking", "vacation"],
+    ["map", "directions", "location", "place", "restaurant"],
+];
+
+const STOP_WORDS = new Set([
+    "the", "a", "an", "and", "or", "but", "in", "on", "at", "to", "for", "of", "with", "by", "from",
+    "that", "this", "was", "were", "is", "are", "it", "its", "i", "me", "my", "you", "your", "we",
+    "what", "which", "where", "when", "who", "how", "some", "any", "find", "show", "looking", "saw",
+    "visited", "remember", "about", "www", "com", "org", "net", "html", "http", "https",
+]);
+
+const GROUP_OF = new Map();
+SYNONYM_GROUPS.forEach((group, index) => group.forEach((word) => GROUP_OF.set(word, index)));
+
+// 32-bit FNV-1a
+export function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Crude suffix stripping so "recipes" and "cooking" meet "recipe" and "cook"
+function stem(word) {
+    if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith("es") && !word.endsWith("ses")) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+}
+
+// Lowercase words from free text or a URL (host parts, path segments, kebab/snake/camel case)
+export function tokenize(text) {
+    return text
+        .replace(/([a-z])([A-Z])/g, "$1 $2")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+function addFeature(vector, feature, weight) {
+    const h = hash(feature);
+    // The top bit picks the sign so unrelated features cancel out on average
+    vector[h % DIMENSIONS] += h & 0x80000000 ? -weight : weight;
+}
+
+export function lexicalEmbed(text) {
+    const vector = new Float32Array(DIMENSIONS);
+
+    tokenize(text).forEach((word) => {
+        const stemmed = stem(word);
+        addFeature(vector, `w:${stemmed}`, 1);
+
+        const group = GROUP_OF.get(word) ?? GROUP_OF.get(stemmed);
+        if (group !== undefined) {
+            addFeature(vector, `g:${group}`, GROUP_WEIGHT);
+        }
+
+        const padded = `^${stemmed}$`;
+        for (let i = 0; i < padded.length - 2; i++) {
+            addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+        }
+    });
+
+    let norm = 0;
+    for (let i = 0; i < DIMENSIONS; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < DIMENSIONS; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+// Resolves to a function embedding a batch of texts with the bundled model, or null where it can't run
+export async function loadBundledModel() {
+    if (typeof window === "undefined" || !globalThis.chrome?.runtime?.getURL) return null;
+    try {
+        const { env, pipeline } = await import(chrome.runtime.getURL(`${TRANSFORMERS_DIR}transformers.min.js`));
+        // Everything comes from the extension package; nothing is downloaded
+        env.allowRemoteModels = false;
+        env.localModelPath = chrome.runtime.getURL("models/");
+        env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL(TRANSFORMERS_DIR);
+        const extractor = await pipeline("feature-extraction", MODEL_NAME, { dtype: "q8" });
+        return async (texts) => {
+            const output = await extractor(texts, { pooling: "mean", normalize: true });
+            return output.tolist().map((vector) => Float32Array.from(vector));
+        };
+    } catch (error) {
+        console.warn("On-device model unavailable, using lexical embeddings", error);
+        return null;
+    }
+}
+
+// Embeds text with the bundled model, or lexically where the model can't run. Which one is decided once, on
+// first use, so every vector an Embedder returns can be compared with every other.
+export class Embedder {
+    constructor({ loadModel = loadBundledModel } = {}) {
+        this.loadModel = loadModel;
+        this.model = null;
+    }
+
+    ready() {
+        if (!this.model) {
+            this.model = this.loadModel().catch(() => null);
+        }
+        return this.model;
+    }
+
+    // "model" or "lexical"
+    async kind() {
+        return (await this.ready()) ? "model" : "lexical";
+    }
+
+    // Least similarity worth showing; the model scores unrelated text higher than hashing does
+    async minSimilarity() {
+        return (await this.ready()) ? 0.25 : 0.1;
+    }
+
+    // Unit-length vectors, one per text
+    async embed(texts) {
+        const model = await this.ready();
+        if (!model) return texts.map(lexicalEmbed);
+
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += MODEL_BATCH_SIZE) {
+            vectors.push(...(await model(texts.slice(i, i + MODEL_BATCH_SIZE).map((text) => text.slice(0, MODEL_MAX_CHARS)))));
+        }
+        return vectors;
+    }
+}
+
+// Vectors from an Embedder are unit length, so the dot product is the cosine
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
+
+// Embeds each history page once per popup session
+export class EmbeddingCache {
+    constructor(embedder = new Embedder()) {
+        this.embedder = embedder;
+        this.vectors = new Map();
+    }
+
+    // Title counts double; bookmark folders and captured page text (description, headings, the start of the body) fill in the rest
+    pageText(page) {
+        const folders = (page.bookmarkFolders || []).join(" ");
+        const content = page.content ? `${page.content.description} ${page.content.headings.join(" ")} ${page.content.text.slice(0, 500)}` : "";
+        return `${page.title} ${page.title} ${page.url} ${folders} ${content}`;
+    }
+
+    // One vector per page, embedding only the pages not seen before, in one batch
+    async forPages(pages) {
+        const keys = pages.map((page) => `${page.url}\n${page.title}\n${(page.bookmarkFolders || []).join(" ")}\n${page.content ? page.content.text.length : 0}`);
+        const missing = [...new Set(keys.filter((key) => !this.vectors.has(key)))];
+        if (missing.length > 0) {
+            const pageOf = new Map(keys.map((key, index) => [key, pages[index]]));
+            const vectors = await this.embedder.embed(missing.map((key) => this.pageText(pageOf.get(key))));
+            missing.forEach((key, index) => this.vectors.set(key, vectors[index]));
+        }
+        return keys.map((key) => this.vectors.get(key));
+    }
+}
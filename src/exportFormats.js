@@ -0,0 +1,177 @@
+// Export of result sets, conversations, the library and slices of the history index as JSON, CSV,
+// Markdown or a Netscape bookmarks file, and parsing of JSON exports for import.
+//
+// Every export is built as { type, version, title, exportedAt, sections, pins?, savedSearches? } where
+// sections are [{ title, query?, timeRangeLabel?, searchedAt?, pages: [{ url, title, reason?, visitCount?, lastVisitTime? }] }].
+
+import { markdownLink } from "./resultActions.js";
+
+const EXPORT_TYPE = "site-sleuth-export";
+const EXPORT_VERSION = 1;
+// Imported URLs end up as links in the popup, so nothing that could run script
+const IMPORTABLE_PROTOCOLS = ["http:", "https:", "ftp:", "file:"];
+
+export const EXPORT_FORMATS = {
+    json: { label: "JSON", extension: "json", mimeType: "application/json" },
+    csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+    markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+    bookmarks: { label: "Bookmarks (HTML)", extension: "html", mimeType: "text/html" },
+};
+
+function exportPage({ url, title, reason, visitCount, lastVisitTime }) {
+    const page = { url, title: title || "" };
+    if (reason) page.reason = reason;
+    if (visitCount !== undefined) page.visitCount = visitCount;
+    if (lastVisitTime !== undefined) page.lastVisitTime = lastVisitTime;
+    return page;
+}
+
+// sections as above, with pages in any shape that has url and title (results, index entries, pins)
+export function buildExport({ title, sections = [], pins, savedSearches, now = Date.now() }) {
+    const data = {
+        type: EXPORT_TYPE,
+        version: EXPORT_VERSION,
+        title,
+        exportedAt: new Date(now).toISOString(),
+        sections: sections.map((section) => ({ ...section, pages: section.pages.map(exportPage) })),
+    };
+    if (pins) data.pins = pins;
+    if (savedSearches) data.savedSearches = savedSearches;
+    return data;
+}
+
+export function serializeExport(data, format) {
+    if (format === "json") return JSON.stringify(data, null, 2);
+    if (format === "csv") return toCsv(data);
+    if (format === "markdown") return toMarkdown(data);
+    if (format === "bookmarks") return toBookmarksHtml(data);
+    throw new Error(`Unknown export format: ${format}`);
+}
+
+// Sections plus the pins, which the text formats list like any other section
+function allSections(data) {
+    return data.pins?.length ? [...data.sections, { title: "Pinned pages", pages: data.pins.map(exportPage) }] : data.sections;
+}
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? "" : String(value);
+    // Page titles are untrusted; keep spreadsheets from evaluating them as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data) {
+    const rows = [["section", "title", "url", "reason", "visitCount", "lastVisited"]];
+    allSections(data).forEach((section) => {
+        section.pages.forEach((page) => {
+            rows.push([section.title, page.title, page.url, page.reason, page.visitCount, page.lastVisitTime ? new Date(page.lastVisitTime).toISOString() : ""]);
+        });
+    });
+    return `${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+function toMarkdown(data) {
+    const lines = [`# ${data.title}`, "", `Exported ${data.exportedAt.slice(0, 10)} from Site Sleuth.`];
+    allSections(data).forEach((section) => {
+        lines.push("", `## ${section.title}`, "");
+        if (section.pages.length === 0) lines.push("_No pages._");
+        section.pages.forEach((page) => {
+            const reason = page.reason ? ` — ${page.reason.replace(/\s+/g, " ")}` : "";
+            lines.push(`- ${markdownLink(page)}${reason}`);
+        });
+    });
+    if (data.savedSearches?.length) {
+        lines.push("", "## Saved searches", "", ...data.savedSearches.map((search) => `- ${search.query}`));
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// The format browsers use for bookmark import/export: one folder per section
+function toBookmarksHtml(data) {
+    const seconds = (time) => Math.floor(time / 1000);
+    const exportedAt = seconds(Date.parse(data.exportedAt));
+    const lines = ["<!DOCTYPE NETSCAPE-Bookmark-file-1>", '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">', `<TITLE>${escapeHtml(data.title)}</TITLE>`, `<H1>${escapeHtml(data.title)}</H1>`, "<DL><p>"];
+    allSections(data).forEach((section) => {
+        lines.push(`    <DT><H3 ADD_DATE="${exportedAt}">${escapeHtml(section.title)}</H3>`, "    <DL><p>");
+        section.pages.forEach((page) => {
+            const addDate = page.lastVisitTime ? seconds(page.lastVisitTime) : exportedAt;
+            lines.push(`        <DT><A HREF="${escapeHtml(page.url)}" ADD_DATE="${addDate}">${escapeHtml(page.title || page.url)}</A>`);
+            if (page.reason) lines.push(`        <DD>${escapeHtml(page.reason.replace(/\s+/g, " "))}`);
+        });
+        lines.push("    </DL><p>");
+    });
+    lines.push("</DL><p>");
+    return `${lines.join("\n")}\n`;
+}
+
+function isImportableUrl(url) {
+    try {
+        return IMPORTABLE_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function importablePages(pages) {
+    return (Array.isArray(pages) ? pages : []).filter((page) => page && typeof page.url === "string" && isImportableUrl(page.url));
+}
+
+function importPage(page) {
+    return { url: page.url, title: typeof page.title === "string" ? page.title : "", ...(typeof page.reason === "string" && { reason: page.reason }) };
+}
+
+// Read a JSON export back in. Sections that came from a search become recent searches.
+// Resolves to { pins, savedSearches, recentSearches }; throws if the file is not a Site Sleuth export.
+export function parseImport(text, now = Date.now()) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (!data || data.type !== EXPORT_TYPE) {
+        throw new Error("The file is not a Site Sleuth export.");
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error("The file was exported by a newer version of Site Sleuth.");
+    }
+
+    const pins = importablePages(data.pins).map((pin) => ({ url: pin.url, title: importPage(pin).title, pinnedAt: Number.isFinite(pin.pinnedAt) ? pin.pinnedAt : now }));
+    const savedSearches = (Array.isArray(data.savedSearches) ? data.savedSearches : [])
+        .filter((search) => search && typeof search.query === "string" && search.query.trim())
+        .map((search) => ({ query: search.query, savedAt: Number.isFinite(search.savedAt) ? search.savedAt : now }));
+    const recentSearches = (Array.isArray(data.sections) ? data.sections : [])
+        .filter((section) => section && typeof section.query === "string" && section.query.trim())
+        .map((section) => ({
+            query: section.query,
+            timeRangeLabel: typeof section.timeRangeLabel === "string" ? section.timeRangeLabel : "",
+            results: importablePages(section.pages).map(importPage),
+            searchedAt: Number.isFinite(section.searchedAt) ? section.searchedAt : now,
+        }));
+    return { pins, savedSearches, recentSearches };
+}
+
+// Save text as a file through a temporary link; needs no downloads permission
+export function downloadExport(data, format, filename) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([serializeExport(data, format)], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${filename}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "site-sleuth-react-components-2025-03-15"
+export function exportFilename(title, now = Date.now()) {
+    const slug = title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40);
+    return ["site-sleuth", slug, new Date(now).toISOString().slice(0, 10)].filter(Boolean).join("-");
+}
@@ -0,0 +1,440 @@
+// Persistent IndexedDB index of browser history, owned by the service worker
+
+import { isBlocked } from "./privacy.js";
+
+const DB_NAME = "site-sleuth";
+const DB_VERSION = 3;
+const PAGES_STORE = "pages";
+const VISITS_STORE = "visits";
+const CONTENT_STORE = "content";
+const META_STORE = "meta";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Matches the default search lookback until the settings say otherwise (setRetentionDays)
+const DEFAULT_RETENTION_DAYS = 30;
+const SEED_BATCH_SIZE = 5000;
+const VISIT_FETCH_CONCURRENCY = 25;
+const MAX_VISITS_PER_PAGE = 50;
+// How long after an untitled first visit to look its title up in chrome.history
+const TITLE_RETRY_MS = 15 * 1000;
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve once a transaction has committed
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function searchHistory(query) {
+    return new Promise((resolve, reject) => {
+        chrome.history.search(query, (historyItems) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+                return;
+            }
+            resolve(historyItems);
+        });
+    });
+}
+
+function getVisits(url) {
+    return new Promise((resolve, reject) => {
+        chrome.history.getVisits({ url }, (visitItems) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+                return;
+            }
+            resolve(visitItems);
+        });
+    });
+}
+
+// Only index real, titled pages - not browser or extension internals. requireTitle is off for single new
+// visits, which chrome.history.onVisited usually reports before the page has a title.
+export function isIndexable(item, { requireTitle = true } = {}) {
+    return Boolean(item.url && (item.title || !requireTitle) && !item.url.startsWith("chrome://") && !item.url.startsWith("chrome-extension://") && item.visitCount > 0);
+}
+
+function toIndexEntry(item) {
+    return {
+        url: item.url,
+        title: item.title || "",
+        visitCount: item.visitCount,
+        typedCount: item.typedCount || 0,
+        lastVisitTime: item.lastVisitTime,
+    };
+}
+
+function toVisitEntry(url, visit) {
+    return {
+        visitId: visit.visitId,
+        url,
+        visitTime: visit.visitTime,
+        referringVisitId: visit.referringVisitId,
+        transition: visit.transition,
+    };
+}
+
+export class HistoryIndex {
+    constructor() {
+        this.dbPromise = null;
+        this.seedPromise = null;
+        // Retention the running or finished seed was started for
+        this.seedTarget = 0;
+        this.blocklist = [];
+        this.retentionDays = DEFAULT_RETENTION_DAYS;
+        // Days of history the finished seed covered, read from the meta store on first use
+        this.seededDays = undefined;
+        this.prunedAt = 0;
+    }
+
+    // Compiled blocklist from privacy.js; blocked pages are never stored
+    setBlocklist(blocklist) {
+        this.blocklist = blocklist;
+    }
+
+    // Pages and visits older than this many days are dropped, so the index only holds what the search
+    // lookback can reach. A longer retention seeds the missing days again.
+    setRetentionDays(days) {
+        this.retentionDays = days;
+    }
+
+    // Oldest time still kept, with a day's slack so a search over exactly the lookback window is answered
+    oldestKept(now = Date.now()) {
+        return now - (this.retentionDays + 1) * DAY_MS;
+    }
+
+    shouldIndex(item, options) {
+        return isIndexable(item, options) && !isBlocked(item.url, this.blocklist);
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const pages = db.createObjectStore(PAGES_STORE, { keyPath: "url" });
+                    pages.createIndex("lastVisitTime", "lastVisitTime");
+                    db.createObjectStore(META_STORE);
+                }
+                if (event.oldVersion < 2) {
+                    const visits = db.createObjectStore(VISITS_STORE, { keyPath: "visitId" });
+                    visits.createIndex("url", "url");
+                    visits.createIndex("visitTime", "visitTime");
+                    // Re-seed so existing pages pick up their visits
+                    request.transaction.objectStore(META_STORE).delete("seededDays");
+                }
+                if (event.oldVersion < 3) {
+                    // Page text from the opt-in content script, kept apart so history updates never overwrite it
+                    db.createObjectStore(CONTENT_STORE, { keyPath: "url" });
+                }
+            };
+            this.dbPromise = promisify(request);
+        }
+        return this.dbPromise;
+    }
+
+    async getMeta(key) {
+        const db = await this.open();
+        return promisify(db.transaction(META_STORE).objectStore(META_STORE).get(key));
+    }
+
+    async setMeta(key, value) {
+        const db = await this.open();
+        const transaction = db.transaction(META_STORE, "readwrite");
+        transaction.objectStore(META_STORE).put(value, key);
+        await transactionDone(transaction);
+    }
+
+    async getSeededDays() {
+        if (this.seededDays === undefined) {
+            this.seededDays = (await this.getMeta("seededDays")) || 0;
+        }
+        return this.seededDays;
+    }
+
+    // Seed the index from chrome.history once per retention; later updates come from history events.
+    // The service worker starts this in the background; searches don't wait for it (see covers).
+    ensureSeeded() {
+        if (this.seedPromise && this.seedTarget >= this.retentionDays) return this.seedPromise;
+
+        // A longer retention seeds again, after any seed still running
+        const previous = (this.seedPromise || Promise.resolve()).catch(() => {});
+        const seeding = previous
+            .then(() => this.getSeededDays())
+            .then((seededDays) => (seededDays >= this.retentionDays ? null : this.seed()))
+            .catch((error) => {
+                // Allow a later start to retry the seed
+                if (this.seedPromise === seeding) this.seedPromise = null;
+                throw error;
+            });
+        this.seedPromise = seeding;
+        this.seedTarget = this.retentionDays;
+        return seeding;
+    }
+
+    async seed() {
+        const days = this.retentionDays;
+        const startTime = this.oldestKept();
+        // A seed cut short when the service worker was stopped carries on below the last batch it stored
+        let endTime = (await this.getMeta("seedCursor")) || Date.now();
+
+        // chrome.history.search caps each call, so page backwards through time
+        while (endTime > startTime) {
+            const historyItems = await searchHistory({ text: "", startTime, endTime, maxResults: SEED_BATCH_SIZE });
+            await this.putAll(historyItems);
+            await this.indexVisits(historyItems.filter((item) => this.shouldIndex(item)).map((item) => item.url));
+
+            if (historyItems.length < SEED_BATCH_SIZE) break;
+            const oldest = Math.min(...historyItems.map((item) => item.lastVisitTime));
+            if (oldest >= endTime) break;
+            endTime = oldest;
+            await this.setMeta("seedCursor", endTime);
+        }
+
+        await this.setMeta("seedCursor", null);
+        await this.setMeta("seededDays", days);
+        this.seededDays = days;
+        await this.prune();
+    }
+
+    // Whether the index can answer a search starting at startTime: seeding has finished for the current
+    // retention and pages that old are still kept. Otherwise callers search chrome.history instead.
+    async covers(startTime) {
+        return (await this.getSeededDays()) >= this.retentionDays && startTime >= this.oldestKept();
+    }
+
+    // Drop pages last visited, and visits made, before the retention window, with the pages' text
+    async prune() {
+        const range = IDBKeyRange.upperBound(this.oldestKept(), true);
+        const db = await this.open();
+        const transaction = db.transaction([PAGES_STORE, VISITS_STORE, CONTENT_STORE], "readwrite");
+        const content = transaction.objectStore(CONTENT_STORE);
+        transaction.objectStore(PAGES_STORE).index("lastVisitTime").openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                content.delete(cursor.primaryKey);
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        transaction.objectStore(VISITS_STORE).index("visitTime").openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        await transactionDone(transaction);
+        this.prunedAt = Date.now();
+    }
+
+    async putAll(historyItems) {
+        const entries = historyItems.filter((item) => this.shouldIndex(item)).map(toIndexEntry);
+        if (entries.length === 0) return;
+
+        const db = await this.open();
+        const transaction = db.transaction(PAGES_STORE, "readwrite");
+        const store = transaction.objectStore(PAGES_STORE);
+        entries.forEach((entry) => store.put(entry));
+        await transactionDone(transaction);
+    }
+
+    // Fetch chrome.history.getVisits for each url and store the visits
+    async indexVisits(urls) {
+        for (let i = 0; i < urls.length; i += VISIT_FETCH_CONCURRENCY) {
+            const batch = urls.slice(i, i + VISIT_FETCH_CONCURRENCY);
+            const visitLists = await Promise.all(batch.map((url) => getVisits(url).catch(() => [])));
+
+            const db = await this.open();
+            const transaction = db.transaction(VISITS_STORE, "readwrite");
+            const store = transaction.objectStore(VISITS_STORE);
+            visitLists.forEach((visits, index) => visits.forEach((visit) => store.put(toVisitEntry(batch[index], visit))));
+            await transactionDone(transaction);
+        }
+    }
+
+    // Record a single new visit from chrome.history.onVisited. An untitled visit keeps the title the page
+    // already had; a page without one gets it from setTitle (tab title changes) or a later history lookup.
+    async recordVisit(historyItem) {
+        if (!this.shouldIndex(historyItem, { requireTitle: false })) return;
+
+        const db = await this.open();
+        const transaction = db.transaction(PAGES_STORE, "readwrite");
+        const store = transaction.objectStore(PAGES_STORE);
+        const existing = await promisify(store.get(historyItem.url));
+        const title = historyItem.title || existing?.title || "";
+        store.put({ ...toIndexEntry(historyItem), title });
+        await transactionDone(transaction);
+
+        await this.indexVisits([historyItem.url]);
+        if (!title) {
+            setTimeout(() => this.refreshTitle(historyItem.url).catch(() => {}), TITLE_RETRY_MS);
+        }
+        // Browsing is what keeps the service worker running, so expire old pages from here once a day
+        if (Date.now() - this.prunedAt > DAY_MS) {
+            await this.prune();
+        }
+    }
+
+    // Give an indexed page its current title; pages that aren't indexed are left alone
+    async setTitle(url, title) {
+        if (!title) return;
+
+        const db = await this.open();
+        const transaction = db.transaction(PAGES_STORE, "readwrite");
+        const store = transaction.objectStore(PAGES_STORE);
+        const page = await promisify(store.get(url));
+        if (page && page.title !== title) {
+            store.put({ ...page, title });
+        }
+        await transactionDone(transaction);
+    }
+
+    // Look up the title chrome.history has for url by now
+    async refreshTitle(url) {
+        const historyItems = await searchHistory({ text: url, startTime: 0, maxResults: 10 });
+        const item = historyItems.find((candidate) => candidate.url === url);
+        if (item?.title) {
+            await this.setTitle(url, item.title);
+        }
+    }
+
+    // Store text captured from a page: { description, headings, text }
+    async setContent(url, content) {
+        if (isBlocked(url, this.blocklist)) return;
+
+        const db = await this.open();
+        const transaction = db.transaction(CONTENT_STORE, "readwrite");
+        transaction.objectStore(CONTENT_STORE).put({ url, ...content, capturedAt: Date.now() });
+        await transactionDone(transaction);
+    }
+
+    // Drop stored page text for every url matching the predicate, or all of it
+    async removeContent(matches = () => true) {
+        const db = await this.open();
+        const urls = (await promisify(db.transaction(CONTENT_STORE).objectStore(CONTENT_STORE).getAllKeys())).filter(matches);
+        if (urls.length === 0) return;
+
+        const transaction = db.transaction(CONTENT_STORE, "readwrite");
+        const store = transaction.objectStore(CONTENT_STORE);
+        urls.forEach((url) => store.delete(url));
+        await transactionDone(transaction);
+    }
+
+    async removeUrls(urls) {
+        const db = await this.open();
+        const transaction = db.transaction([PAGES_STORE, VISITS_STORE, CONTENT_STORE], "readwrite");
+        const pages = transaction.objectStore(PAGES_STORE);
+        const content = transaction.objectStore(CONTENT_STORE);
+        const visitsByUrl = transaction.objectStore(VISITS_STORE).index("url");
+        urls.forEach((url) => {
+            pages.delete(url);
+            content.delete(url);
+            visitsByUrl.openCursor(IDBKeyRange.only(url)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+        await transactionDone(transaction);
+    }
+
+    // Drop everything the current blocklist matches, e.g. after the user adds a rule
+    async purgeBlocked() {
+        if (this.blocklist.length === 0) return;
+
+        const db = await this.open();
+        const urls = await promisify(db.transaction(PAGES_STORE).objectStore(PAGES_STORE).getAllKeys());
+        const blocked = urls.filter((url) => isBlocked(url, this.blocklist));
+        if (blocked.length > 0) {
+            await this.removeUrls(blocked);
+        }
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction([PAGES_STORE, VISITS_STORE, CONTENT_STORE], "readwrite");
+        transaction.objectStore(PAGES_STORE).clear();
+        transaction.objectStore(VISITS_STORE).clear();
+        transaction.objectStore(CONTENT_STORE).clear();
+        await transactionDone(transaction);
+    }
+
+    // All indexed pages visited inside [startTime, endTime], most recent first.
+    // Each page carries its visits (newest first) with the referring page resolved,
+    // and its captured text as page.content when there is any. Until covers(startTime), the answer may be partial.
+    async query({ startTime = 0, endTime = Date.now(), maxResults = 0 } = {}) {
+        const db = await this.open();
+        const transaction = db.transaction([PAGES_STORE, VISITS_STORE, CONTENT_STORE]);
+        const pages = transaction.objectStore(PAGES_STORE);
+        const visits = transaction.objectStore(VISITS_STORE);
+        const content = transaction.objectStore(CONTENT_STORE);
+        const range = IDBKeyRange.bound(startTime, endTime);
+
+        // A page counts if any of its visits falls in the range, not just the latest one
+        const [recentPages, visitsInRange] = await Promise.all([promisify(pages.index("lastVisitTime").getAll(range)), promisify(visits.index("visitTime").getAll(range))]);
+
+        const entries = new Map(recentPages.map((page) => [page.url, page]));
+        const missingUrls = [...new Set(visitsInRange.map((visit) => visit.url))].filter((url) => !entries.has(url));
+        const olderPages = await Promise.all(missingUrls.map((url) => promisify(pages.get(url))));
+        olderPages.filter(Boolean).forEach((page) => entries.set(page.url, page));
+
+        let results = [...entries.values()].sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+        if (maxResults) results = results.slice(0, maxResults);
+
+        await Promise.all(
+            results.map(async (page) => {
+                const pageVisits = await promisify(visits.index("url").getAll(page.url));
+                page.visits = pageVisits.sort((a, b) => b.visitTime - a.visitTime).slice(0, MAX_VISITS_PER_PAGE);
+
+                const pageContent = await promisify(content.get(page.url));
+                if (pageContent) {
+                    page.content = { description: pageContent.description, headings: pageContent.headings, text: pageContent.text };
+                }
+            })
+        );
+        await this.resolveReferrers(results, pages, visits);
+
+        return results;
+    }
+
+    async resolveReferrers(results, pages, visits) {
+        const referrers = new Map();
+        results.forEach((page) =>
+            page.visits.forEach((visit) => {
+                if (visit.referringVisitId && visit.referringVisitId !== "0") referrers.set(visit.referringVisitId, null);
+            })
+        );
+
+        await Promise.all(
+            [...referrers.keys()].map(async (visitId) => {
+                const referringVisit = await promisify(visits.get(visitId));
+                if (!referringVisit) return;
+                const referringPage = await promisify(pages.get(referringVisit.url));
+                referrers.set(visitId, { url: referringVisit.url, title: referringPage?.title || "" });
+            })
+        );
+
+        results.forEach((page) => {
+            page.visits = page.visits.map((visit) => ({
+                visitTime: visit.visitTime,
+                transition: visit.transition,
+                referrer: referrers.get(visit.referringVisitId) || null,
+            }));
+        });
+    }
+}
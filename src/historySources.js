@@ -0,0 +1,76 @@
+// History sources for the search engine. A source implements
+// query({ startTime, endTime }) -> Promise of entries shaped like the index's
+// ({ url, title, visitCount, lastVisitTime, visits? }), newest first.
+
+import { isIndexable } from "./historyIndex.js";
+
+// chrome.history.search for a time range, shaped like index entries but without visits
+export function searchHistoryDirectly(timeRange, maxResults) {
+    return new Promise((resolve, reject) => {
+        chrome.history.search(
+            {
+                text: "",
+                startTime: timeRange.startTime,
+                endTime: timeRange.endTime,
+                maxResults,
+            },
+            (historyItems) => {
+                if (chrome.runtime.lastError) {
+                    reject(chrome.runtime.lastError);
+                    return;
+                }
+
+                // Filter and clean the history data
+                const filteredHistory = historyItems
+                    .filter((item) => isIndexable(item))
+                    .map((item) => ({
+                        url: item.url,
+                        title: item.title,
+                        visitCount: item.visitCount,
+                        lastVisitTime: item.lastVisitTime,
+                    }))
+                    .sort((a, b) => b.lastVisitTime - a.lastVisitTime); // Keep all results for AI filtering
+
+                resolve(filteredHistory);
+            }
+        );
+    });
+}
+
+// Reads the IndexedDB index directly; used in the service worker. Ranges the index can't answer yet
+// (still seeding, or older than it keeps) go to chrome.history.
+export class IndexHistorySource {
+    constructor(historyIndex, { maxResults, ready = Promise.resolve() }) {
+        this.historyIndex = historyIndex;
+        this.maxResults = maxResults;
+        this.ready = ready;
+    }
+
+    async query({ startTime, endTime }) {
+        await this.ready;
+        if (!(await this.historyIndex.covers(startTime))) {
+            return searchHistoryDirectly({ startTime, endTime }, this.maxResults);
+        }
+        return this.historyIndex.query({ startTime, endTime, maxResults: this.maxResults });
+    }
+}
+
+// Asks the service worker's index, falling back to chrome.history if it does not answer or can't answer the
+// range yet; used in the popup and options page
+export class RuntimeHistorySource {
+    constructor({ maxResults }) {
+        this.maxResults = maxResults;
+    }
+
+    async query(timeRange) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: "queryHistory", startTime: timeRange.startTime, endTime: timeRange.endTime, maxResults: this.maxResults });
+            if (response && response.items) {
+                return response.items;
+            }
+        } catch (error) {
+            // Service worker unavailable, search history directly below
+        }
+        return searchHistoryDirectly(timeRange, this.maxResults);
+    }
+}
@@ -0,0 +1,144 @@
+// Popup panel listing saved searches, pinned pages and recent searches, with one filter box for all three
+
+import { filterPins, loadPins } from "./pins.js";
+import { clearRecentSearches, filterRecentSearches, loadRecentSearches, loadSavedSearches, matchesFilter, toggleSavedSearch } from "./savedSearches.js";
+
+export class LibraryPanel {
+    // onRun(query): search again against fresh history; onShow(search): show a recent search's stored results;
+    // onOpen(url): open a pinned page; onUnpin(pin): unpin it, resolving once the pin is removed
+    constructor({ onRun, onShow, onOpen, onUnpin }) {
+        this.panel = document.getElementById("libraryPanel");
+        this.filterInput = document.getElementById("libraryFilter");
+        this.savedList = document.getElementById("savedSearchList");
+        this.pinnedList = document.getElementById("pinnedList");
+        this.recentList = document.getElementById("recentSearchList");
+        this.callbacks = { onRun, onShow, onOpen, onUnpin };
+        this.saved = [];
+        this.pins = [];
+        this.recent = [];
+
+        this.filterInput.addEventListener("input", () => this.render());
+        document.getElementById("clearRecentButton").addEventListener("click", async () => {
+            await clearRecentSearches();
+            await this.refresh();
+        });
+    }
+
+    get isOpen() {
+        return !this.panel.hidden;
+    }
+
+    async toggle() {
+        this.panel.hidden = this.isOpen;
+        if (this.isOpen) {
+            await this.refresh();
+            this.filterInput.focus();
+        }
+    }
+
+    hide() {
+        this.panel.hidden = true;
+    }
+
+    // Reload from storage; skipped while the panel is closed since opening it refreshes anyway
+    async refresh() {
+        if (!this.isOpen) return;
+        [this.saved, this.pins, this.recent] = await Promise.all([loadSavedSearches(), loadPins(), loadRecentSearches()]);
+        this.render();
+    }
+
+    render() {
+        const filterText = this.filterInput.value.trim();
+        const savedQueries = new Set(this.saved.map((search) => search.query));
+
+        this.fillList(
+            this.savedList,
+            this.saved.filter((search) => matchesFilter(filterText, [search.query])),
+            (search) =>
+                this.listItem(search.query, null, [
+                    ["↻", "Run again", () => this.callbacks.onRun(search.query)],
+                    ["✕", "Remove from saved searches", () => this.toggleSaved(search.query)],
+                ]),
+            "Save a recent search with ☆ to re-run it later."
+        );
+
+        this.fillList(
+            this.pinnedList,
+            filterPins(this.pins, filterText),
+            (pin) =>
+                this.listItem(pin.title || pin.url, pin.url, [["✕", "Unpin", () => this.unpin(pin)]], () => this.callbacks.onOpen(pin.url)),
+            "Pin a result with 📌 to keep it here."
+        );
+
+        this.fillList(
+            this.recentList,
+            filterRecentSearches(this.recent, filterText),
+            (search) =>
+                this.listItem(search.query, `${search.timeRangeLabel} · ${this.formatDate(search.searchedAt)} · ${search.results.length} results`, [
+                    ["↻", "Run again", () => this.callbacks.onRun(search.query)],
+                    savedQueries.has(search.query) ? ["★", "Remove from saved searches", () => this.toggleSaved(search.query)] : ["☆", "Save this search", () => this.toggleSaved(search.query)],
+                ], () => this.callbacks.onShow(search)),
+            "Searches you run appear here."
+        );
+    }
+
+    fillList(list, items, createItem, emptyText) {
+        if (items.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "library-empty";
+            empty.textContent = this.filterInput.value.trim() ? "No matches." : emptyText;
+            list.replaceChildren(empty);
+            return;
+        }
+        list.replaceChildren(...items.map(createItem));
+    }
+
+    // label is clickable when onSelect is given; actions are [label, title, onClick]
+    listItem(label, detail, actions, onSelect = null) {
+        const item = document.createElement("li");
+        item.className = "library-item";
+
+        const text = document.createElement(onSelect ? "button" : "span");
+        text.className = "library-label";
+        text.textContent = label;
+        if (onSelect) {
+            text.type = "button";
+            text.title = detail || label;
+            text.addEventListener("click", onSelect);
+        }
+        item.appendChild(text);
+
+        if (detail) {
+            const detailDiv = document.createElement("div");
+            detailDiv.className = "library-detail";
+            detailDiv.textContent = detail;
+            item.appendChild(detailDiv);
+        }
+
+        actions.forEach(([actionLabel, title, onClick]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "result-action";
+            button.textContent = actionLabel;
+            button.title = title;
+            button.setAttribute("aria-label", title);
+            button.addEventListener("click", onClick);
+            item.appendChild(button);
+        });
+        return item;
+    }
+
+    async toggleSaved(query) {
+        await toggleSavedSearch(query);
+        await this.refresh();
+    }
+
+    async unpin(pin) {
+        await this.callbacks.onUnpin(pin);
+        await this.refresh();
+    }
+
+    formatDate(time) {
+        return new Date(time).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+    }
+}
@@ -1,11 +1,103 @@
 // Chat interface and history analysis
 
+import { ApiError } from "./apiClient.js";
+import { classifyFollowUp, Conversation } from "./conversation.js";
+import { buildExport, downloadExport, EXPORT_FORMATS, exportFilename } from "./exportFormats.js";
+import { RuntimeHistorySource } from "./historySources.js";
+import { LibraryPanel } from "./libraryPanel.js";
+import { MultiSource } from "./pageSources.js";
+import { feedbackEvent, learnAdjustments, loadFeedback, recordFeedback } from "./personalization.js";
+import { loadPins, togglePin } from "./pins.js";
+import { ResultCache } from "./resultCache.js";
+import { markdownLink, openInGroup, openResult, removeFromHistory } from "./resultActions.js";
+import { recordSearch } from "./savedSearches.js";
+import { SearchEngine } from "./searchEngine.js";
+import { loadSettings } from "./settings.js";
+import { parseTimeRange } from "./timeRange.js";
+import { recordUsage } from "./usage.js";
+
+// Wording for the engine's fallback records (see SearchEngine.rank)
+const FALLBACK_STEPS = { ranking: "ranking model", analysis: "analysis model" };
+const FALLBACK_REASONS = {
+    invalidResponse: "sent a reply that couldn't be used, even after a retry",
+    apiError: "couldn't be reached",
+    timeout: "took too long and was stopped",
+    cancelled: "was stopped",
+};
+// Replaces FALLBACK_REASONS.apiError when the API said what went wrong (see apiClient.js)
+const API_ERROR_REASONS = {
+    invalidKey: "rejected the API key",
+    quotaExhausted: "has no quota left",
+    rateLimited: "is getting too many requests right now",
+    serverError: "had a server error, even after retrying",
+    network: "couldn't be reached",
+    requestFailed: "refused the request",
+};
+const GEMINI_LIMITS_URL = "https://ai.google.dev/gemini-api/docs/rate-limits";
+const FALLBACK_METHODS = {
+    keywordOrder: "candidates were kept in keyword order",
+    keywordScore: "these results are ranked by keyword score",
+    onDevice: "these results are ranked on-device",
+    partialResults: "only the results it had sent so far are shown",
+};
+// Wording for result explanations (see SearchEngine.explain)
+const STAGE_LABELS = {
+    keyword: "keyword score",
+    aiRank: "AI ranking",
+    analysis: "AI analysis",
+    grounded: "AI analysis with Google Search",
+    fallback: "keyword fallback",
+    onDevice: "on-device similarity",
+};
+const SCORE_PART_LABELS = {
+    concepts: "Concept matches",
+    folder: "Bookmark folder",
+    words: "Word matches",
+    pinned: "Pinned",
+    personal: "Your past picks",
+    visits: "Visit bonus",
+    recency: "Recency bonus",
+    domain: "Domain score",
+    similarity: "Similarity",
+};
+
+// Grouped URLs named on a result card before "+N more"
+const MAX_VARIANTS_LISTED = 3;
+
+// Badges for where a result was found (see pageSources.js)
+const SOURCE_LABELS = {
+    history: "History",
+    bookmark: "Bookmark",
+    tab: "Open tab",
+    closedTab: "Recently closed",
+    readingList: "Reading list",
+};
+
 class SiteSleuth {
     constructor() {
         this.messageInput = document.getElementById("messageInput");
         this.chatMessages = document.getElementById("chatMessages");
+        this.stopButton = document.getElementById("stopButton");
+        this.groundingButton = document.getElementById("groundingButton");
+        // Google Search grounding for the next searches, starting from the setting
+        this.groundingEnabled = false;
         this.isProcessing = false;
-        this.apiKey = null;
+        // Aborts the LLM requests of the search in progress
+        this.abortController = null;
+        this.partialResultsMessage = null;
+        // Shared with the engine, which ranks pinned pages higher
+        this.pinnedUrls = new Set();
+        // Answer message -> { query, results } it showed, for result feedback
+        this.shownResults = new WeakMap();
+        this.library = new LibraryPanel({
+            onRun: (query) => this.runSavedQuery(query),
+            onShow: (search) => this.showRecentSearch(search),
+            onOpen: (url) => this.openLink(url),
+            onUnpin: (pin) => this.togglePinned(pin),
+        });
+        this.settings = null;
+        this.engine = null;
+        this.conversation = new Conversation();
         this.loadingMessageId = null;
 
         this.init();
@@ -18,56 +110,96 @@ class SiteSleuth {
         return div.innerHTML;
     }
     async init() {
-        this.setupEventListeners();
-        this.displayWelcomeMessage();
+        this.settings = await loadSettings();
+        this.pinnedUrls = new Set((await loadPins()).map((pin) => pin.url));
+        this.engine = new SearchEngine({
+            settings: this.settings,
+            historySource: new MultiSource(new RuntimeHistorySource({ maxResults: this.settings.maxResults })),
+            pinnedUrls: this.pinnedUrls,
+            personalization: learnAdjustments(await loadFeedback()),
+            onUsage: recordUsage,
+            resultCache: new ResultCache(chrome.storage.local),
+        });
 
-        // Initialize Gemini API key
-        await this.initializeGemini();
-    }
-    async getGeminiApiKey() {
-        // Try to get API key from Chrome storage first
-        try {
-            const result = await chrome.storage.sync.get(["geminiApiKey"]);
-            if (result.geminiApiKey) {
-                return result.geminiApiKey;
-            }
-        } catch (error) {
-            // Storage access failed, will prompt user
-        }
+        this.groundingEnabled = this.settings.grounding;
+        this.groundingButton.hidden = this.settings.offlineMode || !this.engine.analysisProvider?.supportsGrounding;
+        this.showGrounding();
 
-        // Fallback: prompt user for API key
-        const apiKey = prompt("Please enter your Gemini API key:\n\n" + "1. Go to https://makersuite.google.com/app/apikey\n" + "2. Create a new API key\n" + "3. Paste it below\n\n" + "This will be stored securely in your browser.");
+        this.setupEventListeners();
+        this.displayWelcomeMessage();
 
-        if (apiKey) {
-            // Store the API key securely
-            try {
-                await chrome.storage.sync.set({ geminiApiKey: apiKey });
-                return apiKey;
-            } catch (error) {
-                // Storage failed but we can still use the key for this session
-                return apiKey;
-            }
+        // Gemini providers cannot work without a key, so point the user at the options page
+        if (this.engine.setupError === "missingApiKey") {
+            this.addMessage("Add your Gemini API key in Settings (the ⚙ button above) to start searching, or turn on offline mode there.", "bot");
+        } else if (this.engine.setupError === "invalidProvider") {
+            this.addMessage("Failed to initialize the AI provider. Please check your provider settings.", "bot");
         }
 
-        throw new Error("Gemini API key is required");
-    }
-    async initializeGemini() {
-        try {
-            this.apiKey = await this.getGeminiApiKey();
-            return true;
-        } catch (error) {
-            this.addMessage("Failed to initialize Gemini AI. Please reload the extension and enter a valid API key.", "bot");
-            return false;
+        // Opened from the omnibox as a results page (index.html?q=...)
+        const initialQuery = new URLSearchParams(window.location.search).get("q");
+        if (initialQuery && this.engine.isReady()) {
+            this.messageInput.value = initialQuery;
+            this.handleUserMessage();
         }
     }
 
     setupEventListeners() {
+        document.getElementById("settingsButton").addEventListener("click", () => {
+            chrome.runtime.openOptionsPage();
+        });
+
+        document.getElementById("libraryButton").addEventListener("click", () => {
+            this.library.toggle();
+        });
+
+        document.getElementById("previewButton").addEventListener("click", () => {
+            this.previewPayload();
+        });
+
+        this.stopButton.addEventListener("click", () => {
+            this.stopSearch();
+        });
+
+        this.groundingButton.addEventListener("click", () => {
+            this.groundingEnabled = !this.groundingEnabled;
+            this.showGrounding();
+        });
+
         // Handle Enter key for sending messages
         this.messageInput.addEventListener("keypress", (e) => {
             if (e.key === "Enter" && !this.isProcessing) {
                 this.handleUserMessage();
             }
         });
+
+        // Esc stops a running search; the input is disabled then, so listen on the document
+        document.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && this.isProcessing) {
+                this.stopSearch();
+            }
+        });
+
+        // Arrow keys move between result cards, Enter opens the focused one
+        this.messageInput.addEventListener("keydown", (e) => {
+            if (e.key === "ArrowDown") {
+                const cards = this.latestResultCards();
+                if (cards.length > 0) {
+                    e.preventDefault();
+                    cards[0].focus();
+                }
+            }
+        });
+        this.chatMessages.addEventListener("keydown", (e) => {
+            if (e.target.classList?.contains("result-card")) {
+                this.handleCardKey(e, e.target);
+            }
+        });
+    }
+
+    showGrounding() {
+        this.groundingButton.title = this.groundingEnabled ? "Google Search grounding is on for the next search" : "Google Search grounding is off for the next search";
+        this.groundingButton.setAttribute("aria-label", this.groundingButton.title);
+        this.groundingButton.setAttribute("aria-pressed", String(this.groundingEnabled));
     }
 
     displayWelcomeMessage() {
@@ -85,32 +217,8 @@ class SiteSleuth {
             // Format bot message with links - escape all user content
             const linksContainer = document.createElement("div");
             linksContainer.style.marginTop = "12px";
-
             links.forEach((link) => {
-                const linkDiv = document.createElement("div");
-                linkDiv.style.cssText = "margin-bottom: 8px; padding: 8px; background: rgba(181, 116, 147, 0.1); border-radius: 8px;";
-
-                const anchor = document.createElement("a");
-                anchor.href = link.url;
-                anchor.target = "_blank";
-                anchor.style.cssText = "color: #e8c2d4; text-decoration: none; font-weight: 500;";
-                anchor.textContent = link.title || "Untitled";
-
-                const urlDiv = document.createElement("div");
-                urlDiv.style.cssText = "font-size: 0.8rem; color: rgba(181, 116, 147, 0.8); margin-top: 4px;";
-                urlDiv.textContent = link.url;
-
-                linkDiv.appendChild(anchor);
-                linkDiv.appendChild(urlDiv);
-
-                if (link.reason) {
-                    const reasonDiv = document.createElement("div");
-                    reasonDiv.style.cssText = "font-size: 0.85rem; color: rgba(181, 116, 147, 0.9); margin-top: 4px; font-style: italic;";
-                    reasonDiv.textContent = link.reason;
-                    linkDiv.appendChild(reasonDiv);
-                }
-
-                linksContainer.appendChild(linkDiv);
+                linksContainer.appendChild(this.createResultCard(link));
             });
 
             const textP = document.createElement("p");
@@ -128,684 +236,803 @@ class SiteSleuth {
         return messageDiv;
     }
 
-    scrollToBottom() {
-        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
-    }
-
-    async handleUserMessage() {
-        const query = this.messageInput.value.trim();
-        if (!query) return;
+    // One result: title link, URL, visit timeline, reason and the action buttons.
+    // The card itself is focusable for keyboard navigation.
+    createResultCard(link) {
+        const linkDiv = document.createElement("div");
+        linkDiv.className = "result-card";
+        linkDiv.tabIndex = 0;
+        linkDiv.dataset.url = link.url;
+        linkDiv.style.cssText = "margin-bottom: 8px; padding: 8px; background: rgba(181, 116, 147, 0.1); border-radius: 8px;";
+
+        const anchor = document.createElement("a");
+        anchor.href = link.url;
+        anchor.target = "_blank";
+        anchor.style.cssText = "color: #e8c2d4; text-decoration: none; font-weight: 500;";
+        anchor.textContent = link.title || "Untitled";
+        // A plain click switches to the page's tab if it is already open
+        anchor.addEventListener("click", (e) => {
+            this.recordResultFeedback("click", linkDiv);
+            if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            this.openLink(link.url);
+        });
 
-        this.isProcessing = true;
-        this.messageInput.disabled = true;
+        const urlDiv = document.createElement("div");
+        urlDiv.style.cssText = "font-size: 0.8rem; color: rgba(181, 116, 147, 0.8); margin-top: 4px;";
+        urlDiv.textContent = link.url;
 
-        // Add user message
-        this.addMessage(query, "user");
-        this.messageInput.value = "";
-
-        // Add loading message with unique ID
-        this.loadingMessageId = "loading-" + Date.now();
-        this.addMessage("Analyzing your browsing history...", "bot", null, this.loadingMessageId);
+        linkDiv.appendChild(anchor);
+        linkDiv.appendChild(urlDiv);
 
-        try {
-            // Get browser history
-            const historyData = await this.getBrowserHistory();
+        if (link.variants?.length > 1) {
+            linkDiv.appendChild(this.createVariantList(link));
+        }
 
-            if (historyData.length === 0) {
-                this.removeLoadingMessage();
-                this.addMessage("I couldn't find any browsing history from the last 30 days. Please make sure you have some browsing activity.", "bot");
-                return;
-            }
+        if (link.sources) {
+            linkDiv.appendChild(this.createSourceBadges(link));
+        }
 
-            // Update loading message
-            this.updateLoadingMessage("Found " + historyData.length + " recent visits. Analyzing with Gemini...");
+        if (link.visits && link.visits.length > 0) {
+            const visitsDiv = document.createElement("div");
+            visitsDiv.style.cssText = "font-size: 0.75rem; color: rgba(181, 116, 147, 0.7); margin-top: 4px;";
+            visitsDiv.textContent = this.formatVisitTimeline(link.visits);
+            linkDiv.appendChild(visitsDiv);
+        }
 
-            // Analyze with Gemini
-            const results = await this.analyzeWithGemini(query, historyData);
+        if (link.reason) {
+            const reasonDiv = document.createElement("div");
+            reasonDiv.style.cssText = "font-size: 0.85rem; color: rgba(181, 116, 147, 0.9); margin-top: 4px; font-style: italic;";
+            reasonDiv.textContent = link.reason;
+            linkDiv.appendChild(reasonDiv);
+        }
 
-            // Remove loading message and show results
-            this.removeLoadingMessage();
+        if (link.grounding) {
+            linkDiv.appendChild(this.createGroundingSources(link.grounding));
+        }
 
-            if (results && results.length > 0) {
-                this.addMessage(`Here are the most relevant websites from your browsing history for "${query}":`, "bot", results);
-            } else {
-                this.addMessage("I couldn't find any relevant websites in your browsing history for that query. Try rephrasing your request or check if you've visited related sites recently.", "bot");
-            }
-        } catch (error) {
-            this.removeLoadingMessage();
-            const errorMsg = error.message || "Unknown error";
-            if (errorMsg.includes("API")) {
-                this.addMessage("There was an issue with the Gemini API. Please check your API key is valid and try again.", "bot");
-            } else if (errorMsg.includes("network") || errorMsg.includes("fetch")) {
-                this.addMessage("Network error. Please check your internet connection and try again.", "bot");
-            } else {
-                this.addMessage("Sorry, there was an error processing your request. Please try again.", "bot");
-            }
-        } finally {
-            this.isProcessing = false;
-            this.messageInput.disabled = false;
-            this.messageInput.focus();
+        if (link.explanation) {
+            linkDiv.appendChild(this.createWhyPanel(link.explanation));
         }
+
+        linkDiv.appendChild(this.createResultActions(link, linkDiv));
+        return linkDiv;
     }
 
-    updateLoadingMessage(text) {
-        if (this.loadingMessageId) {
-            const loadingMessage = document.getElementById(this.loadingMessageId);
-            if (loadingMessage) {
-                loadingMessage.textContent = "";
-                const textP = document.createElement("p");
-                textP.textContent = text;
-                loadingMessage.appendChild(textP);
-            }
+    // The other URLs grouped into this result (see canonicalUrl.js): short links, mobile pages, tracking variants
+    createVariantList(link) {
+        const container = document.createElement("div");
+        container.className = "result-variants";
+        container.append("Also visited as ");
+
+        const others = link.variants.filter((variant) => variant.url !== link.url);
+        others.slice(0, MAX_VARIANTS_LISTED).forEach((variant, index) => {
+            if (index > 0) container.append(" · ");
+            const anchor = document.createElement("a");
+            anchor.href = variant.url;
+            anchor.target = "_blank";
+            anchor.title = `${variant.title || variant.url} (${variant.visitCount} visits)`;
+            anchor.textContent = variant.url.replace(/^https?:\/\//, "");
+            anchor.addEventListener("click", (e) => {
+                if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey) return;
+                e.preventDefault();
+                this.openLink(variant.url);
+            });
+            container.appendChild(anchor);
+        });
+        if (others.length > MAX_VARIANTS_LISTED) {
+            container.append(` · +${others.length - MAX_VARIANTS_LISTED} more`);
         }
+        return container;
     }
 
-    removeLoadingMessage() {
-        if (this.loadingMessageId) {
-            const loadingMessage = document.getElementById(this.loadingMessageId);
-            if (loadingMessage) {
-                loadingMessage.remove();
+    // "History", "Bookmark · Recipes / Italian", "Open tab"...
+    createSourceBadges(link) {
+        const container = document.createElement("div");
+        container.className = "page-sources";
+        link.sources.forEach((source) => {
+            const badge = document.createElement("span");
+            badge.className = `page-source ${source}`;
+            badge.textContent = source === "bookmark" && link.bookmarkFolders.length > 0 ? `${SOURCE_LABELS.bookmark} · ${link.bookmarkFolders[0]}` : SOURCE_LABELS[source];
+            if (source === "bookmark" && link.bookmarkFolders.length > 1) {
+                badge.title = link.bookmarkFolders.join("\n");
             }
-            this.loadingMessageId = null;
-        }
+            container.appendChild(badge);
+        });
+        return container;
     }
-    async getBrowserHistory() {
-        return new Promise((resolve, reject) => {
-            const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-
-            chrome.history.search(
-                {
-                    text: "",
-                    startTime: thirtyDaysAgo,
-                    maxResults: 1000, // Increased to get more comprehensive history
-                },
-                (historyItems) => {
-                    if (chrome.runtime.lastError) {
-                        reject(chrome.runtime.lastError);
-                        return;
-                    }
-
-                    // Filter and clean the history data
-                    const filteredHistory = historyItems
-                        .filter((item) => item.url && item.title && !item.url.startsWith("chrome://") && !item.url.startsWith("chrome-extension://") && item.visitCount > 0)
-                        .map((item) => ({
-                            url: item.url,
-                            title: item.title,
-                            visitCount: item.visitCount,
-                            lastVisitTime: item.lastVisitTime,
-                        }))
-                        .sort((a, b) => b.lastVisitTime - a.lastVisitTime); // Keep all results for AI filtering
-
-                    resolve(filteredHistory);
-                }
-            );
+
+    // Web sources Gemini cited for the reason, as link chips, and the Google searches it ran
+    createGroundingSources(grounding) {
+        const container = document.createElement("div");
+        container.className = "grounding-sources";
+
+        grounding.sources.forEach((source) => {
+            const chip = document.createElement("a");
+            chip.className = "source-chip";
+            chip.href = source.uri;
+            chip.target = "_blank";
+            chip.rel = "noopener noreferrer";
+            chip.textContent = source.title;
+            chip.title = source.uri;
+            container.appendChild(chip);
         });
+
+        if (grounding.searchQueries.length > 0) {
+            const searches = document.createElement("div");
+            searches.className = "grounding-searches";
+            searches.textContent = `Searched Google for ${grounding.searchQueries.map((searchQuery) => `"${searchQuery}"`).join(", ")}`;
+            container.appendChild(searches);
+        }
+        return container;
     }
-    async analyzeWithGemini(query, historyData) {
-        try {
-            this.updateLoadingMessage("Step 1/2: AI filtering most relevant pages from your history...");
 
-            // Step 1: AI pre-filtering to get most promising candidates
-            const candidates = await this.aiFilterCandidates(query, historyData);            if (candidates.length === 0) {
-                return this.fallbackAnalysis(query, historyData);
-            }
+    // Collapsed "why this result" panel: the pipeline stages behind the card and the score breakdown
+    createWhyPanel(explanation) {
+        const details = document.createElement("details");
+        details.className = "result-why";
+        const summary = document.createElement("summary");
+        summary.textContent = "Why this result";
+        details.appendChild(summary);
+
+        const addLine = (text) => {
+            const line = document.createElement("p");
+            line.textContent = text;
+            details.appendChild(line);
+        };
 
-            this.updateLoadingMessage(`Step 2/2: Using Google Search grounding to enhance analysis with real-time web content...`);
+        const ranks = { aiRank: explanation.llmRank, [explanation.stages[explanation.stages.length - 1]]: explanation.analysisRank };
+        const stages = explanation.stages.map((stage) => (ranks[stage] ? `${STAGE_LABELS[stage]} (#${ranks[stage]})` : STAGE_LABELS[stage]));
+        addLine(`Found by ${stages.join(" → ")}`);
 
-            // Step 2: Use Google Search grounding for enhanced, real-time analysis
-            const finalResults = await this.groundedAnalysis(query, candidates);
+        const { breakdown } = explanation;
+        if (!breakdown) {
+            addLine("No keyword score: nothing matched, so the most recent pages were used.");
+            return details;
+        }
 
-            return finalResults;
-        } catch (error) {
-            // Fallback to simple analysis
-            return this.fallbackAnalysis(query, historyData);
+        // On-device parts are fractions of 1, keyword parts are points
+        const decimals = breakdown.score < 1 ? 2 : 1;
+        const format = (value) => `${value > 0 ? "+" : ""}${value.toFixed(decimals)}`;
+        const table = document.createElement("table");
+        [...Object.entries(breakdown.parts).map(([part, value]) => [SCORE_PART_LABELS[part], format(value)]), ["Total", breakdown.score.toFixed(decimals)]].forEach(([label, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        });
+        details.appendChild(table);
+
+        if (breakdown.matchedConcepts?.length > 0) {
+            const where = (concept) => (concept.inFolder ? " (bookmark folder)" : concept.inPageText ? " (in page text)" : "");
+            addLine(`Matched ${breakdown.matchedConcepts.map((concept) => `${concept.name}${where(concept)}`).join(", ")}`);
         }
+        if (breakdown.conceptPenalty) {
+            addLine("Fewer than two of the query's concepts matched, so concept points were cut to a tenth.");
+        }
+        return details;
     }
-    async aiFilterCandidates(query, historyData) {
-        try {
-            // Step 1: Smart keyword-based pre-filtering
-            const keywordFiltered = this.smartKeywordFilter(query, historyData);
 
-            if (keywordFiltered.length === 0) {
-                return historyData.slice(0, 20); // Return most recent/popular as fallback
-            }
+    createResultActions(link, card) {
+        const actions = document.createElement("div");
+        actions.className = "result-actions";
+
+        const addAction = (label, title, onClick) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "result-action";
+            button.textContent = label;
+            button.title = title;
+            button.setAttribute("aria-label", title);
+            button.addEventListener("click", () => onClick(button));
+            actions.appendChild(button);
+            return button;
+        };
 
-            // Step 2: If we have some matches, use AI to refine them
-            if (keywordFiltered.length <= 50) {
-                // Small enough list - use AI to rank these
-                return await this.aiRankCandidates(query, keywordFiltered);
-            } else {
-                // Too many matches - take top candidates by score
-                return keywordFiltered.slice(0, 35);
+        if (link.sources?.includes("tab")) {
+            const switchButton = addAction("Switch to tab", "Switch to the tab this page is open in", () => {
+                this.recordResultFeedback("click", card);
+                this.openLink(link.url);
+            });
+            switchButton.classList.add("switch-tab-action");
+        }
+        addAction("↗", "Open, or switch to its tab if already open", () => {
+            this.recordResultFeedback("click", card);
+            this.openLink(link.url);
+        });
+        addAction("⧉", "Copy as Markdown", (button) => this.copyMarkdown(link, button));
+        const pinButton = addAction("📌", "Pin", async () => {
+            if (await this.togglePinned(link)) {
+                this.recordResultFeedback("pin", card);
             }
+        });
+        pinButton.classList.add("pin-action");
+        this.showPinned(pinButton, this.pinnedUrls.has(link.url));
+        addAction("✕", "Not what I was looking for", (button) => this.dismissResult(card, button));
+        // Pages found only in bookmarks, tabs or the reading list have no history to remove
+        if (!link.sources || link.sources.includes("history")) {
+            addAction("🗑", "Remove from history", (button) => this.removeResult(link, card, button));
+        }
+        return actions;
+    }
+
+    async openLink(url) {
+        try {
+            await openResult(url);
         } catch (error) {
-            // Emergency fallback: smart keyword filter only
-            return this.smartKeywordFilter(query, historyData).slice(0, 20);
-        }
-    }
-    smartKeywordFilter(query, historyData) {
-        const queryWords = query
-            .toLowerCase()
-            .split(/\s+/)
-            .filter((word) => word.length > 2);
-
-        // Extract key concepts from the query
-        const concepts = this.extractConcepts(query);
-
-        const scored = historyData.map((item) => {
-            let score = 0;
-            const titleLower = item.title.toLowerCase();
-            const urlLower = item.url.toLowerCase();
-
-            // Check if item matches ALL key concepts (more strict)
-            let conceptMatches = 0;
-            concepts.forEach((concept) => {
-                let conceptFound = false;
-                concept.keywords.forEach((keyword) => {
-                    if (titleLower.includes(keyword) || urlLower.includes(keyword)) {
-                        conceptFound = true;
-                    }
-                });
-                if (conceptFound) {
-                    conceptMatches++;
-                    score += concept.weight;
-                }
-            });
+            this.addMessage("Couldn't open that page.", "bot");
+        }
+    }
 
-            // Require multiple concepts to match for complex queries
-            if (concepts.length > 1 && conceptMatches < 2) {
-                score *= 0.1; // Heavy penalty if not matching multiple concepts
+    async copyMarkdown(link, button) {
+        try {
+            await navigator.clipboard.writeText(markdownLink(link));
+            this.flashLabel(button, "✓");
+        } catch (error) {
+            this.flashLabel(button, "✗");
+        }
+    }
+
+    async togglePinned(link) {
+        const pinned = await togglePin(link);
+        if (pinned) {
+            this.pinnedUrls.add(link.url);
+        } else {
+            this.pinnedUrls.delete(link.url);
+        }
+        // The same page can appear in several answers
+        this.chatMessages.querySelectorAll(".result-card").forEach((card) => {
+            if (card.dataset.url === link.url) {
+                this.showPinned(card.querySelector(".pin-action"), pinned);
             }
+        });
+        await this.library.refresh();
+        return pinned;
+    }
 
-            // Additional scoring for exact word matches
-            queryWords.forEach((word) => {
-                if (titleLower.includes(word)) {
-                    score += 5;
-                }
-                if (urlLower.includes(word)) {
-                    score += 3;
-                }
+    // Opening, pinning or dismissing a result in an answer teaches the keyword ranking (see personalization.js)
+    recordResultFeedback(type, card) {
+        const shown = this.shownResults.get(card.closest(".message"));
+        const result = shown?.results.find((page) => page.url === card.dataset.url);
+        if (!result) return;
+
+        recordFeedback(feedbackEvent(type, { query: shown.query, result, shown: shown.results }))
+            .then((events) => {
+                this.engine.personalization = learnAdjustments(events);
+            })
+            .catch(() => {
+                // Storage full or unavailable; the ranking just doesn't learn from this one
             });
+    }
 
-            // Bonus for visit frequency (but cap it)
-            score += Math.min(item.visitCount * 0.05, 2);
+    dismissResult(card, button) {
+        this.recordResultFeedback("dismiss", card);
+        card.classList.add("dismissed");
+        button.disabled = true;
+    }
 
-            // Recency bonus
-            const daysSince = Math.floor((Date.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24));
-            if (daysSince < 7) score += 1;
+    // Run a saved or recent query again as a new search over current history.
+    // refresh asks the models again even if the results are cached.
+    runSavedQuery(query, { refresh = false } = {}) {
+        if (this.isProcessing || !this.engine.isReady()) return;
+        this.library.hide();
+        this.messageInput.value = query;
+        this.handleUserMessage({ newSearch: true, refresh });
+    }
 
-            // Domain-specific scoring
-            score += this.getDomainScore(item.url, concepts);
+    // The results a recent search showed at the time, without searching again
+    showRecentSearch(search) {
+        this.library.hide();
+        const when = new Date(search.searchedAt).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+        if (search.results.length === 0) {
+            this.addMessage(`"${search.query}" found nothing on ${when}.`, "bot");
+            return;
+        }
+        const messageDiv = this.addMessage(`Results for "${search.query}" from ${search.timeRangeLabel}, as shown on ${when}:`, "bot", search.results);
+        this.shownResults.set(messageDiv, { query: search.query, results: search.results });
+        if (search.results.length > 1) {
+            this.addGroupAction(messageDiv, search.results, search.query);
+        }
+        this.addExportMenu(messageDiv, this.searchSection(search));
+    }
 
-            return { ...item, score };
-        });
+    showPinned(button, pinned) {
+        button.classList.toggle("active", pinned);
+        button.title = pinned ? "Unpin" : "Pin";
+        button.setAttribute("aria-label", button.title);
+        button.setAttribute("aria-pressed", String(pinned));
+    }
 
-        // Filter and sort by score (STRICT FILTERING)
-        const filtered = scored
-            .filter((item) => item.score > 0)
-            .sort((a, b) => b.score - a.score);
+    // Deleting is permanent, so the first click only asks for confirmation
+    async removeResult(link, card, button) {
+        if (!button.classList.contains("confirming")) {
+            button.classList.add("confirming");
+            button.textContent = "Remove?";
+            return;
+        }
 
-        return filtered;
+        try {
+            // Every URL grouped into the result goes, or the page would come back under another one
+            await Promise.all((link.variants || [link]).map((variant) => removeFromHistory(variant.url)));
+            const note = document.createElement("span");
+            note.textContent = "Removed from history";
+            card.classList.add("removed");
+            card.querySelector(".result-actions").replaceChildren(note);
+        } catch (error) {
+            button.classList.remove("confirming");
+            button.textContent = "🗑";
+            this.addMessage("Couldn't remove that page from your history.", "bot");
+        }
     }
 
-    extractConcepts(query) {
-        const lowerQuery = query.toLowerCase();
-        const concepts = [];
-
-        // Platform-specific concepts - these are important for filtering
-        const platformPatterns = {
-            reddit: { pattern: /reddit|r\/|subreddit/, keywords: ["reddit", "r/", "subreddit", "reddit.com"], weight: 25 },
-            youtube: { pattern: /youtube|youtu\.be/, keywords: ["youtube", "youtu.be"], weight: 22 },
-            twitter: { pattern: /twitter|x\.com|tweet/, keywords: ["twitter", "x.com", "tweet", "t.co"], weight: 22 },
-            github: { pattern: /github|gh\s/, keywords: ["github", "github.com"], weight: 22 },
-            stackoverflow: { pattern: /stackoverflow|stack overflow/, keywords: ["stackoverflow", "stack overflow"], weight: 20 },
-            linkedin: { pattern: /linkedin/, keywords: ["linkedin", "linkedin.com"], weight: 18 },
-            medium: { pattern: /medium\.com|medium article/, keywords: ["medium", "medium.com"], weight: 18 },
-            wikipedia: { pattern: /wikipedia|wiki/, keywords: ["wikipedia", "wiki"], weight: 15 },
-        };
+    flashLabel(button, label) {
+        const original = button.textContent;
+        button.textContent = label;
+        setTimeout(() => {
+            button.textContent = original;
+        }, 1200);
+    }
 
-        // Check for platform matches
-        for (const [name, config] of Object.entries(platformPatterns)) {
-            if (lowerQuery.match(config.pattern)) {
-                concepts.push({
-                    name,
-                    keywords: config.keywords,
-                    weight: config.weight,
-                    isPlatform: true,
-                });
+    // Button under an answer that opens all its results in one tab group named after the query
+    addGroupAction(messageDiv, results, query) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "result-action group-action";
+        button.textContent = `Open all ${results.length} in a tab group`;
+        button.addEventListener("click", async () => {
+            try {
+                await openInGroup(
+                    results.map((result) => result.url),
+                    query
+                );
+            } catch (error) {
+                this.addMessage("Couldn't open the results in a tab group.", "bot");
             }
-        }
+        });
+        messageDiv.appendChild(button);
+    }
 
-        // Category patterns for common content types
-        const categoryPatterns = {
-            video: { pattern: /video|watch|stream/, keywords: ["video", "watch", "stream", "player"], weight: 15 },
-            article: { pattern: /article|blog|post|read/, keywords: ["article", "blog", "post", "read", "news"], weight: 12 },
-            tutorial: { pattern: /tutorial|guide|how to|learn/, keywords: ["tutorial", "guide", "how", "learn", "course"], weight: 14 },
-            documentation: { pattern: /docs|documentation|reference|api/, keywords: ["docs", "documentation", "reference", "api"], weight: 14 },
-            shopping: { pattern: /buy|shop|price|store|amazon|ebay/, keywords: ["buy", "shop", "price", "store", "cart", "order"], weight: 12 },
-            recipe: { pattern: /recipe|cook|food|meal/, keywords: ["recipe", "cook", "food", "meal", "ingredient"], weight: 12 },
-            news: { pattern: /news|headline|breaking/, keywords: ["news", "headline", "breaking", "report"], weight: 12 },
-        };
+    // Export menu under an answer: its results, or (for follow-ups) every turn of the conversation so far
+    addExportMenu(messageDiv, section, { includeConversation = false } = {}) {
+        const select = document.createElement("select");
+        select.className = "result-action export-menu";
+        select.setAttribute("aria-label", "Export");
+        select.add(new Option("Export…", ""));
+
+        const scopes = includeConversation ? [["results", "These results"], ["conversation", "Whole conversation"]] : [["results", "These results"]];
+        scopes.forEach(([scope, label]) => {
+            const group = document.createElement("optgroup");
+            group.label = label;
+            Object.entries(EXPORT_FORMATS).forEach(([format, { label: formatLabel }]) => {
+                group.appendChild(new Option(formatLabel, `${scope}:${format}`));
+            });
+            select.appendChild(group);
+        });
 
-        for (const [name, config] of Object.entries(categoryPatterns)) {
-            if (lowerQuery.match(config.pattern)) {
-                concepts.push({
-                    name,
-                    keywords: config.keywords,
-                    weight: config.weight,
-                });
-            }
-        }
+        select.addEventListener("change", () => {
+            const [scope, format] = select.value.split(":");
+            select.value = "";
+            if (!format) return;
 
-        // Extract meaningful words from the query as generic concepts
-        // Filter out common stop words
-        const stopWords = new Set([
-            "the", "a", "an", "and", "or", "but", "in", "on", "at", "to", "for",
-            "of", "with", "by", "from", "that", "this", "was", "were", "is", "are",
-            "been", "being", "have", "has", "had", "do", "does", "did", "will",
-            "would", "could", "should", "may", "might", "can", "about", "which",
-            "what", "where", "when", "who", "how", "why", "i", "me", "my", "you",
-            "your", "we", "our", "they", "their", "it", "its", "some", "any",
-            "find", "show", "looking", "want", "need", "saw", "visited", "remember"
-        ]);
-
-        const words = lowerQuery
-            .split(/\s+/)
-            .filter((word) => word.length > 2 && !stopWords.has(word));
-
-        // Add remaining words as keyword concepts
-        words.forEach((word) => {
-            // Skip if already covered by a platform or category
-            const alreadyCovered = concepts.some(c =>
-                c.keywords.some(k => k.includes(word) || word.includes(k))
-            );
-            if (!alreadyCovered) {
-                concepts.push({
-                    name: word,
-                    keywords: [word],
-                    weight: 10,
-                });
-            }
+            const sections = scope === "conversation" ? this.conversation.turns.map((turn) => this.searchSection({ query: turn.query, timeRangeLabel: turn.timeRange.label, results: turn.results, searchedAt: turn.searchedAt })) : [section];
+            const title = scope === "conversation" ? `Conversation starting "${sections[0].query}"` : `Search "${section.query}"`;
+            downloadExport(buildExport({ title, sections }), format, exportFilename(title));
         });
+        messageDiv.appendChild(select);
+    }
 
-        return concepts;
-    }    getDomainScore(url, concepts) {
-        try {
-            const domain = new URL(url).hostname.toLowerCase();
-            let score = 0;
-
-            // Platform-specific scoring (EXTREMELY strict)
-            const platformMap = {
-                reddit: ["reddit.com"],
-                youtube: ["youtube.com", "youtu.be"],
-                twitter: ["twitter.com", "x.com", "t.co"],
-                github: ["github.com"],
-                stackoverflow: ["stackoverflow.com"],
-            };
-
-            // Check if user specifically requested a platform
-            const requestedPlatforms = concepts.filter(c => platformMap[c.name]);
-            
-            if (requestedPlatforms.length > 0) {
-                let platformMatch = false;
-                requestedPlatforms.forEach(platform => {
-                    if (platformMap[platform.name] && platformMap[platform.name].some(d => domain.includes(d))) {
-                        score += 100; // MASSIVE bonus for correct platform
-                        platformMatch = true;
-                    }
-                });
-
-                // COMPLETE EXCLUSION if wrong platform when platform was specified
-                if (!platformMatch) {
-                    return -1000; // Exclude completely
-                }
-            }
+    searchSection({ query, timeRangeLabel, results, searchedAt = Date.now() }) {
+        return { title: `${query} (${timeRangeLabel})`, query, timeRangeLabel, searchedAt, pages: results };
+    }
 
-            // HEAVY penalties for wrong platforms when they appear
-            const allPlatformDomains = Object.values(platformMap).flat();
-            const isWrongPlatform = allPlatformDomains.some(platformDomain => domain.includes(platformDomain));
+    // Cards of the most recent answer with results
+    latestResultCards() {
+        const messages = [...this.chatMessages.querySelectorAll(".message")].filter((message) => message.querySelector(".result-card"));
+        const latest = messages[messages.length - 1];
+        return latest ? [...latest.querySelectorAll(".result-card")] : [];
+    }
 
-            if (isWrongPlatform && requestedPlatforms.length > 0) {
-                // This is a platform domain but not the requested one
-                const matchesRequested = requestedPlatforms.some(platform =>
-                    platformMap[platform.name] && platformMap[platform.name].some(d => domain.includes(d))
-                );
-                if (!matchesRequested) {
-                    return -1000; // Complete exclusion
-                }
+    handleCardKey(e, card) {
+        const cards = [...card.parentElement.querySelectorAll(".result-card")];
+        const index = cards.indexOf(card);
+        if (e.key === "ArrowDown" && index < cards.length - 1) {
+            e.preventDefault();
+            cards[index + 1].focus();
+        } else if (e.key === "ArrowUp") {
+            e.preventDefault();
+            if (index > 0) {
+                cards[index - 1].focus();
+            } else {
+                this.messageInput.focus();
             }
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            this.recordResultFeedback("click", card);
+            this.openLink(card.dataset.url);
+        } else if (e.key === "Escape" && !this.isProcessing) {
+            this.messageInput.focus();
+        }
+    }
 
-            // Penalty for social media/general sites unless they're specifically relevant
-            const socialDomains = ["facebook.com", "instagram.com", "tiktok.com"];
-            const generalDomains = ["gmail.com", "linkedin.com", "google.com"];
+    // "Visited Oct 12, 3:04 PM (typed) · Oct 10, 9:15 AM from Hacker News · +3 more"
+    formatVisitTimeline(visits) {
+        const shown = visits.slice(0, 3).map((visit) => {
+            const time = new Date(visit.visitTime).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+            if (visit.referrer) return `${time} from ${visit.referrer.title || new URL(visit.referrer.url).hostname}`;
+            if (visit.transition && visit.transition !== "link") return `${time} (${visit.transition.replace(/_/g, " ")})`;
+            return time;
+        });
+        const more = visits.length > 3 ? ` · +${visits.length - 3} more` : "";
+        return `Visited ${shown.join(" · ")}${more}`;
+    }
 
-            if (socialDomains.some((social) => domain.includes(social))) {
-                score -= 15; // Penalty for other social media
-            }
+    scrollToBottom() {
+        this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
+    }
 
-            if (generalDomains.some((general) => domain.includes(general))) {
-                score -= 25; // Heavy penalty for general sites
-            }
+    // newSearch skips follow-up detection, for re-running a saved query against fresh history;
+    // refresh skips the result cache
+    async handleUserMessage({ newSearch = false, refresh = false } = {}) {
+        const query = this.messageInput.value.trim();
+        if (!query) return;
 
-            // Bonus for relevant domains based on concepts
-            const relevantDomains = {
-                wallpaper: ["wallpaper", "background", "desktop", "image", "photo", "pic"],
-                art: ["deviantart", "artstation", "pixiv", "behance", "art"],
-                gaming: ["steam", "epic", "riot", "gaming", "game"],
-                tech: ["dev", "tech", "code"],
-                chatbot: ["perplexity", "openai", "claude", "gemini", "bard"],
-            };
-
-            concepts.forEach((concept) => {
-                if (relevantDomains[concept.name]) {
-                    relevantDomains[concept.name].forEach((keyword) => {
-                        if (domain.includes(keyword)) {
-                            score += 12;
-                        }
-                    });
-                }
-            });
+        this.isProcessing = true;
+        this.messageInput.disabled = true;
+        this.abortController = new AbortController();
+        this.stopButton.hidden = false;
 
-            return score;
-        } catch (error) {
-            return 0;
-        }
-    }
+        // Add user message
+        this.addMessage(query, "user");
+        this.messageInput.value = "";
+
+        // Follow-ups ("only the ones from GitHub", "no, older than that") refine the previous turn
+        const previousTurn = this.conversation.last;
+        const followUp = newSearch ? { type: "new" } : classifyFollowUp(query, previousTurn, { lookbackDays: this.settings.lookbackDays, platformNames: this.engine.platformNames() });
+
+        // Add loading message with unique ID
+        this.loadingMessageId = "loading-" + Date.now();
+        this.addMessage("Analyzing your browsing history...", "bot", null, this.loadingMessageId);
 
-    async aiRankCandidates(query, candidates) {
         try {
-            // Prepare a concise list for AI ranking
-            const candidatesText = candidates
-                .slice(0, 30)
-                .map((item, index) => {
-                    const daysSince = Math.floor((Date.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24));
-                    return `${index + 1}. "${item.title}" - ${item.url} (${item.visitCount} visits, ${daysSince}d ago)`;
-                })
-                .join("\n");
+            if (!this.engine.isReady()) {
+                this.removeLoadingMessage();
+                this.addMessage("No AI provider is configured. Open Settings (the ⚙ button above) to add an API key or turn on offline mode.", "bot");
+                return;
+            }
 
-            const rankingPrompt = `
-Query: "${query}"
+            const plan = await this.planSearch(query, followUp, previousTurn);
+            const { timeRange, keywordQuery, historyData } = plan;
 
-These websites were pre-filtered as potentially relevant. Rank them by relevance to the query.
+            if (historyData.length === 0) {
+                this.removeLoadingMessage();
+                if (plan.isRefinement) {
+                    this.addMessage(`None of the previous results match "${query}". Try a different refinement, or type "new search" to start over.`, "bot");
+                } else {
+                    this.addMessage(`I couldn't find any browsing history from ${timeRange.label}. Please make sure you have some browsing activity in that period.`, "bot");
+                }
+                return;
+            }
 
-${candidatesText}
+            if (this.settings.offlineMode) {
+                this.updateLoadingMessage(`${plan.description}: ranking ${historyData.length} pages on-device...`);
+            } else {
+                this.updateLoadingMessage(`${plan.description}: analyzing ${historyData.length} pages with ${this.engine.analysisProvider.name}...`);
+            }
 
-Return ONLY a JSON array of the numbers (1-${Math.min(30, candidates.length)}) of the MOST relevant pages, ordered by relevance.
-Example: [3, 1, 7, 12, 5]
+            // Rank with the configured providers, telling them about the earlier turns
+            const context = plan.isFollowUp ? this.engine.buildConversationContext(this.conversation.turns) : "";
+            const { signal } = this.abortController;
+            const { results, fallbacks, cachedAt } = await this.engine.rank(query, historyData, {
+                keywordQuery,
+                context,
+                signal,
+                refresh,
+                grounding: this.groundingEnabled,
+                onProgress: (text) => this.updateLoadingMessage(text),
+                onResults: (partial) => this.showPartialResults(partial),
+            });
 
-Focus on pages where the TITLE or URL clearly relates to the query. Ignore generic sites like email, social media unless they specifically match.
-Return 10-20 numbers max.
-`;
+            if (!plan.isFollowUp) {
+                this.conversation.reset();
+            }
+            this.conversation.addTurn({ query, keywordQuery, timeRange, historyData: plan.allHistory, candidates: await this.engine.candidatePool(keywordQuery, historyData, results), results, searchedAt: Date.now() });
 
-            // Use simple API call without grounding for ranking
-            const response = await this.callSimpleGeminiAPI(rankingPrompt);
+            // Remove loading message and show results
+            this.removeLoadingMessage();
+            this.removePartialResults();
 
-            try {
-                const rankings = JSON.parse(response);
-                if (Array.isArray(rankings)) {
-                    return rankings
-                        .filter((num) => num >= 1 && num <= candidates.length)
-                        .map((num) => candidates[num - 1])
-                        .slice(0, 20);
+            if (results && results.length > 0) {
+                let heading = plan.isFollowUp ? `${plan.description}. Here are the best matches:` : `Here are the most relevant websites from ${timeRange.label} for "${query}":`;
+                if (signal.aborted) {
+                    heading = `Stopped. Here is what was found so far for "${query}":`;
+                }
+                const messageDiv = this.addMessage(heading, "bot", results);
+                this.shownResults.set(messageDiv, { query, results });
+                if (results.length > 1) {
+                    this.addGroupAction(messageDiv, results, query);
+                }
+                this.addExportMenu(messageDiv, this.searchSection({ query, timeRangeLabel: timeRange.label, results }), { includeConversation: plan.isFollowUp });
+                if (cachedAt) {
+                    this.addCacheNote(messageDiv, query, cachedAt);
                 }
-            } catch (parseError) {
-                // JSON parsing failed, use fallback
+                // Kept so the search can be browsed or re-run after the popup closes
+                recordSearch({ query, timeRangeLabel: timeRange.label, results })
+                    .then(() => this.library.refresh())
+                    .catch(() => {
+                        // Storage full or unavailable; the search still worked
+                    });
+            } else {
+                this.addMessage(`I couldn't find any relevant websites from ${timeRange.label} for that query. Try rephrasing your request or searching a different time range.`, "bot");
             }
-
-            // Fallback: return candidates as-is
-            return candidates.slice(0, 20);
+            this.addFallbackNotice(fallbacks);
         } catch (error) {
-            return candidates.slice(0, 20);
-        }
-    }
-
-    async callSimpleGeminiAPI(prompt) {
-        const response = await fetch("https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "x-goog-api-key": this.apiKey,
-            },
-            body: JSON.stringify({
-                contents: [
-                    {
-                        parts: [
-                            {
-                                text: prompt,
-                            },
-                        ],
-                    },
-                ],
-            }),
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API call failed: ${response.status} - ${errorText}`);
+            this.removeLoadingMessage();
+            this.removePartialResults();
+            if (error instanceof ApiError) {
+                const messageDiv = this.addMessage(`The ${this.engine.analysisProvider?.name || "AI"} API ${API_ERROR_REASONS[error.kind]}.`, "bot");
+                this.addApiErrorHelp(messageDiv, [error], this.engine.analysisProvider);
+            } else {
+                this.addMessage("Sorry, there was an error processing your request. Please try again.", "bot");
+            }
+        } finally {
+            this.isProcessing = false;
+            this.abortController = null;
+            this.stopButton.hidden = true;
+            this.messageInput.disabled = false;
+            this.messageInput.focus();
         }
+    }
 
-        const responseData = await response.json();
-        return responseData.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    // Stop the running search; the engine resolves with whatever results it already has
+    stopSearch() {
+        if (!this.abortController || this.abortController.signal.aborted) return;
+        this.abortController.abort();
+        this.updateLoadingMessage("Stopping...");
     }
-    async groundedAnalysis(query, candidates) {
-        try {
-            // Prepare candidate pages for analysis
-            const candidatesText = candidates
-                .slice(0, 20) // Limit to top 20 candidates to avoid token limits
-                .map((page, index) => {
-                    const daysSince = Math.floor((Date.now() - page.lastVisitTime) / (1000 * 60 * 60 * 24));
-                    return `${index + 1}. "${page.title}" - ${page.url} (visited ${page.visitCount} times, ${daysSince} days ago)`;
-                })
-                .join("\n");            const groundedPrompt = `
-I need to find the most relevant websites from a user's browsing history for this EXACT query: "${query}"
-
-Here are the PRE-FILTERED candidate pages from their browsing history:
-${candidatesText}
-
-CRITICAL: These candidates have already been filtered to match the user's query. Your job is to:
-1. ONLY analyze and rank the pages from the candidate list above
-2. Do NOT suggest any pages that aren't in the candidate list
-3. Focus on which of these candidates best match the query intent
-4. If the query mentions a specific platform (like "reddit post"), ONLY return results from that platform
-
-Important considerations:
-- The user's query is: "${query}"
-- Look specifically for content that matches ALL aspects of this query
-- Consider the user's engagement level (visit count and recency) as a secondary factor
-- Prioritize pages that have actual relevant content over popular but unrelated pages
-
-Return your response as a JSON array with this exact format:
-[
-    {
-        "url": "exact_url_from_the_candidate_list_above",
-        "title": "exact_title_from_the_candidate_list_above", 
-        "reason": "detailed explanation based on current content analysis of why this page perfectly matches the query"
-    }
-]
-
-Only return the JSON array, no additional text.
-`;
-
-            const response = await this.callGeminiAPIWithGrounding(groundedPrompt);
 
-            try {
-                let cleanedResponse = response.text.trim();
-                if (cleanedResponse.startsWith("```json")) {
-                    cleanedResponse = cleanedResponse.slice(7, -3);
-                } else if (cleanedResponse.startsWith("```")) {
-                    cleanedResponse = cleanedResponse.slice(3, -3);
-                }
+    // Result cards parsed from the analysis while it streams in, kept above the loading message
+    // until the final answer replaces them
+    showPartialResults(results) {
+        this.removePartialResults();
+        if (results.length === 0) return;
+
+        this.partialResultsMessage = this.addMessage("Results so far:", "bot", results);
+        this.partialResultsMessage.classList.add("partial-results");
+        const loadingMessage = this.loadingMessageId && document.getElementById(this.loadingMessageId);
+        if (loadingMessage) {
+            loadingMessage.before(this.partialResultsMessage);
+        }
+    }
 
-                const relevantLinks = JSON.parse(cleanedResponse);
+    removePartialResults() {
+        this.partialResultsMessage?.remove();
+        this.partialResultsMessage = null;
+    }
 
-                if (Array.isArray(relevantLinks)) {
-                    // Add citation information if available
-                    const linksWithCitations = relevantLinks.map((link) => ({
-                        ...link,
-                        reason: this.addCitations(link.reason, response.groundingMetadata),
-                    }));
+    // Work out the time range, keyword query and history pool for a message.
+    // Refinements reuse the previous turn's pool; everything else searches history again.
+    async planSearch(query, followUp, previousTurn) {
+        const lookbackDays = this.settings.lookbackDays;
 
-                    return linksWithCitations.slice(0, 5);
-                } else {
-                    throw new Error("Invalid response format");
-                }
-            } catch (parseError) {
-                // Fallback to simple candidate analysis
-                return this.candidateBasedFallback(query, candidates);
+        if (followUp.type === "new") {
+            // Pull any time expression ("last week", "in August") out of the query
+            const timeRange = parseTimeRange(query, new Date(), lookbackDays);
+            const historyData = await this.engine.getBrowserHistory(timeRange);
+            return { timeRange, keywordQuery: timeRange.text, historyData, allHistory: historyData, isFollowUp: false, description: `Searching ${timeRange.label}` };
+        }
+
+        const previousRange = previousTurn.timeRange;
+        const span = previousRange.endTime - previousRange.startTime;
+
+        if (followUp.type === "time" || followUp.type === "expand") {
+            let timeRange = followUp.timeRange;
+            if (followUp.shift === "older") {
+                timeRange = { startTime: previousRange.startTime - span, endTime: previousRange.startTime };
+            } else if (followUp.shift === "newer") {
+                const endTime = Math.min(previousRange.endTime + span, Date.now());
+                timeRange = { startTime: previousRange.endTime < endTime ? previousRange.endTime : previousRange.startTime + span / 2, endTime };
+            } else if (followUp.type === "expand") {
+                timeRange = { startTime: previousRange.startTime - span, endTime: previousRange.endTime };
+            }
+            if (!timeRange.label) {
+                timeRange.label = this.formatDateRange(timeRange);
             }
-        } catch (error) {
-            return this.candidateBasedFallback(query, candidates);
-        }
-    }
-
-    async callGeminiAPIWithGrounding(prompt) {
-        const response = await fetch("https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "x-goog-api-key": this.apiKey,
-            },
-            body: JSON.stringify({
-                contents: [
-                    {
-                        parts: [
-                            {
-                                text: prompt,
-                            },
-                        ],
-                    },
-                ],
-                tools: [
-                    {
-                        google_search: {},
-                    },
-                ],
-            }),
-        });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API call failed: ${response.status} - ${errorText}`);
+            const keywordQuery = [previousTurn.keywordQuery, followUp.text].filter(Boolean).join(" ");
+            const historyData = await this.engine.getBrowserHistory(timeRange);
+            const description = followUp.type === "expand" ? `Widening the search to ${timeRange.label}` : `Searching ${timeRange.label} instead`;
+            return { timeRange: { ...timeRange, text: keywordQuery }, keywordQuery, historyData, allHistory: historyData, isFollowUp: true, description };
         }
 
-        const responseData = await response.json();
-        const text = responseData.candidates?.[0]?.content?.parts?.[0]?.text || "";
-        const groundingMetadata = responseData.candidates?.[0]?.groundingMetadata;
+        if (followUp.type === "platform") {
+            // Same search and time range, different platform
+            const otherPlatforms = this.engine.platformNames();
+            const baseQuery = previousTurn.keywordQuery
+                .split(/\s+/)
+                .filter((word) => !otherPlatforms.includes(word.toLowerCase()))
+                .join(" ");
+            const keywordQuery = `${baseQuery} ${followUp.platform}`.trim();
+            return { timeRange: previousRange, keywordQuery, historyData: previousTurn.historyData, allHistory: previousTurn.historyData, isFollowUp: true, description: `Switching to ${followUp.platform}` };
+        }
 
-        return {
-            text: text,
-            groundingMetadata: groundingMetadata,
-        };
+        // filter / exclude run against the previous candidates and results
+        const pool = previousTurn.candidates;
+        const matches = (item) => followUp.terms.some((term) => this.engine.matchesTerm(item, term));
+        const historyData = followUp.type === "filter" ? pool.filter(matches) : pool.filter((item) => !matches(item));
+        const keywordQuery = followUp.type === "filter" ? `${previousTurn.keywordQuery} ${followUp.terms.join(" ")}` : previousTurn.keywordQuery;
+        const description = followUp.type === "filter" ? `Keeping only results matching "${followUp.terms.join(" ")}"` : `Leaving out results matching "${followUp.terms.join(" ")}"`;
+        return { timeRange: previousRange, keywordQuery, historyData, allHistory: previousTurn.historyData, isFollowUp: true, isRefinement: true, description };
     }
 
-    addCitations(text, groundingMetadata) {
-        if (!groundingMetadata || !groundingMetadata.groundingSupports || !groundingMetadata.groundingChunks) {
-            return text;
+    // Say when an AI step's answer was replaced, so keyword-ranked results aren't mistaken for the model's
+    addFallbackNotice(fallbacks) {
+        if (fallbacks.length === 0) return;
+
+        const reason = (fallback) => (fallback.error ? API_ERROR_REASONS[fallback.error.kind] : FALLBACK_REASONS[fallback.reason]);
+        const text = fallbacks.map((fallback) => `The ${FALLBACK_STEPS[fallback.step]} ${reason(fallback)}, so ${FALLBACK_METHODS[fallback.usedInstead]}.`).join(" ");
+        const messageDiv = this.addMessage(text, "bot");
+        messageDiv.classList.add("fallback-notice");
+
+        const apiErrors = fallbacks.filter((fallback) => fallback.error);
+        if (apiErrors.length > 0) {
+            const provider = apiErrors[0].step === "ranking" ? this.engine.rankingProvider : this.engine.analysisProvider;
+            this.addApiErrorHelp(
+                messageDiv,
+                apiErrors.map((fallback) => fallback.error),
+                provider
+            );
         }
+    }
 
-        const supports = groundingMetadata.groundingSupports;
-        const chunks = groundingMetadata.groundingChunks;
-
-        // Sort supports by end_index in descending order to avoid shifting issues when inserting
-        const sortedSupports = [...supports].sort((a, b) => (b.segment?.endIndex ?? 0) - (a.segment?.endIndex ?? 0));
-
-        let result = text;
-        for (const support of sortedSupports) {
-            const endIndex = support.segment?.endIndex;
-            if (endIndex === undefined || !support.groundingChunkIndices?.length) {
-                continue;
-            }
+    // Cached results say how old they are, with a way to ask the models again
+    addCacheNote(messageDiv, query, cachedAt) {
+        messageDiv.classList.add("cached-results");
+        const minutes = Math.round((Date.now() - cachedAt) / 60000);
+        const note = document.createElement("p");
+        note.className = "cache-note";
+        note.append(`Cached from ${minutes < 1 ? "less than a minute" : minutes === 1 ? "1 minute" : `${minutes} minutes`} ago; the matching history hasn't changed since. `);
+
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "result-action";
+        button.textContent = "Refresh";
+        button.title = "Search again without the cache";
+        button.addEventListener("click", () => this.runSavedQuery(query, { refresh: true }));
+        note.appendChild(button);
+        messageDiv.appendChild(note);
+    }
 
-            const citationLinks = support.groundingChunkIndices
-                .map((i) => {
-                    const uri = chunks[i]?.web?.uri;
-                    const title = chunks[i]?.web?.title;
-                    if (uri) {
-                        return `[${title || "Source"}](${uri})`;
-                    }
-                    return null;
-                })
-                .filter(Boolean);
-
-            if (citationLinks.length > 0) {
-                const citationString = ` ${citationLinks.join(", ")}`;
-                result = result.slice(0, endIndex) + citationString + result.slice(endIndex);
+    // What to do about API errors: fix the key in Settings, check the quota, or wait before trying again
+    addApiErrorHelp(messageDiv, errors, provider) {
+        const kinds = new Set(errors.map((error) => error.kind));
+        const help = document.createElement("p");
+        help.className = "api-error-help";
+
+        if (kinds.has("invalidKey")) {
+            help.append("Check the API key in ");
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "result-action";
+            button.textContent = "Settings";
+            button.addEventListener("click", () => chrome.runtime.openOptionsPage());
+            help.append(button, ".");
+        } else if (kinds.has("quotaExhausted")) {
+            if (provider?.name === "Gemini") {
+                help.append("Free-tier quotas reset daily; see ");
+                const link = document.createElement("a");
+                link.href = GEMINI_LIMITS_URL;
+                link.target = "_blank";
+                link.rel = "noopener noreferrer";
+                link.textContent = "Gemini API rate limits";
+                help.append(link, " for your plan's limits.");
+            } else {
+                help.append("Check your plan's limits with your provider, or switch providers in Settings.");
             }
+        } else if (kinds.has("rateLimited")) {
+            const wait = Math.max(...errors.map((error) => error.retryAfterMs || 0));
+            help.append(wait > 0 ? `Try again in ${Math.ceil(wait / 1000)} seconds.` : "Try again in a minute.");
+        } else {
+            return;
         }
+        messageDiv.appendChild(help);
+    }
 
-        return result;
+    formatDateRange(timeRange) {
+        const format = (time) => new Date(time).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+        return `${format(timeRange.startTime)} – ${format(timeRange.endTime)}`;
     }
 
-    candidateBasedFallback(query, candidates) {
-        const queryWords = query.toLowerCase().split(/\s+/);
+    // Show exactly what would be sent to the LLM for the query in the input box, without sending it
+    async previewPayload() {
+        const query = this.messageInput.value.trim();
+        if (!query || this.isProcessing) return;
 
-        const scored = candidates.map((page) => {
-            let score = 0;
-            const titleLower = page.title.toLowerCase();
-            const urlLower = page.url.toLowerCase();
+        if (this.settings.offlineMode) {
+            this.addMessage("Offline mode is on, so nothing is sent anywhere for this query.", "bot");
+            return;
+        }
+        if (!this.engine.isReady()) {
+            this.addMessage("No AI provider is configured, so nothing would be sent.", "bot");
+            return;
+        }
 
-            queryWords.forEach((word) => {
-                if (titleLower.includes(word)) score += 3;
-                if (urlLower.includes(word)) score += 2;
+        try {
+            const previousTurn = this.conversation.last;
+            const followUp = classifyFollowUp(query, previousTurn, { lookbackDays: this.settings.lookbackDays, platformNames: this.engine.platformNames() });
+            const plan = await this.planSearch(query, followUp, previousTurn);
+            const context = plan.isFollowUp ? this.engine.buildConversationContext(this.conversation.turns) : "";
+            const { candidates, needsRanking } = this.engine.selectCandidates(plan.keywordQuery, plan.historyData);
+            const describe = (provider) => `${provider.name} · ${provider.model} · ${provider.baseUrl}`;
+
+            const sections = [];
+            if (needsRanking) {
+                sections.push({ heading: `Step 1 → ${describe(this.engine.rankingProvider)}`, body: this.engine.buildRankingPrompt(query, candidates, context) });
+            }
+            sections.push({
+                heading: `Step ${needsRanking ? 2 : 1} → ${describe(this.engine.analysisProvider)}${this.engine.useGrounding(this.groundingEnabled) ? " · with Google Search grounding" : ""}`,
+                note: needsRanking ? "Candidates are shown in keyword order; step 1 may reorder or drop some before this is sent." : null,
+                body: this.engine.buildAnalysisPrompt(query, candidates, context),
             });
 
-            // Bonus for visit frequency and recency
-            score += Math.min(page.visitCount * 0.2, 3);
-            const daysSince = Math.floor((Date.now() - page.lastVisitTime) / (1000 * 60 * 60 * 24));
-            if (daysSince < 7) score += 2;
-            else if (daysSince < 30) score += 1;
+            this.addPayloadPreview(`Payload preview for "${query}" (nothing has been sent):`, sections);
+        } catch (error) {
+            if (error instanceof ApiError) {
+                const messageDiv = this.addMessage(`The ${this.engine.analysisProvider?.name || "AI"} API ${API_ERROR_REASONS[error.kind]}.`, "bot");
+                this.addApiErrorHelp(messageDiv, [error], this.engine.analysisProvider);
+            } else {
+                this.addMessage("Sorry, there was an error building the payload preview. Please try again.", "bot");
+            }
+        }
+    }
 
-            return { ...page, score };
-        });
+    addPayloadPreview(text, sections) {
+        const messageDiv = document.createElement("div");
+        messageDiv.className = "message bot payload-preview";
+
+        const textP = document.createElement("p");
+        textP.textContent = text;
+        messageDiv.appendChild(textP);
+
+        sections.forEach((section) => {
+            const heading = document.createElement("h3");
+            heading.textContent = section.heading;
+            messageDiv.appendChild(heading);
+
+            if (section.note) {
+                const note = document.createElement("p");
+                note.className = "payload-note";
+                note.textContent = section.note;
+                messageDiv.appendChild(note);
+            }
 
-        return scored
-            .filter((page) => page.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5)
-            .map((page) => ({
-                url: page.url,
-                title: page.title,
-                reason: `Relevant match with score: ${page.score.toFixed(1)} (visited ${page.visitCount} times)`,
-            }));
-    }
-    prepareHistoryForFiltering(historyItems) {
-        // Prepare a more comprehensive list for AI filtering
-        const historyLines = [];
-        historyItems.forEach((item, index) => {
-            const daysSince = Math.floor((Date.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24));
-            const visitInfo = `(${item.visitCount} visits, ${daysSince} days ago)`;
-            historyLines.push(`${index + 1}. ${item.title} - ${item.url} ${visitInfo}`);
+            const body = document.createElement("pre");
+            body.textContent = section.body.trim();
+            messageDiv.appendChild(body);
         });
-        return historyLines.join("\n");
-    }
-    fallbackAnalysis(query, historyData) {
-        const queryWords = query.toLowerCase().split(/\s+/);
-        const scored = historyData.map((item) => {
-            let score = 0;
-            const titleLower = item.title.toLowerCase();
-            const urlLower = item.url.toLowerCase();
-
-            // Score based on keyword matches
-            queryWords.forEach((word) => {
-                if (titleLower.includes(word)) score += 3;
-                if (urlLower.includes(word)) score += 2;
-            });
 
-            // Bonus for visit frequency
-            score += Math.min(item.visitCount * 0.1, 2);
+        this.chatMessages.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
 
-            return { ...item, score };
-        });
+    updateLoadingMessage(text) {
+        if (this.loadingMessageId) {
+            const loadingMessage = document.getElementById(this.loadingMessageId);
+            if (loadingMessage) {
+                loadingMessage.textContent = "";
+                const textP = document.createElement("p");
+                textP.textContent = text;
+                loadingMessage.appendChild(textP);
+            }
+        }
+    }
 
-        return scored
-            .filter((item) => item.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5)
-            .map((item) => ({
-                url: item.url,
-                title: item.title,
-                reason: `Matched "${query}" with score: ${item.score.toFixed(1)}`,
-            }));
+    removeLoadingMessage() {
+        if (this.loadingMessageId) {
+            const loadingMessage = document.getElementById(this.loadingMessageId);
+            if (loadingMessage) {
+                loadingMessage.remove();
+            }
+            this.loadingMessageId = null;
+        }
     }
 }
 
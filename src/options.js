@@ -0,0 +1,339 @@
+// Options page: API keys, providers, search limits and privacy settings
+
+import { buildExport, downloadExport, EXPORT_FORMATS, exportFilename, parseImport } from "./exportFormats.js";
+import { RuntimeHistorySource } from "./historySources.js";
+import { clearFeedback, describeAdjustments, learnAdjustments, loadFeedback } from "./personalization.js";
+import { loadPins, mergePins } from "./pins.js";
+import { compileBlocklist, isBlocked } from "./privacy.js";
+import { createProvider } from "./providers.js";
+import { loadRecentSearches, loadSavedSearches, matchesFilter, mergeRecentSearches, mergeSavedSearches } from "./savedSearches.js";
+import { DEFAULT_SETTINGS, loadSettings, resetSettings, resolveProviderConfig, saveSettings } from "./settings.js";
+import { DEFAULT_TAXONOMY } from "./taxonomy.js";
+import { clearUsage, dailyTotals, loadUsage, recordUsage } from "./usage.js";
+
+// Origins the manifest already grants; anything else is requested on demand
+const GRANTED_ORIGINS = ["https://generativelanguage.googleapis.com", "http://localhost", "http://127.0.0.1"];
+// Page content capture runs on every site
+const CONTENT_ORIGINS = ["https://*/*", "http://*/*"];
+
+const PROVIDER_ROLES = ["rankingProvider", "analysisProvider"];
+const NUMBER_FIELDS = ["lookbackDays", "maxResults", "resultsShown", "stepTimeoutSeconds", "resultCacheMinutes"];
+const CHECKBOX_FIELDS = ["grounding", "offlineMode", "redactPrompts", "indexPageContent"];
+const SELECT_FIELDS = ["omniboxAction"];
+const LIST_FIELDS = ["blocklist", "contentOptOut"];
+// Days shown in the usage table
+const USAGE_DAYS_SHOWN = 30;
+// What a failed connection test means, by ApiError kind (see apiClient.js)
+const CONNECTION_ERRORS = {
+    invalidKey: "The API key was rejected.",
+    quotaExhausted: "The key works, but its quota is used up.",
+    rateLimited: "The key works, but it is rate limited right now.",
+    network: "The server couldn't be reached.",
+};
+// Cap on index entries in one history export
+const MAX_EXPORTED_PAGES = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class OptionsPage {
+    constructor() {
+        this.apiKeyInput = document.getElementById("geminiApiKey");
+        this.connectionStatus = document.getElementById("connectionStatus");
+        this.saveStatus = document.getElementById("saveStatus");
+        this.dataStatus = document.getElementById("dataStatus");
+        this.exportFormat = document.getElementById("exportFormat");
+        this.taxonomyRows = document.getElementById("taxonomyRows");
+        this.personalizationStatus = document.getElementById("personalizationStatus");
+
+        this.init();
+    }
+
+    async init() {
+        this.render(await loadSettings());
+
+        document.getElementById("saveSettings").addEventListener("click", () => this.save());
+        document.getElementById("resetSettings").addEventListener("click", () => this.reset());
+        document.getElementById("testConnection").addEventListener("click", () => this.testConnection());
+        document.getElementById("deleteApiKey").addEventListener("click", () => this.deleteApiKey());
+        document.getElementById("addTaxonomyRow").addEventListener("click", () => this.addTaxonomyRow().querySelector("[data-field='name']").focus());
+        document.getElementById("builtInTaxonomy").textContent = [...DEFAULT_TAXONOMY.platforms, ...DEFAULT_TAXONOMY.categories].map((entry) => entry.name).join(", ");
+
+        Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => this.exportFormat.add(new Option(label, format)));
+        document.getElementById("exportHistory").addEventListener("click", () => this.exportHistory());
+        document.getElementById("exportLibrary").addEventListener("click", () => this.exportLibrary());
+        document.getElementById("importFile").addEventListener("change", (e) => this.importFile(e.target));
+
+        document.getElementById("resetPersonalization").addEventListener("click", () => this.resetPersonalization());
+        await this.showLearnedWeights();
+
+        document.getElementById("clearUsage").addEventListener("click", () => this.clearUsage());
+        await this.showUsage();
+    }
+
+    // Daily totals for the last USAGE_DAYS_SHOWN days with usage, and their sum
+    async showUsage() {
+        const days = dailyTotals(await loadUsage()).slice(0, USAGE_DAYS_SHOWN);
+        const tbody = document.getElementById("usageRows");
+        tbody.replaceChildren();
+        if (days.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 7;
+            cell.textContent = "No AI calls recorded yet.";
+            return;
+        }
+
+        const sum = (field) => days.reduce((total, day) => total + day[field], 0);
+        const total = { day: `Last ${days.length} days`, calls: sum("calls"), retries: sum("retries"), errors: sum("errors"), promptTokens: sum("promptTokens"), outputTokens: sum("outputTokens"), cost: sum("cost"), unpricedTokens: sum("unpricedTokens") };
+        [...days, total].forEach((day) => {
+            const row = tbody.insertRow();
+            const cost = day.cost > 0 || day.unpricedTokens === 0 ? `$${day.cost.toFixed(4)}` : "–";
+            [day.day, day.calls, day.retries, day.errors, day.promptTokens.toLocaleString(), day.outputTokens.toLocaleString(), cost].forEach((value) => {
+                row.insertCell().textContent = value;
+            });
+        });
+        tbody.lastElementChild.classList.add("usage-total");
+    }
+
+    async clearUsage() {
+        await clearUsage();
+        await this.showUsage();
+    }
+
+    async showLearnedWeights() {
+        document.getElementById("learnedWeights").textContent = describeAdjustments(learnAdjustments(await loadFeedback()));
+    }
+
+    async resetPersonalization() {
+        try {
+            await clearFeedback();
+            await this.showLearnedWeights();
+            this.showStatus(this.personalizationStatus, "Personalization reset. Ranking is back to the defaults.");
+        } catch (error) {
+            this.showStatus(this.personalizationStatus, `Reset failed: ${error.message}`, true);
+        }
+    }
+
+    providerSection(role) {
+        return document.querySelector(`[data-provider="${role}"]`);
+    }
+
+    render(settings) {
+        this.apiKeyInput.value = settings.geminiApiKey;
+
+        PROVIDER_ROLES.forEach((role) => {
+            const config = { ...DEFAULT_SETTINGS[role], ...settings[role] };
+            this.providerSection(role)
+                .querySelectorAll("[data-field]")
+                .forEach((input) => {
+                    input.value = config[input.dataset.field] || "";
+                });
+        });
+
+        NUMBER_FIELDS.forEach((field) => {
+            document.getElementById(field).value = settings[field];
+        });
+        CHECKBOX_FIELDS.forEach((field) => {
+            document.getElementById(field).checked = settings[field];
+        });
+        SELECT_FIELDS.forEach((field) => {
+            document.getElementById(field).value = settings[field];
+        });
+        LIST_FIELDS.forEach((field) => {
+            document.getElementById(field).value = settings[field].join("\n");
+        });
+
+        this.taxonomyRows.replaceChildren();
+        settings.customTaxonomy.forEach((entry) => this.addTaxonomyRow(entry));
+    }
+
+    // One editable custom taxonomy entry; lists are shown comma-separated
+    addTaxonomyRow(entry = { kind: "platform" }) {
+        const row = document.getElementById("taxonomyRowTemplate").content.firstElementChild.cloneNode(true);
+        row.querySelectorAll("[data-field]").forEach((input) => {
+            const value = entry[input.dataset.field];
+            input.value = Array.isArray(value) ? value.join(", ") : (value ?? "");
+        });
+        row.querySelector("[data-action='remove']").addEventListener("click", () => row.remove());
+        this.taxonomyRows.appendChild(row);
+        return row;
+    }
+
+    // Rows without a name are dropped, as are penalties without domains since they would match nothing
+    readTaxonomy() {
+        const splitList = (text) =>
+            text
+                .split(",")
+                .map((item) => item.trim())
+                .filter(Boolean);
+        return [...this.taxonomyRows.querySelectorAll(".taxonomy-row")]
+            .map((row) => {
+                const field = (name) => row.querySelector(`[data-field='${name}']`).value.trim();
+                const weight = parseInt(field("weight"), 10);
+                return {
+                    kind: field("kind"),
+                    name: field("name").toLowerCase(),
+                    domains: splitList(field("domains").toLowerCase()),
+                    keywords: splitList(field("keywords").toLowerCase()),
+                    ...(Number.isFinite(weight) && { weight: Math.min(Math.max(weight, 1), 100) }),
+                };
+            })
+            .filter((entry) => entry.name && !(entry.kind === "penalty" && entry.domains.length === 0));
+    }
+
+    // Read the form into a settings object, clamping numbers to sane ranges
+    readForm() {
+        const settings = { geminiApiKey: this.apiKeyInput.value.trim() };
+
+        PROVIDER_ROLES.forEach((role) => {
+            const config = {};
+            this.providerSection(role)
+                .querySelectorAll("[data-field]")
+                .forEach((input) => {
+                    config[input.dataset.field] = input.value.trim();
+                });
+            settings[role] = config;
+        });
+
+        NUMBER_FIELDS.forEach((field) => {
+            const input = document.getElementById(field);
+            const value = parseInt(input.value, 10);
+            settings[field] = Number.isFinite(value) ? Math.min(Math.max(value, Number(input.min)), Number(input.max)) : DEFAULT_SETTINGS[field];
+        });
+        CHECKBOX_FIELDS.forEach((field) => {
+            settings[field] = document.getElementById(field).checked;
+        });
+        SELECT_FIELDS.forEach((field) => {
+            settings[field] = document.getElementById(field).value;
+        });
+        LIST_FIELDS.forEach((field) => {
+            settings[field] = document
+                .getElementById(field)
+                .value.split("\n")
+                .map((rule) => rule.trim())
+                .filter(Boolean);
+        });
+        settings.customTaxonomy = this.readTaxonomy();
+
+        return settings;
+    }
+
+    // Host permission for custom provider endpoints, and for every site when page content capture is on.
+    // Must be called straight from a click handler.
+    requestOrigins(settings, { includeContent = false } = {}) {
+        const providerOrigins = PROVIDER_ROLES.map((role) => new URL(createProvider(resolveProviderConfig(settings, role)).baseUrl).origin).filter((origin) => !GRANTED_ORIGINS.includes(origin));
+        const origins = [...new Set(providerOrigins)].map((origin) => `${origin}/*`);
+        if (includeContent && settings.indexPageContent) {
+            origins.push(...CONTENT_ORIGINS);
+        }
+
+        if (origins.length === 0) {
+            return Promise.resolve(true);
+        }
+        return chrome.permissions.request({ origins });
+    }
+
+    async save() {
+        const settings = this.readForm();
+
+        try {
+            const granted = await this.requestOrigins(settings, { includeContent: true });
+            await saveSettings(settings);
+            this.render(settings);
+            this.showStatus(this.saveStatus, granted ? "Settings saved." : "Settings saved, but the requested site access was not granted.", !granted);
+        } catch (error) {
+            this.showStatus(this.saveStatus, `Could not save settings: ${error.message}`, true);
+        }
+    }
+
+    async reset() {
+        await resetSettings();
+        this.render(await loadSettings());
+        this.showStatus(this.saveStatus, "Settings reset to defaults.");
+    }
+
+    async deleteApiKey() {
+        this.apiKeyInput.value = "";
+        await saveSettings({ geminiApiKey: "" });
+        this.showStatus(this.connectionStatus, "API key deleted.");
+    }
+
+    // Send a tiny prompt through the analysis provider using the values currently in the form
+    async testConnection() {
+        const settings = this.readForm();
+        this.showStatus(this.connectionStatus, "Testing...");
+
+        try {
+            await this.requestOrigins(settings);
+            const provider = createProvider({ ...resolveProviderConfig(settings, "analysisProvider"), onUsage: (entry) => recordUsage(entry).then(() => this.showUsage()) });
+            if (provider.requiresApiKey && !provider.apiKey) {
+                this.showStatus(this.connectionStatus, "Enter an API key first.", true);
+                return;
+            }
+
+            const response = await provider.generate("Reply with the single word OK.");
+            this.showStatus(this.connectionStatus, `Connected to ${provider.name} (${provider.model}): "${response.text.trim().slice(0, 40)}"`);
+        } catch (error) {
+            this.showStatus(this.connectionStatus, `Connection failed: ${[CONNECTION_ERRORS[error.kind], error.message].filter(Boolean).join(" ")}`, true);
+        }
+    }
+
+    // A slice of the local index: the last N days, optionally only pages whose title or URL match a filter
+    async exportHistory() {
+        const settings = await loadSettings();
+        const input = document.getElementById("exportDays");
+        const days = Math.min(Math.max(parseInt(input.value, 10) || 30, 1), 365);
+        const filterText = document.getElementById("exportFilter").value.trim();
+
+        try {
+            const endTime = Date.now();
+            const items = await new RuntimeHistorySource({ maxResults: MAX_EXPORTED_PAGES }).query({ startTime: endTime - days * DAY_MS, endTime });
+            const blocklist = compileBlocklist(settings.blocklist);
+            const pages = items.filter((item) => !isBlocked(item.url, blocklist) && matchesFilter(filterText, [item.title, item.url]));
+
+            const title = filterText ? `History matching "${filterText}", last ${days} days` : `History, last ${days} days`;
+            downloadExport(buildExport({ title, sections: [{ title, pages }] }), this.exportFormat.value, exportFilename(title));
+            this.showStatus(this.dataStatus, `Exported ${pages.length} pages.`);
+        } catch (error) {
+            this.showStatus(this.dataStatus, `Export failed: ${error.message}`, true);
+        }
+    }
+
+    // Pins, saved searches and recent searches (with the results they showed)
+    async exportLibrary() {
+        try {
+            const [pins, savedSearches, recentSearches] = await Promise.all([loadPins(), loadSavedSearches(), loadRecentSearches()]);
+            const sections = recentSearches.map((search) => ({ title: `${search.query} (${search.timeRangeLabel})`, query: search.query, timeRangeLabel: search.timeRangeLabel, searchedAt: search.searchedAt, pages: search.results }));
+
+            const title = "Pins and searches";
+            downloadExport(buildExport({ title, sections, pins, savedSearches }), this.exportFormat.value, exportFilename(title));
+            this.showStatus(this.dataStatus, `Exported ${pins.length} pins, ${savedSearches.length} saved searches and ${recentSearches.length} recent searches.`);
+        } catch (error) {
+            this.showStatus(this.dataStatus, `Export failed: ${error.message}`, true);
+        }
+    }
+
+    async importFile(fileInput) {
+        const [file] = fileInput.files;
+        if (!file) return;
+
+        try {
+            const imported = parseImport(await file.text());
+            const addedPins = await mergePins(imported.pins);
+            const addedSearches = await mergeSavedSearches(imported.savedSearches);
+            await mergeRecentSearches(imported.recentSearches);
+            this.showStatus(this.dataStatus, `Imported ${addedPins} new pins, ${addedSearches} new saved searches and ${imported.recentSearches.length} recent searches.`);
+        } catch (error) {
+            this.showStatus(this.dataStatus, `Import failed: ${error.message}`, true);
+        } finally {
+            fileInput.value = "";
+        }
+    }
+
+    showStatus(element, text, isError = false) {
+        element.textContent = text;
+        element.classList.toggle("error", isError);
+    }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    new OptionsPage();
+});
@@ -0,0 +1,103 @@
+// Pages the user kept somewhere other than history: bookmarks, open tabs, recently closed tabs and the reading
+// list. MultiSource adds them to a history source's entries, so "that page I saved" can be found even when it
+// was never visited in the searched range. Entries keep sources (["history", "bookmark", "tab", "closedTab",
+// "readingList"]) for the result badges and bookmarkFolders for keyword scoring.
+
+// Each reader resolves to [{ url, title, source, time, folder? }]; time is when the page was last used, saved or closed
+
+// Folder paths such as "Recipes / Italian"; the built-in roots (Bookmarks bar, Other bookmarks) say nothing
+export async function readBookmarks() {
+    const tree = await chrome.bookmarks.getTree();
+    const pages = [];
+    const walk = (node, folders) => {
+        if (node.url) {
+            pages.push({ url: node.url, title: node.title, source: "bookmark", time: node.dateLastUsed || node.dateAdded || null, folder: folders.join(" / ") });
+            return;
+        }
+        (node.children || []).forEach((child) => walk(child, [...folders, node.title]));
+    };
+    tree.forEach((root) => (root.children || []).forEach((topLevel) => (topLevel.children || []).forEach((node) => walk(node, []))));
+    return pages;
+}
+
+export async function readOpenTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs.filter((tab) => !tab.incognito).map((tab) => ({ url: tab.url, title: tab.title, source: "tab", time: tab.lastAccessed || null }));
+}
+
+// Closed windows count with every tab they had
+export async function readRecentlyClosed() {
+    const sessions = await chrome.sessions.getRecentlyClosed({ maxResults: chrome.sessions.MAX_SESSION_RESULTS });
+    return sessions.flatMap((session) => {
+        const tabs = session.tab ? [session.tab] : session.window?.tabs || [];
+        // lastModified is in seconds
+        return tabs.map((tab) => ({ url: tab.url, title: tab.title, source: "closedTab", time: session.lastModified * 1000 }));
+    });
+}
+
+// chrome.readingList needs Chrome 120; without it the reader fails and MultiSource skips it
+export async function readReadingList() {
+    const entries = await chrome.readingList.query({});
+    return entries.map((entry) => ({ url: entry.url, title: entry.title, source: "readingList", time: entry.lastUpdateTime || entry.creationTime || null }));
+}
+
+export const PAGE_SOURCES = {
+    bookmark: readBookmarks,
+    tab: readOpenTabs,
+    closedTab: readRecentlyClosed,
+    readingList: readReadingList,
+};
+
+function isSearchablePage(page) {
+    return Boolean(page.url && /^(?:https?|file):/i.test(page.url));
+}
+
+// History entries plus the pages from other sources, one entry per URL, newest first. A page that is also in
+// history keeps its visits and gains the source; the others are added without visits, dated when they were last
+// used, saved or closed. Those dates only limit the pages to the time range when the query named one.
+export function mergeSourcePages(historyItems, pages, timeRange, now = Date.now()) {
+    const byUrl = new Map(historyItems.map((item) => [item.url, { ...item, sources: ["history"] }]));
+
+    pages.filter(isSearchablePage).forEach((page) => {
+        const time = page.time ?? now;
+        let entry = byUrl.get(page.url);
+        if (!entry) {
+            if (!timeRange.isDefault && (time < timeRange.startTime || time > timeRange.endTime)) return;
+            entry = { url: page.url, title: page.title || page.url, visitCount: 0, lastVisitTime: time, sources: [] };
+            byUrl.set(page.url, entry);
+        }
+        if (!entry.sources.includes(page.source)) {
+            entry.sources.push(page.source);
+        }
+        if (page.folder) {
+            entry.bookmarkFolders = [...new Set([...(entry.bookmarkFolders || []), page.folder])];
+        }
+    });
+
+    return [...byUrl.values()].sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+}
+
+// Wraps a history source (see historySources.js), adding pages from the named PAGE_SOURCES. A source that
+// fails (missing API or permission) is left out rather than failing the search.
+export class MultiSource {
+    constructor(historySource, { sources = Object.keys(PAGE_SOURCES), readers = PAGE_SOURCES, now = () => Date.now() } = {}) {
+        this.historySource = historySource;
+        this.sources = sources;
+        this.readers = readers;
+        this.now = now;
+    }
+
+    async query(timeRange) {
+        const [historyItems, ...pages] = await Promise.all([
+            this.historySource.query(timeRange),
+            ...this.sources.map(async (source) => {
+                try {
+                    return await this.readers[source]();
+                } catch (error) {
+                    return [];
+                }
+            }),
+        ]);
+        return mergeSourcePages(historyItems, pages.flat(), timeRange, this.now());
+    }
+}
@@ -0,0 +1,173 @@
+// Personalised ranking learned from what the user does with result cards: opening a result, pinning it or
+// dismissing it as not what they were looking for. Feedback stays in chrome.storage.local; learnAdjustments
+// turns it into the per-user adjustments SearchEngine adds to its keyword scores.
+
+import { tokenize } from "./embeddings.js";
+
+const FEEDBACK_KEY = "rankingFeedback";
+const MAX_FEEDBACK_EVENTS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each kind of feedback says about a page; a click further down the list says more about the ranking
+const FEEDBACK_SIGNALS = { click: 1, pin: 2, dismiss: -1 };
+const POSITION_BONUS = 0.25;
+const MAX_POSITION_BONUS = 1;
+
+// Largest keyword score an adjustment can add or take away
+export const MAX_DOMAIN_AFFINITY = 10;
+export const MAX_TERM_BOOST = 15;
+// Recency and visit-count weights stay at 1 until there is enough feedback to compare against
+const MIN_EVENTS_FOR_WEIGHTS = 5;
+
+export const NO_ADJUSTMENTS = { domainAffinity: {}, termBoosts: {}, recencyWeight: 1, visitWeight: 1, eventCount: 0 };
+
+export function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, "");
+    } catch (error) {
+        return "";
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Grows with the evidence but levels off at limit, so one busy day can't swamp the keyword scores
+function saturate(total, scale, limit) {
+    return Math.round(limit * Math.tanh(total / scale) * 10) / 10;
+}
+
+// A feedback record for a result card. shown is the list the result was in, so the learner can tell
+// whether the user went for newer or more-visited pages than the ranking put first.
+export function feedbackEvent(type, { query, result, shown, now = Date.now() }) {
+    const position = shown.findIndex((page) => page.url === result.url) + 1;
+    const ageDays = (page) => (page.lastVisitTime ? (now - page.lastVisitTime) / DAY_MS : null);
+    const known = (values) => values.filter((value) => value !== null && value !== undefined);
+    return {
+        type,
+        query,
+        url: result.url,
+        position,
+        ageDays: ageDays(result),
+        visitCount: result.visitCount ?? null,
+        shownAgeDays: median(known(shown.map(ageDays))),
+        shownVisitCount: median(known(shown.map((page) => page.visitCount))),
+        at: now,
+    };
+}
+
+// Resolves to the stored feedback events, oldest first
+export async function loadFeedback() {
+    try {
+        const stored = await chrome.storage.local.get(FEEDBACK_KEY);
+        return stored[FEEDBACK_KEY] || [];
+    } catch (error) {
+        // Storage unavailable, nothing learned
+        return [];
+    }
+}
+
+// Writes are queued so events recorded close together (an open and a pin, quick dismissals) don't drop each other
+let pendingWrite = Promise.resolve();
+
+function queueWrite(write) {
+    const result = pendingWrite.then(write);
+    // A failed write still lets the next one run
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+// Store one event, dropping the oldest beyond MAX_FEEDBACK_EVENTS. Resolves to the updated events.
+export function recordFeedback(event) {
+    return queueWrite(async () => {
+        const events = [...(await loadFeedback()), event].slice(-MAX_FEEDBACK_EVENTS);
+        await chrome.storage.local.set({ [FEEDBACK_KEY]: events });
+        return events;
+    });
+}
+
+export function clearFeedback() {
+    return queueWrite(() => chrome.storage.local.remove(FEEDBACK_KEY));
+}
+
+// Learn from feedback events:
+//   domainAffinity: { hostname: score } added to matching pages on that site
+//   termBoosts:     { queryTerm: { url: score } } added when a query with that term matches the page
+//   recencyWeight, visitWeight: multipliers for the recency and visit-count bonuses, 1 = unchanged
+export function learnAdjustments(events = []) {
+    const domainTotals = {};
+    const termTotals = {};
+    let recencyVotes = 0;
+    let visitVotes = 0;
+    let comparedWeight = 0;
+
+    events.forEach((event) => {
+        const base = FEEDBACK_SIGNALS[event.type];
+        if (!base) return;
+        const signal = event.type === "click" ? base + Math.min(Math.max(event.position - 1, 0) * POSITION_BONUS, MAX_POSITION_BONUS) : base;
+
+        const hostname = hostnameOf(event.url);
+        if (hostname) {
+            domainTotals[hostname] = (domainTotals[hostname] || 0) + signal;
+        }
+        new Set(tokenize(event.query || "")).forEach((term) => {
+            termTotals[term] ??= {};
+            termTotals[term][event.url] = (termTotals[term][event.url] || 0) + signal;
+        });
+
+        // Did the user go for a newer / more-visited page than the typical one shown?
+        if (event.ageDays !== null && event.shownAgeDays !== null && event.visitCount !== null && event.shownVisitCount !== null) {
+            recencyVotes += signal * Math.sign(event.shownAgeDays - event.ageDays);
+            visitVotes += signal * Math.sign(event.visitCount - event.shownVisitCount);
+            comparedWeight += Math.abs(signal);
+        }
+    });
+
+    const domainAffinity = Object.fromEntries(
+        Object.entries(domainTotals)
+            .map(([hostname, total]) => [hostname, saturate(total, 4, MAX_DOMAIN_AFFINITY)])
+            .filter(([, score]) => score !== 0)
+    );
+    const termBoosts = Object.fromEntries(
+        Object.entries(termTotals)
+            .map(([term, byUrl]) => [term, Object.fromEntries(Object.entries(byUrl).map(([url, total]) => [url, saturate(total, 2, MAX_TERM_BOOST)]).filter(([, score]) => score !== 0))])
+            .filter(([, byUrl]) => Object.keys(byUrl).length > 0)
+    );
+    // Votes run from -1 (always the older / less-visited page) to 1, giving weights from 0 to 2
+    const enoughToCompare = events.length >= MIN_EVENTS_FOR_WEIGHTS && comparedWeight > 0;
+    const weight = (votes) => (enoughToCompare ? Math.round((1 + votes / comparedWeight) * 100) / 100 : 1);
+
+    return { domainAffinity, termBoosts, recencyWeight: weight(recencyVotes), visitWeight: weight(visitVotes), eventCount: events.length };
+}
+
+// Keyword score adjustment for a page, given the learned adjustments and the query's terms
+export function personalBoost(adjustments, url, queryTerms) {
+    const domainScore = adjustments.domainAffinity[hostnameOf(url)] || 0;
+    const termScore = queryTerms.reduce((total, term) => total + (adjustments.termBoosts[term]?.[url] || 0), 0);
+    return domainScore + Math.max(Math.min(termScore, MAX_TERM_BOOST), -MAX_TERM_BOOST);
+}
+
+// Plain-text view of learned adjustments for the Settings page, strongest first
+export function describeAdjustments(adjustments, limit = 10) {
+    if (adjustments.eventCount === 0) {
+        return "Nothing learned yet. Open, pin or dismiss (✕) some search results.";
+    }
+    const signed = (score) => (score > 0 ? `+${score}` : String(score));
+    const strongest = (entries) => entries.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, limit);
+
+    const domains = strongest(Object.entries(adjustments.domainAffinity)).map(([hostname, score]) => `  ${hostname} ${signed(score)}`);
+    const terms = strongest(Object.entries(adjustments.termBoosts).flatMap(([term, byUrl]) => Object.entries(byUrl).map(([url, score]) => [`"${term}" → ${url}`, score]))).map(([label, score]) => `  ${label} ${signed(score)}`);
+    return [
+        `Learned from ${adjustments.eventCount} results you opened, pinned or dismissed.`,
+        `Recency bonus ×${adjustments.recencyWeight} · Visit count bonus ×${adjustments.visitWeight}`,
+        "",
+        "Sites:",
+        ...(domains.length > 0 ? domains : ["  none"]),
+        "",
+        "Query terms:",
+        ...(terms.length > 0 ? terms : ["  none"]),
+    ].join("\n");
+}
@@ -0,0 +1,39 @@
+// Pages pinned from search results, kept in chrome.storage.local so the list can outgrow sync storage's quota
+
+import { matchesFilter } from "./savedSearches.js";
+
+const PINS_KEY = "pinnedPages";
+
+// Resolves to [{ url, title, pinnedAt }], most recently pinned first
+export async function loadPins() {
+    try {
+        const stored = await chrome.storage.local.get(PINS_KEY);
+        return stored[PINS_KEY] || [];
+    } catch (error) {
+        // Storage unavailable, nothing pinned
+        return [];
+    }
+}
+
+// Pin a page, or unpin it if it is already pinned. Resolves to whether the page is pinned now.
+export async function togglePin(page, now = Date.now()) {
+    const pins = await loadPins();
+    const pinned = pins.some((pin) => pin.url === page.url);
+    const updated = pinned ? pins.filter((pin) => pin.url !== page.url) : [{ url: page.url, title: page.title || "", pinnedAt: now }, ...pins];
+    await chrome.storage.local.set({ [PINS_KEY]: updated });
+    return !pinned;
+}
+
+// Add imported pins, keeping the existing entry for a page that is already pinned
+export async function mergePins(imported) {
+    const pins = await loadPins();
+    const known = new Set(pins.map((pin) => pin.url));
+    const merged = [...pins, ...imported.filter((pin) => !known.has(pin.url))].sort((a, b) => b.pinnedAt - a.pinnedAt);
+    await chrome.storage.local.set({ [PINS_KEY]: merged });
+    return merged.length - pins.length;
+}
+
+// Pins whose title or URL contains every word of filterText
+export function filterPins(pins, filterText) {
+    return pins.filter((pin) => matchesFilter(filterText, [pin.title, pin.url]));
+}
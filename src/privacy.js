@@ -0,0 +1,159 @@
+// Exclusion list and redaction applied before history is indexed or sent to an LLM
+
+// Mail clients put message subjects in the tab title
+const MAIL_HOSTS = ["mail.google.com", "outlook.live.com", "outlook.office.com", "outlook.office365.com", "mail.yahoo.com", "mail.proton.me"];
+const INTERNAL_HOST_SUFFIXES = [".local", ".internal", ".corp", ".lan", ".intranet", ".home.arpa"];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const TOKEN_PATTERNS = [
+    // JWTs
+    /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+    // Well-known key prefixes (OpenAI, GitHub, Slack, Google)
+    /\b(?:sk|pk|rk|ghp|gho|ghu|ghs|github_pat|xox[abpr]|AIza)[-_][A-Za-z0-9_-]{10,}|\bAIza[A-Za-z0-9_-]{30,}/g,
+    // Long mixed letter/digit strings: session ids, hashes, API keys
+    /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{24,}\b/g,
+];
+const LONG_NUMBER_PATTERN = /\b\d{9,}\b/g;
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${escapeRegExp(glob).replace(/\*/g, ".*").replace(/\?/g, ".")}$`, "i");
+}
+
+// Turn one blocklist line into a URL predicate. Supported forms:
+//   example.com            the domain and all of its subdomains
+//   *.corp.example.com     host glob
+//   *://example.com/admin/* or example.com/private/*   URL glob
+//   /token=\w+/i           regular expression tested against the full URL
+function compileRule(rule) {
+    const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ""));
+        return (url) => regex.test(url.href);
+    }
+
+    if (rule.includes("/")) {
+        const regex = globToRegExp(rule.includes("://") ? rule : `*://${rule}`);
+        return (url) => regex.test(url.href) || regex.test(`${url.protocol}//${url.host}${url.pathname}`);
+    }
+
+    if (rule.includes("*") || rule.includes("?")) {
+        const regex = globToRegExp(rule);
+        return (url) => regex.test(url.hostname);
+    }
+
+    const domain = rule.toLowerCase().replace(/^\.+/, "");
+    return (url) => url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+}
+
+// Compile the user's blocklist lines once; invalid rules are skipped
+export function compileBlocklist(rules = []) {
+    return rules
+        .map((rule) => rule.trim())
+        .filter((rule) => rule && !rule.startsWith("#"))
+        .map((rule) => {
+            try {
+                return compileRule(rule);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+export function isBlocked(url, blocklist) {
+    if (blocklist.length === 0) return false;
+    try {
+        const parsed = new URL(url);
+        return blocklist.some((matches) => matches(parsed));
+    } catch (error) {
+        return false;
+    }
+}
+
+function isInternalHost(hostname) {
+    if (hostname === "localhost" || !hostname.includes(".")) return true;
+    if (INTERNAL_HOST_SUFFIXES.some((suffix) => hostname.endsWith(suffix))) return true;
+    // Private IPv4 ranges
+    return /^(?:10\.|127\.|192\.168\.|172\.(?:1[6-9]|2\d|3[01])\.)/.test(hostname);
+}
+
+// Strip emails, tokens and long numbers from free text
+export function redactText(text) {
+    let result = text.replace(EMAIL_PATTERN, "[email]");
+    TOKEN_PATTERNS.forEach((pattern) => {
+        result = result.replace(pattern, "[token]");
+    });
+    return result.replace(LONG_NUMBER_PATTERN, "[number]");
+}
+
+// A malformed escape ("100%") is left as it is rather than failing the whole URL
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+// Keep only scheme, host and path; drop query string and fragment and redact the path
+export function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const host = isInternalHost(parsed.hostname) ? "[internal-host]" : parsed.host;
+        const path = parsed.pathname
+            .split("/")
+            .map((segment) => redactText(decodeSegment(segment)))
+            .join("/");
+        return `${parsed.protocol}//${host}${path}`;
+    } catch (error) {
+        return redactText(url.split(/[?#]/)[0]);
+    }
+}
+
+export function redactTitle(title, url) {
+    try {
+        const hostname = new URL(url).hostname;
+        if (MAIL_HOSTS.includes(hostname)) {
+            return `Email (${hostname})`;
+        }
+    } catch (error) {
+        // Not a parseable URL, redact the title as text
+    }
+    return redactText(title);
+}
+
+function isMailUrl(url) {
+    try {
+        return MAIL_HOSTS.includes(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Captured page text; a mail client's page is all message content, so none of it is kept
+function redactContent(content, url) {
+    if (!content || isMailUrl(url)) return undefined;
+    return {
+        description: redactText(content.description),
+        headings: content.headings.map(redactText),
+        text: redactText(content.text),
+    };
+}
+
+// Copy of a history item that is safe to put in a prompt
+export function redactItem(item) {
+    return {
+        ...item,
+        title: redactTitle(item.title, item.url),
+        url: redactUrl(item.url),
+        content: redactContent(item.content, item.url),
+        visits: item.visits?.map((visit) => ({
+            ...visit,
+            referrer: visit.referrer ? { url: redactUrl(visit.referrer.url), title: redactTitle(visit.referrer.title, visit.referrer.url) } : null,
+        })),
+    };
+}
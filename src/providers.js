@@ -0,0 +1,243 @@
+// LLM provider backends: Gemini, OpenAI-compatible servers and local endpoints.
+// Every provider exposes generate(prompt, { grounding, schema, signal, onText }) -> { text, groundingMetadata, usage }.
+// schema is a JSON Schema the reply should follow; providers request structured output for it.
+// signal is an AbortSignal that cancels the request; onText(textSoFar) is called as the reply streams in.
+// Requests go through transport, a fetch-compatible function, so tests can replace the network, and are
+// retried as retry says (see apiClient.js); failures throw ApiErrors.
+// onUsage({ provider, model, promptTokens, outputTokens, totalTokens, retries, error }) is called after every
+// call that reached the server, with error set to the ApiError kind when it failed.
+
+import { ApiError, sendRequest } from "./apiClient.js";
+
+function defaultTransport(url, options) {
+    return fetch(url, options);
+}
+
+// Read a text/event-stream body, calling onData with each event's data field
+async function readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? "" : events.pop();
+        events.forEach((event) => {
+            const data = event
+                .split(/\r?\n/)
+                .filter((line) => line.startsWith("data:"))
+                .map((line) => line.slice(5).trimStart())
+                .join("\n");
+            if (data) onData(data);
+        });
+        if (done) return;
+    }
+}
+
+const NO_USAGE = { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+// Report a call to provider.onUsage: the tokens it used, or the kind of error it ended with. Aborted calls
+// and the errors a provider throws before sending anything are not reported.
+async function trackUsage(provider, call) {
+    try {
+        const result = await call();
+        provider.onUsage({ provider: provider.name, model: provider.model, ...result.usage, retries: result.retries, error: null });
+        return result;
+    } catch (error) {
+        if (error instanceof ApiError) {
+            provider.onUsage({ provider: provider.name, model: provider.model, ...NO_USAGE, retries: error.retries, error: error.kind });
+        }
+        throw error;
+    }
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types and no additionalProperties
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.description) converted.description = schema.description;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+}
+
+export class GeminiProvider {
+    constructor({ model, baseUrl, apiKey, transport, retry, onUsage = () => {} } = {}) {
+        this.name = "Gemini";
+        this.model = model || "gemini-2.5-flash";
+        this.baseUrl = (baseUrl || "https://generativelanguage.googleapis.com/v1beta").replace(/\/+$/, "");
+        this.apiKey = apiKey;
+        this.transport = transport || defaultTransport;
+        this.retry = retry;
+        this.onUsage = onUsage;
+        this.requiresApiKey = true;
+        this.supportsGrounding = true;
+    }
+
+    async generate(prompt, options = {}) {
+        const { text, groundingMetadata, usage } = await trackUsage(this, () => this.request(prompt, options));
+        return { text, groundingMetadata, usage };
+    }
+
+    async request(prompt, { grounding = false, schema = null, signal, onText = () => {} } = {}) {
+        const body = {
+            contents: [
+                {
+                    parts: [
+                        {
+                            text: prompt,
+                        },
+                    ],
+                },
+            ],
+        };
+        if (grounding) {
+            body.tools = [
+                {
+                    google_search: {},
+                },
+            ];
+        } else if (schema) {
+            // JSON mode cannot be combined with the search tool; grounded replies are only validated
+            body.generationConfig = {
+                responseMimeType: "application/json",
+                responseSchema: toGeminiSchema(schema),
+            };
+        }
+
+        // Streamed as server-sent events, each a partial response with the next piece of text
+        const { response, retries } = await sendRequest(
+            this.transport,
+            `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse`,
+            {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-goog-api-key": this.apiKey,
+                },
+                body: JSON.stringify(body),
+                signal,
+            },
+            { retry: this.retry }
+        );
+
+        let text = "";
+        let groundingMetadata;
+        let usage = NO_USAGE;
+        await readEventStream(response, (data) => {
+            const event = JSON.parse(data);
+            const candidate = event.candidates?.[0];
+            const chunk = (candidate?.content?.parts || []).map((part) => part.text || "").join("");
+            if (chunk) {
+                text += chunk;
+                onText(text);
+            }
+            // Grounding metadata arrives with the last chunks
+            if (candidate?.groundingMetadata) {
+                groundingMetadata = candidate.groundingMetadata;
+            }
+            // Token counts so far; the last event has the totals. Thinking tokens are billed as output.
+            if (event.usageMetadata) {
+                const { promptTokenCount = 0, candidatesTokenCount = 0, thoughtsTokenCount = 0, totalTokenCount = 0 } = event.usageMetadata;
+                usage = { promptTokens: promptTokenCount, outputTokens: candidatesTokenCount + thoughtsTokenCount, totalTokens: totalTokenCount };
+            }
+        });
+        return { text, groundingMetadata, usage, retries };
+    }
+}
+
+// Any server implementing the OpenAI chat completions API
+export class OpenAICompatibleProvider {
+    constructor({ model, baseUrl, apiKey, transport, retry, onUsage = () => {} } = {}) {
+        this.name = "OpenAI-compatible";
+        this.model = model || "gpt-4o-mini";
+        this.baseUrl = (baseUrl || "https://api.openai.com/v1").replace(/\/+$/, "");
+        this.apiKey = apiKey;
+        this.transport = transport || defaultTransport;
+        this.retry = retry;
+        this.onUsage = onUsage;
+        this.requiresApiKey = true;
+        this.supportsGrounding = false;
+    }
+
+    async generate(prompt, options = {}) {
+        const { text, groundingMetadata, usage } = await trackUsage(this, () => this.request(prompt, options));
+        return { text, groundingMetadata, usage };
+    }
+
+    async request(prompt, { schema = null, signal, onText = () => {} } = {}) {
+        const headers = {
+            "Content-Type": "application/json",
+        };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: this.model,
+            messages: [
+                {
+                    role: "user",
+                    content: prompt,
+                },
+            ],
+        };
+        if (schema) {
+            body.response_format = {
+                type: "json_schema",
+                json_schema: { name: "response", strict: true, schema },
+            };
+        }
+
+        const { response, retries } = await sendRequest(
+            this.transport,
+            `${this.baseUrl}/chat/completions`,
+            {
+                method: "POST",
+                headers,
+                body: JSON.stringify(body),
+                signal,
+            },
+            { retry: this.retry }
+        );
+
+        // Not streamed, so the whole reply arrives at once
+        const responseData = await response.json();
+        const text = responseData.choices?.[0]?.message?.content || "";
+        onText(text);
+        const { prompt_tokens = 0, completion_tokens = 0, total_tokens = 0 } = responseData.usage || {};
+        return {
+            text,
+            groundingMetadata: null,
+            usage: { promptTokens: prompt_tokens, outputTokens: completion_tokens, totalTokens: total_tokens },
+            retries,
+        };
+    }
+}
+
+// Self-hosted server on this machine (Ollama, llama.cpp server, LM Studio); no key needed
+export class LocalProvider extends OpenAICompatibleProvider {
+    constructor({ model, baseUrl, apiKey, transport, retry, onUsage } = {}) {
+        super({ model: model || "llama3.1", baseUrl: baseUrl || "http://localhost:11434/v1", apiKey, transport, retry, onUsage });
+        this.name = "Local model";
+        this.requiresApiKey = false;
+    }
+}
+
+export const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    local: LocalProvider,
+};
+
+// Build a provider from a { type, model, baseUrl, apiKey, transport?, retry?, onUsage? } config
+export function createProvider(config) {
+    const Provider = PROVIDERS[config.type];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${config.type}`);
+    }
+    return new Provider(config);
+}
@@ -0,0 +1,43 @@
+// Actions on result cards: switching to or opening pages, tab groups, Markdown links and history removal
+
+import { canonicalUrl } from "./canonicalUrl.js";
+
+// Markdown link with the characters that would end the link text or target escaped
+export function markdownLink({ title, url }) {
+    const text = (title || url).replace(/[\\[\]]/g, "\\$&");
+    // encodeURIComponent leaves parentheses alone
+    const target = url.replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`);
+    return `[${text}](${target})`;
+}
+
+// Whether a tab shows the page, ignoring the fragment (a page scrolled to #section is still open) and the
+// differences canonicalUrl ignores (a youtu.be link is open as youtube.com/watch?v=…&t=30)
+export function isSamePage(tabUrl, url) {
+    const withoutFragment = (value) => (value || "").split("#")[0];
+    return canonicalUrl(withoutFragment(tabUrl)) === canonicalUrl(withoutFragment(url));
+}
+
+// Switch to the tab already showing url, or open it in a new one
+export async function openResult(url) {
+    const tabs = await chrome.tabs.query({});
+    const tab = tabs.find((candidate) => isSamePage(candidate.url, url));
+    if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+        return;
+    }
+    await chrome.tabs.create({ url });
+}
+
+// Open every url in background tabs gathered into one group named title
+export async function openInGroup(urls, title) {
+    const tabs = await Promise.all(urls.map((url) => chrome.tabs.create({ url, active: false })));
+    const groupId = await chrome.tabs.group({ tabIds: tabs.map((tab) => tab.id) });
+    await chrome.tabGroups.update(groupId, { title: title.slice(0, 40), collapsed: false });
+    await chrome.tabs.update(tabs[0].id, { active: true });
+}
+
+// The service worker's onVisitRemoved listener drops the page from the local index as well
+export async function removeFromHistory(url) {
+    await chrome.history.deleteUrl({ url });
+}
@@ -0,0 +1,88 @@
+// Results of recent LLM searches, so running the same query again over unchanged history is answered from
+// chrome.storage.local instead of two more model calls. An entry is keyed on the normalized query and a
+// fingerprint of the keyword candidates the models would have seen, and expires after its TTL.
+
+import { hash } from "./embeddings.js";
+
+const CACHE_KEY = "resultCache";
+const MAX_ENTRIES = 50;
+
+// Words that don't change what a query asks for; everything else, word order included, does
+const FILLER_WORDS = new Set(["a", "an", "the", "that", "this", "those", "i", "me", "my", "find", "show", "please"]);
+
+// "Find that Reddit post about Python!" and "reddit post about python" are the same search
+export function normalizeQuery(query) {
+    return query
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word && !FILLER_WORDS.has(word))
+        .join(" ");
+}
+
+// Changes when a candidate is added, removed, visited again or bookmarked, whatever order keyword scoring put them in
+export function candidateFingerprint(candidates) {
+    const pages = candidates.map((candidate) => `${candidate.url}\n${candidate.lastVisitTime}\n${candidate.visitCount}\n${(candidate.sources || []).join(",")}`).sort();
+    return `${candidates.length}:${hash(pages.join("\n")).toString(36)}`;
+}
+
+// variant covers whatever else shapes the answer, such as the models and grounding
+export function cacheKey(query, candidates, variant = "") {
+    return `${normalizeQuery(query)}\n${variant}\n${candidateFingerprint(candidates)}`;
+}
+
+export class ResultCache {
+    // storage: a chrome.storage area (chrome.storage.local in the extension)
+    constructor(storage, { now = () => Date.now() } = {}) {
+        this.storage = storage;
+        this.now = now;
+        // Writes are queued so searches finishing close together don't drop each other's entries
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const stored = await this.storage.get(CACHE_KEY);
+            return stored[CACHE_KEY] || {};
+        } catch (error) {
+            // Storage unavailable, nothing cached
+            return {};
+        }
+    }
+
+    update(change) {
+        this.pendingWrite = this.pendingWrite
+            .then(async () => this.storage.set({ [CACHE_KEY]: change(await this.load()) }))
+            .catch(() => {
+                // Storage full or unavailable; the next search just asks the models again
+            });
+        return this.pendingWrite;
+    }
+
+    // Resolves to { results, storedAt } for an unexpired entry, or null
+    async get(key) {
+        await this.pendingWrite;
+        const entry = (await this.load())[key];
+        return entry && entry.expiresAt > this.now() ? { results: entry.results, storedAt: entry.storedAt } : null;
+    }
+
+    // urls are the candidate pages behind the results, so deleting any of them from history drops the entry
+    set(key, { results, urls }, ttlMs) {
+        const now = this.now();
+        return this.update((entries) => {
+            const kept = Object.entries(entries).filter(([entryKey, entry]) => entryKey !== key && entry.expiresAt > now);
+            kept.push([key, { results, urls, storedAt: now, expiresAt: now + ttlMs }]);
+            return Object.fromEntries(kept.slice(-MAX_ENTRIES));
+        });
+    }
+
+    // Drop every entry that showed or considered one of these pages
+    removeUrls(urls) {
+        const removed = new Set(urls);
+        return this.update((entries) => Object.fromEntries(Object.entries(entries).filter(([, entry]) => !entry.urls.some((url) => removed.has(url)))));
+    }
+
+    clear() {
+        this.pendingWrite = this.pendingWrite.then(() => this.storage.remove(CACHE_KEY)).catch(() => {});
+        return this.pendingWrite;
+    }
+}
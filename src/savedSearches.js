@@ -0,0 +1,90 @@
+// Past searches with the results they showed, and searches saved to re-run later.
+// Both live in chrome.storage.local, so conversations survive the popup closing.
+
+const RECENT_KEY = "recentSearches";
+const SAVED_KEY = "savedSearches";
+const MAX_RECENT_SEARCHES = 100;
+// Results kept per recent search; the rest can be found again by re-running it
+const MAX_STORED_RESULTS = 10;
+
+async function loadList(key) {
+    try {
+        const stored = await chrome.storage.local.get(key);
+        return stored[key] || [];
+    } catch (error) {
+        // Storage unavailable, nothing saved
+        return [];
+    }
+}
+
+// Resolves to [{ query, timeRangeLabel, results: [{ url, title, reason }], searchedAt }], newest first
+export function loadRecentSearches() {
+    return loadList(RECENT_KEY);
+}
+
+// Resolves to [{ query, savedAt }], newest first
+export function loadSavedSearches() {
+    return loadList(SAVED_KEY);
+}
+
+// Repeating a query replaces its earlier entry rather than adding another
+export async function recordSearch({ query, timeRangeLabel, results }, now = Date.now()) {
+    const entry = {
+        query,
+        timeRangeLabel,
+        results: results.slice(0, MAX_STORED_RESULTS).map(({ url, title, reason }) => ({ url, title, reason })),
+        searchedAt: now,
+    };
+    const recent = (await loadRecentSearches()).filter((search) => search.query !== query);
+    await chrome.storage.local.set({ [RECENT_KEY]: [entry, ...recent].slice(0, MAX_RECENT_SEARCHES) });
+}
+
+// Save a query, or unsave it if it is already saved. Resolves to whether it is saved now.
+export async function toggleSavedSearch(query, now = Date.now()) {
+    const saved = await loadSavedSearches();
+    const isSaved = saved.some((search) => search.query === query);
+    const updated = isSaved ? saved.filter((search) => search.query !== query) : [{ query, savedAt: now }, ...saved];
+    await chrome.storage.local.set({ [SAVED_KEY]: updated });
+    return !isSaved;
+}
+
+// Add imported saved searches; resolves to how many were new
+export async function mergeSavedSearches(imported) {
+    const saved = await loadSavedSearches();
+    const known = new Set(saved.map((search) => search.query));
+    const merged = [...saved, ...imported.filter((search) => !known.has(search.query))].sort((a, b) => b.savedAt - a.savedAt);
+    await chrome.storage.local.set({ [SAVED_KEY]: merged });
+    return merged.length - saved.length;
+}
+
+// Add imported recent searches, keeping the newer entry when a query is in both
+export async function mergeRecentSearches(imported) {
+    const byQuery = new Map();
+    [...(await loadRecentSearches()), ...imported].forEach((search) => {
+        const existing = byQuery.get(search.query);
+        if (!existing || search.searchedAt > existing.searchedAt) {
+            byQuery.set(search.query, { ...search, results: search.results.slice(0, MAX_STORED_RESULTS) });
+        }
+    });
+    const merged = [...byQuery.values()].sort((a, b) => b.searchedAt - a.searchedAt).slice(0, MAX_RECENT_SEARCHES);
+    await chrome.storage.local.set({ [RECENT_KEY]: merged });
+}
+
+export async function clearRecentSearches() {
+    await chrome.storage.local.remove(RECENT_KEY);
+}
+
+// Whether every word of filterText appears in one of the fields (case-insensitive); empty filters match everything
+export function matchesFilter(filterText, fields) {
+    const haystack = fields.filter(Boolean).join(" ").toLowerCase();
+    return filterText
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+        .every((word) => haystack.includes(word));
+}
+
+// A recent search matches on its query or on any result it showed
+export function filterRecentSearches(searches, filterText) {
+    return searches.filter((search) => matchesFilter(filterText, [search.query, ...search.results.flatMap((result) => [result.title, result.url])]));
+}
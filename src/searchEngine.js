@@ -0,0 +1,940 @@
+// Search engine: history retrieval, keyword and on-device ranking, and the two-step LLM pipeline.
+// Has no DOM access, so the popup and the service worker (omnibox) both run it.
+
+import { ApiError } from "./apiClient.js";
+import { collapseDuplicates } from "./canonicalUrl.js";
+import { cosineSimilarity, Embedder, EmbeddingCache, tokenize } from "./embeddings.js";
+import { compileBlocklist, isBlocked, redactItem, redactText } from "./privacy.js";
+import { NO_ADJUSTMENTS, personalBoost } from "./personalization.js";
+import { dataBlock, opaqueIds, UNTRUSTED_DATA_NOTICE } from "./promptData.js";
+import { createProvider } from "./providers.js";
+import { cacheKey } from "./resultCache.js";
+import { resolveProviderConfig } from "./settings.js";
+import { ANALYSIS_SCHEMA, buildRepairPrompt, completeArrayItems, parseStructured, RANKING_SCHEMA, validate } from "./structuredOutput.js";
+import { compileTaxonomy, matchesDomain } from "./taxonomy.js";
+import { parseTimeRange } from "./timeRange.js";
+
+// One retry with the validation problems spelled out
+const MAX_STRUCTURED_ATTEMPTS = 2;
+const MAX_RANKING_CANDIDATES = 30;
+const MAX_ANALYSIS_CANDIDATES = 20;
+// Keyword score added to pinned pages that match the query
+const PINNED_BONUS = 15;
+// Domain score for a page on a platform the query asks for; pages on other domains are excluded
+const PLATFORM_MATCH_BONUS = 100;
+const EXCLUDED_SCORE = -1000;
+
+// Grounding sources are shown as links, so only web URLs are kept
+function isWebUrl(uri) {
+    try {
+        return ["http:", "https:"].includes(new URL(uri).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Captured page text (description, headings, body) as one string; empty when none was captured
+function contentText(item) {
+    if (!item.content) return "";
+    return [item.content.description, ...item.content.headings, item.content.text].filter(Boolean).join(" ");
+}
+
+export class SearchEngine {
+    // historySource: { query({ startTime, endTime }) } resolving to history entries (see historySources.js)
+    // llm: optional { ranking, analysis } clients with the provider interface (see providers.js);
+    //      built from settings when omitted, sending requests through transport (defaults to fetch)
+    // pinnedUrls: Set of pinned page URLs, ranked higher by keyword scoring (see pins.js); may be updated in place
+    // personalization: ranking adjustments learned from result feedback (see personalization.js); may be replaced
+    // retry, onUsage: passed to the providers built from settings (see providers.js and apiClient.js)
+    // resultCache: optional store of recent LLM results (see resultCache.js), used for settings.resultCacheMinutes
+    // embedder: on-device embeddings for offline ranking (see embeddings.js); the bundled model where it can run
+    // now: clock used for time ranges and recency, replaceable in tests
+    constructor({ settings, historySource, llm = null, transport, retry, onUsage, resultCache = null, pinnedUrls = new Set(), personalization = NO_ADJUSTMENTS, embedder = null, now = () => Date.now() }) {
+        this.settings = settings;
+        this.resultCache = resultCache;
+        this.retry = retry;
+        this.onUsage = onUsage;
+        this.pinnedUrls = pinnedUrls;
+        this.personalization = personalization;
+        this.historySource = historySource;
+        this.llm = llm;
+        this.transport = transport;
+        this.now = now;
+        this.blocklist = compileBlocklist(settings.blocklist);
+        // Platforms, categories and domain weights, with the user's additions (see taxonomy.js)
+        this.taxonomy = compileTaxonomy(settings.customTaxonomy);
+        this.embedder = embedder || new Embedder();
+        this.embeddingCache = new EmbeddingCache(this.embedder);
+        // Candidate -> its place in the ranking model's answer, for result explanations
+        this.llmRanks = new WeakMap();
+        this.rankingProvider = null;
+        this.analysisProvider = null;
+        this.setupError = null;
+
+        // Offline mode never talks to an LLM, so there is nothing to set up
+        if (!settings.offlineMode) {
+            this.initializeProviders();
+        }
+    }
+
+    initializeProviders() {
+        if (this.llm) {
+            this.rankingProvider = this.llm.ranking || this.llm.analysis;
+            this.analysisProvider = this.llm.analysis;
+            return;
+        }
+
+        try {
+            const rankingConfig = resolveProviderConfig(this.settings, "rankingProvider");
+            const analysisConfig = resolveProviderConfig(this.settings, "analysisProvider");
+
+            // Gemini providers cannot work without a key
+            if ([rankingConfig, analysisConfig].some((config) => config.type === "gemini" && !config.apiKey)) {
+                this.setupError = "missingApiKey";
+                return;
+            }
+
+            this.rankingProvider = createProvider({ ...rankingConfig, transport: this.transport, retry: this.retry, onUsage: this.onUsage });
+            this.analysisProvider = createProvider({ ...analysisConfig, transport: this.transport, retry: this.retry, onUsage: this.onUsage });
+        } catch (error) {
+            this.setupError = "invalidProvider";
+        }
+    }
+
+    isReady() {
+        return this.settings.offlineMode || Boolean(this.analysisProvider);
+    }
+
+    async getBrowserHistory(timeRange) {
+        const historyData = await this.historySource.query(timeRange);
+
+        // Excluded sites are never shown, ranked or sent anywhere. Near-duplicate URLs become one entry
+        // before any scoring (see canonicalUrl.js).
+        return collapseDuplicates(historyData.filter((item) => !isBlocked(item.url, this.blocklist)));
+    }
+
+    // Whole pipeline for a standalone query: time range, history and ranking
+    async search(query, { onProgress = () => {}, onResults = () => {}, signal, grounding, refresh } = {}) {
+        const timeRange = parseTimeRange(query, new Date(this.now()), this.settings.lookbackDays);
+        const historyData = await this.getBrowserHistory(timeRange);
+        const { results, fallbacks, cachedAt } = historyData.length > 0 ? await this.rank(query, historyData, { keywordQuery: timeRange.text, onProgress, onResults, signal, grounding, refresh }) : { results: [], fallbacks: [], cachedAt: null };
+        return { timeRange, historyData, results, fallbacks, cachedAt };
+    }
+
+    // Rank an already-fetched pool, on-device or through the LLM providers.
+    // Resolves to { results, fallbacks }: fallbacks lists each step whose model answer could not be used, as
+    // { step: "ranking" | "analysis", reason: "invalidResponse" | "apiError" | "timeout" | "cancelled", usedInstead: "keywordOrder" | "keywordScore" | "onDevice" | "partialResults" },
+    // plus the API's error for apiError (see failureDetails).
+    // onResults(results) is called with the results parsed so far while the analysis streams in.
+    // Aborting signal stops the LLM calls and resolves with whatever results are already available.
+    // grounding turns Google Search grounding on or off for this search; the setting decides when omitted.
+    // cachedAt is when the results were stored if they came from the result cache, otherwise null;
+    // refresh skips the cache and asks the models again.
+    async rank(query, historyData, { keywordQuery = query, context = "", onProgress = () => {}, onResults = () => {}, signal, grounding, refresh = false } = {}) {
+        if (this.settings.offlineMode) {
+            return { results: await this.semanticRank(keywordQuery, historyData), fallbacks: [], cachedAt: null };
+        }
+        return this.analyzeHistory(query, historyData, { keywordQuery, context, onProgress, onResults, signal, grounding, refresh });
+    }
+
+    // keywordQuery is the query with its time expression removed; the LLM still sees the full query
+    async analyzeHistory(query, historyData, { keywordQuery = query, context = "", onProgress = () => {}, onResults = () => {}, signal, grounding, refresh = false } = {}) {
+        const fallbacks = [];
+        try {
+            const selection = this.selectCandidates(keywordQuery, historyData);
+            const grounded = this.useGrounding(grounding);
+            const key = this.resultCacheKey(query, selection.candidates, { context, grounded });
+            const cached = key && !refresh ? await this.resultCache.get(key) : null;
+            if (cached) {
+                return { results: cached.results, fallbacks, cachedAt: cached.storedAt };
+            }
+
+            onProgress("Step 1/2: AI filtering most relevant pages from your history...");
+
+            // Step 1: AI pre-filtering to get most promising candidates
+            const candidates = await this.aiFilterCandidates(query, historyData, keywordQuery, context, fallbacks, { signal, selection });
+            if (candidates.length === 0) {
+                return { results: await this.fallbackAnalysis(keywordQuery, historyData), fallbacks, cachedAt: null };
+            }
+
+            // Stopped before step 2: keyword scores are all there is
+            if (signal?.aborted) {
+                if (!fallbacks.some((fallback) => fallback.reason === "cancelled")) {
+                    fallbacks.push({ step: "analysis", reason: "cancelled", usedInstead: "keywordScore" });
+                }
+                return { results: this.candidateBasedFallback(query, candidates), fallbacks, cachedAt: null };
+            }
+
+            if (grounded) {
+                onProgress(`Step 2/2: Using Google Search grounding to enhance analysis with real-time web content...`);
+            } else {
+                onProgress(`Step 2/2: Analyzing candidates with ${this.analysisProvider.name}...`);
+            }
+
+            // Step 2: Use Google Search grounding for enhanced, real-time analysis
+            const results = await this.groundedAnalysis(query, candidates, context, fallbacks, { signal, onResults, grounded });
+
+            // Only complete model answers are worth serving again
+            if (key && fallbacks.length === 0 && results.length > 0) {
+                const urls = selection.candidates.flatMap((candidate) => [candidate.url, ...(candidate.variants || []).map((variant) => variant.url)]);
+                await this.resultCache.set(key, { results, urls }, this.settings.resultCacheMinutes * 60 * 1000);
+            }
+            return { results, fallbacks, cachedAt: null };
+        } catch (error) {
+            // Fallback to simple analysis
+            fallbacks.push({ step: "analysis", reason: "apiError", usedInstead: "onDevice", ...this.failureDetails(error, "apiError") });
+            return { results: await this.fallbackAnalysis(keywordQuery, historyData), fallbacks, cachedAt: null };
+        }
+    }
+
+    // Result cache key for a search, or null when it shouldn't be cached: no cache, caching turned off, or a
+    // follow-up, whose answer depends on the conversation before it. The key covers the keyword candidates,
+    // so it changes with the history behind them, and the models, grounding and result count.
+    resultCacheKey(query, candidates, { context, grounded }) {
+        if (!this.resultCache || !(this.settings.resultCacheMinutes > 0) || context) return null;
+        const variant = [this.rankingProvider, this.analysisProvider].map((provider) => `${provider.name}:${provider.model}`).concat(grounded ? "grounded" : "", this.settings.resultsShown).join("|");
+        return cacheKey(query, candidates, variant);
+    }
+
+    // Ask for JSON matching schema and validate the reply. check(value) returns extra problems, such as
+    // unknown candidate ids. An unusable reply is retried once with the problems spelled out.
+    // Resolves to { value, groundingMetadata } or null if no reply was usable; API errors and aborts are thrown.
+    async generateStructured(provider, prompt, schema, { grounding = false, check = () => [], signal, onText } = {}) {
+        let attemptPrompt = prompt;
+        for (let attempt = 0; attempt < MAX_STRUCTURED_ATTEMPTS; attempt++) {
+            const response = await provider.generate(attemptPrompt, { grounding, schema, signal, onText });
+            const parsed = parseStructured(response.text, schema);
+            const errors = parsed.errors || check(parsed.value);
+            if (errors.length === 0) {
+                return { value: parsed.value, groundingMetadata: response.groundingMetadata };
+            }
+            attemptPrompt = buildRepairPrompt(prompt, response.text, errors, schema);
+        }
+        return null;
+    }
+
+    // Signal for one LLM step: aborted by the caller's signal, or when the step runs over its timeout
+    stepSignal(signal) {
+        const timeout = AbortSignal.timeout(this.settings.stepTimeoutSeconds * 1000);
+        return signal ? AbortSignal.any([signal, timeout]) : timeout;
+    }
+
+    // Why an LLM step failed: stopped by the caller, over its timeout, or anything else from the API
+    failureReason(signal, stepSignal) {
+        if (signal?.aborted) return "cancelled";
+        if (stepSignal.aborted) return "timeout";
+        return "apiError";
+    }
+
+    // What the API said when a step failed with an API error: { error: { kind, status, message, retryAfterMs } }
+    // (see apiClient.js), added to the step's fallback record
+    failureDetails(error, reason) {
+        if (reason !== "apiError" || !(error instanceof ApiError)) return {};
+        return { error: { kind: error.kind, status: error.status, message: error.message, retryAfterMs: error.retryAfterMs } };
+    }
+
+    // Problems with a list of candidate ids: only a reply made entirely of unknown ids is rejected,
+    // otherwise the unknown ones are dropped when matching back
+    checkCandidateIds(ids, byId) {
+        const unknown = ids.filter((id) => !byId.has(id));
+        if (ids.length > 0 && unknown.length === ids.length) {
+            return [`${unknown.map((id) => JSON.stringify(id)).join(", ")} ${unknown.length === 1 ? "is not a candidate id" : "are not candidate ids"}`];
+        }
+        return [];
+    }
+
+    // selection: the result of selectCandidates when the caller already has it
+    async aiFilterCandidates(query, historyData, keywordQuery = query, context = "", fallbacks = [], { signal, selection } = {}) {
+        try {
+            const { candidates, needsRanking } = selection || this.selectCandidates(keywordQuery, historyData);
+
+            // Step 2: If we have some matches, use AI to refine them
+            return needsRanking ? await this.aiRankCandidates(query, candidates, context, fallbacks, { signal }) : candidates;
+        } catch (error) {
+            // Emergency fallback: smart keyword filter only
+            return this.smartKeywordFilter(keywordQuery, historyData).slice(0, 20);
+        }
+    }
+    // Step 1: Smart keyword-based pre-filtering, and whether the list is small enough for the ranking model
+    selectCandidates(keywordQuery, historyData) {
+        const keywordFiltered = this.smartKeywordFilter(keywordQuery, historyData);
+
+        if (keywordFiltered.length === 0) {
+            return { candidates: historyData.slice(0, 20), needsRanking: false }; // Return most recent/popular as fallback
+        }
+        if (keywordFiltered.length <= 50) {
+            // Small enough list - use AI to rank these
+            return { candidates: keywordFiltered, needsRanking: true };
+        }
+        // Too many matches - take top candidates by score
+        return { candidates: keywordFiltered.slice(0, 35), needsRanking: false };
+    }
+    smartKeywordFilter(query, historyData) {
+        const queryWords = query
+            .toLowerCase()
+            .split(/\s+/)
+            .filter((word) => word.length > 2);
+
+        const queryTerms = tokenize(query);
+
+        // Extract key concepts from the query
+        const concepts = this.extractConcepts(query);
+
+        const scored = historyData.map((item) => {
+            // Each part of the score is kept for the "why this result" breakdown
+            const parts = { concepts: 0, folder: 0, words: 0, pinned: 0, personal: 0, visits: 0, recency: 0, domain: 0 };
+            const matchedConcepts = [];
+            const titleLower = item.title.toLowerCase();
+            const urlLower = item.url.toLowerCase();
+            const contentLower = contentText(item).toLowerCase();
+            // The user named these folders, so a match there says about as much as one in the title
+            const folderLower = (item.bookmarkFolders || []).join(" ").toLowerCase();
+
+            // Check if item matches ALL key concepts (more strict)
+            concepts.forEach((concept) => {
+                let conceptFound = false;
+                if (concept.transitions || concept.referrerKeywords || concept.sources) {
+                    conceptFound = this.matchesVisitConcept(item, concept);
+                } else {
+                    concept.keywords.forEach((keyword) => {
+                        if (titleLower.includes(keyword) || urlLower.includes(keyword)) {
+                            conceptFound = true;
+                        } else if (!concept.isPlatform && folderLower.includes(keyword) && conceptFound !== true) {
+                            conceptFound = "folder";
+                        } else if (!concept.isPlatform && contentLower.includes(keyword) && !conceptFound) {
+                            conceptFound = "content";
+                        }
+                    });
+                }
+                if (conceptFound === "folder") {
+                    matchedConcepts.push({ name: concept.name, inPageText: false, inFolder: true });
+                    parts.folder += concept.weight;
+                } else if (conceptFound) {
+                    matchedConcepts.push({ name: concept.name, inPageText: conceptFound === "content" });
+                    // Page text is noisier than the title, so a match there counts for half
+                    parts.concepts += conceptFound === "content" ? concept.weight / 2 : concept.weight;
+                }
+            });
+
+            // Require multiple concepts to match for complex queries
+            const conceptPenalty = concepts.length > 1 && matchedConcepts.length < 2;
+            if (conceptPenalty) {
+                parts.concepts *= 0.1; // Heavy penalty if not matching multiple concepts
+            }
+
+            // Additional scoring for exact word matches
+            queryWords.forEach((word) => {
+                if (titleLower.includes(word)) {
+                    parts.words += 5;
+                }
+                if (urlLower.includes(word)) {
+                    parts.words += 3;
+                }
+                if (contentLower.includes(word)) {
+                    parts.words += 2;
+                }
+            });
+
+            // Pinned pages rank higher, but only for queries they match
+            const matches = parts.concepts + parts.folder + parts.words > 0;
+            if (matches && [item, ...(item.variants || [])].some((page) => this.pinnedUrls.has(page.url))) {
+                parts.pinned = PINNED_BONUS;
+            }
+
+            // So do pages the user went for before, and dismissed ones rank lower
+            if (matches) {
+                parts.personal = personalBoost(this.personalization, item.url, queryTerms);
+            }
+
+            // Bonus for visit frequency (but cap it)
+            parts.visits = Math.min(item.visitCount * 0.05, 2) * this.personalization.visitWeight;
+
+            // Recency bonus
+            const daysSince = Math.floor((this.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24));
+            if (daysSince < 7) parts.recency = this.personalization.recencyWeight;
+
+            // Domain-specific scoring
+            parts.domain = this.getDomainScore(item.url, concepts);
+
+            const score = Object.values(parts).reduce((total, part) => total + part, 0);
+            return { ...item, score, scoreBreakdown: { score, parts, matchedConcepts, conceptPenalty } };
+        });
+
+        // Filter and sort by score (STRICT FILTERING)
+        const filtered = scored
+            .filter((item) => item.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        return filtered;
+    }
+
+    // Visit concepts match on how a page was reached or where it was kept rather than on its title or URL
+    matchesVisitConcept(item, concept) {
+        const visits = item.visits || [];
+        if (concept.sources?.some((source) => item.sources?.includes(source))) {
+            return true;
+        }
+        if (concept.transitions) {
+            return visits.some((visit) => concept.transitions.includes(visit.transition)) || (concept.name === "typed" && item.typedCount > 0);
+        }
+        if (!concept.referrerKeywords) {
+            return false;
+        }
+        return visits.some((visit) => {
+            if (!visit.referrer) return false;
+            const referrerText = `${visit.referrer.title} ${visit.referrer.url}`.toLowerCase();
+            return concept.referrerKeywords.every((keyword) => referrerText.includes(keyword));
+        });
+    }
+
+    extractConcepts(query) {
+        const lowerQuery = query.toLowerCase();
+        const concepts = [];
+
+        // Platform-specific concepts - these are important for filtering
+        this.taxonomy.platforms.forEach((platform) => {
+            if (platform.pattern.test(lowerQuery)) {
+                concepts.push({
+                    name: platform.name,
+                    keywords: platform.keywords,
+                    weight: platform.weight,
+                    domains: platform.domains,
+                    isPlatform: true,
+                });
+            }
+        });
+
+        // Category patterns for common content types
+        this.taxonomy.categories.forEach((category) => {
+            if (category.pattern.test(lowerQuery)) {
+                concepts.push({
+                    name: category.name,
+                    keywords: category.keywords,
+                    weight: category.weight,
+                });
+            }
+        });
+
+        // Navigation concepts - how the page was opened, matched against its visits, or where it was kept
+        // (sources, see pageSources.js)
+        const transitionPatterns = {
+            typed: { pattern: /\btyped\b|\bdirectly\b|address bar|url bar/, keywords: ["typed", "directly", "address", "bar"], transitions: ["typed"] },
+            bookmark: { pattern: /from (?:a |my )?bookmarks?|bookmarked|\bin (?:my )?bookmarks\b/, keywords: ["bookmark", "bookmarks", "bookmarked"], transitions: ["auto_bookmark"], sources: ["bookmark"] },
+            saved: { pattern: /\bsaved\b|save(?:d)? (?:it )?for later/, keywords: ["saved", "save"], sources: ["bookmark", "readingList"] },
+            "open tab": { pattern: /\b(?:open|opened) tabs?\b|\bstill open\b|tabs? (?:i have|that's|that is) open/, keywords: ["open", "tab", "tabs"], sources: ["tab"] },
+            "closed tab": { pattern: /\bclosed (?:the |a |that )?(?:tab|window)s?\b|\b(?:tabs?|windows?) (?:i )?(?:just |accidentally )?closed\b|\brecently closed\b/, keywords: ["closed"], sources: ["closedTab"] },
+            "reading list": { pattern: /reading list|read(?:ing)? later/, keywords: ["reading", "list", "later"], sources: ["readingList"] },
+            form: { pattern: /\bsubmitted\b|\bform submissions?\b|\b(?:a|the|that) form\b/, keywords: ["submitted", "form"], transitions: ["form_submit"] },
+        };
+
+        for (const [name, config] of Object.entries(transitionPatterns)) {
+            if (lowerQuery.match(config.pattern)) {
+                concepts.push({
+                    name,
+                    keywords: config.keywords,
+                    ...(config.transitions && { transitions: config.transitions }),
+                    ...(config.sources && { sources: config.sources }),
+                    weight: 20,
+                });
+            }
+        }
+
+        // "the page I opened from that Hacker News thread" - match against the referring page
+        const referrerMatch = lowerQuery.match(/\b(?:opened|clicked|linked|came|got|found|followed)\s+(?:to\s+)?(?:it\s+|on\s+)?(?:from|via|through|on)\s+(?:that|the|a|an|my|some)?\s*([a-z0-9.\- ]+)/);
+        if (referrerMatch) {
+            const genericWords = new Set(["thread", "post", "page", "article", "link", "site", "comment", "comments", "tweet", "video", "search", "results", "one", "and", "the", "about"]);
+            const referrerKeywords = referrerMatch[1]
+                .split(/\s+/)
+                .slice(0, 4)
+                .filter((word) => word.length > 1 && !genericWords.has(word));
+            if (referrerKeywords.length > 0) {
+                concepts.push({
+                    name: `from ${referrerKeywords.join(" ")}`,
+                    keywords: referrerKeywords,
+                    referrerKeywords,
+                    weight: 20,
+                });
+            }
+        }
+
+        // Extract meaningful words from the query as generic concepts
+        // Filter out common stop words
+        const stopWords = new Set([
+            "the", "a", "an", "and", "or", "but", "in", "on", "at", "to", "for",
+            "of", "with", "by", "from", "that", "this", "was", "were", "is", "are",
+            "been", "being", "have", "has", "had", "do", "does", "did", "will",
+            "would", "could", "should", "may", "might", "can", "about", "which",
+            "what", "where", "when", "who", "how", "why", "i", "me", "my", "you",
+            "your", "we", "our", "they", "their", "it", "its", "some", "any",
+            "find", "show", "looking", "want", "need", "saw", "visited", "remember"
+        ]);
+
+        const words = lowerQuery
+            .split(/\s+/)
+            .filter((word) => word.length > 2 && !stopWords.has(word));
+
+        // Add remaining words as keyword concepts
+        words.forEach((word) => {
+            // Skip if already covered by a platform or category
+            const alreadyCovered = concepts.some(c =>
+                c.keywords.some(k => k.includes(word) || word.includes(k))
+            );
+            if (!alreadyCovered) {
+                concepts.push({
+                    name: word,
+                    keywords: [word],
+                    weight: 10,
+                });
+            }
+        });
+
+        return concepts;
+    }
+
+    // Domain part of the keyword score, from the taxonomy: platforms the query asks for, topic hints and
+    // penalties for general-purpose sites. Pages on the wrong platform get EXCLUDED_SCORE.
+    getDomainScore(url, concepts) {
+        try {
+            const domain = new URL(url).hostname.toLowerCase();
+            let score = 0;
+
+            // A platform asked for by name keeps only pages on its domains
+            const requestedPlatforms = concepts.filter((concept) => concept.isPlatform && concept.domains.length > 0);
+            if (requestedPlatforms.length > 0) {
+                const matching = requestedPlatforms.filter((platform) => matchesDomain(domain, platform.domains));
+                if (matching.length === 0) {
+                    return EXCLUDED_SCORE;
+                }
+                score += PLATFORM_MATCH_BONUS * matching.length;
+            }
+
+            // Penalised sites only lose out when the query didn't ask for them
+            this.taxonomy.penalties.forEach((penalty) => {
+                if (matchesDomain(domain, penalty.domains) && requestedPlatforms.length === 0) {
+                    score -= penalty.penalty;
+                }
+            });
+
+            // Bonus for relevant domains based on concepts
+            concepts.forEach((concept) => {
+                const topic = this.taxonomy.topics.find((candidate) => candidate.name === concept.name);
+                topic?.domainKeywords.forEach((keyword) => {
+                    if (domain.includes(keyword)) {
+                        score += topic.bonus;
+                    }
+                });
+            });
+
+            return score;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // ids are the opaque ids for the first MAX_RANKING_CANDIDATES candidates; fresh ones are made for previews
+    buildRankingPrompt(query, candidates, context = "", ids = opaqueIds(Math.min(candidates.length, MAX_RANKING_CANDIDATES))) {
+        // Prepare a concise list for AI ranking
+        const records = candidates.slice(0, MAX_RANKING_CANDIDATES).map((candidate, index) => this.candidateRecord(candidate, ids[index], 150));
+
+        return `
+${UNTRUSTED_DATA_NOTICE}
+${context}
+Query: "${this.promptQuery(query)}"
+
+These websites were pre-filtered as potentially relevant. Rank them by relevance to the query.
+
+${dataBlock("candidates", records)}
+
+Return ONLY a JSON object listing the ids of the MOST relevant pages, ordered by relevance.
+Example: {"ranking": ["${ids[0] || "p0a1b2c3d"}", "..."]}
+
+Focus on pages where the TITLE, URL or page text clearly relates to the query, or where the query describes how the page was opened (typed, bookmark, linked from a page) or where it was kept (keptIn: bookmark, open tab, recently closed tab, reading list; bookmarkFolders). Ignore generic sites like email, social media unless they specifically match.
+Return 10-20 ids max.
+`;
+    }
+
+    async aiRankCandidates(query, candidates, context = "", fallbacks = [], { signal } = {}) {
+        const rankable = candidates.slice(0, MAX_RANKING_CANDIDATES);
+        const ids = opaqueIds(rankable.length);
+        const byId = new Map(ids.map((id, index) => [id, rankable[index]]));
+        const stepSignal = this.stepSignal(signal);
+        try {
+            const rankingPrompt = this.buildRankingPrompt(query, candidates, context, ids);
+
+            // Ranking does not need grounding
+            const response = await this.generateStructured(this.rankingProvider, rankingPrompt, RANKING_SCHEMA, { check: (value) => this.checkCandidateIds(value.ranking, byId), signal: stepSignal });
+            if (response) {
+                return [...new Set(response.value.ranking)]
+                    .filter((id) => byId.has(id))
+                    .map((id, index) => {
+                        const candidate = byId.get(id);
+                        this.llmRanks.set(candidate, index + 1);
+                        return candidate;
+                    })
+                    .slice(0, 20);
+            }
+
+            // Fallback: return candidates as-is
+            fallbacks.push({ step: "ranking", reason: "invalidResponse", usedInstead: "keywordOrder" });
+            return candidates.slice(0, 20);
+        } catch (error) {
+            // When stopped, step 2 is skipped too and the candidates are scored by keyword
+            const reason = this.failureReason(signal, stepSignal);
+            fallbacks.push({ step: "ranking", reason, usedInstead: reason === "cancelled" ? "keywordScore" : "keywordOrder", ...this.failureDetails(error, reason) });
+            return candidates.slice(0, 20);
+        }
+    }
+
+    // History item as it appears in a prompt: redacted unless the user turned that off
+    promptItem(item) {
+        return this.settings.redactPrompts ? redactItem(item) : item;
+    }
+
+    promptQuery(query) {
+        return this.settings.redactPrompts ? redactText(query) : query;
+    }
+
+    // Whether the analysis step is grounded: requested for this search (or in settings) and supported by the provider
+    useGrounding(requested = this.settings.grounding) {
+        return Boolean(requested && this.analysisProvider.supportsGrounding);
+    }
+
+    // A candidate as one line of prompt data: redacted fields only, referred to by its opaque id
+    candidateRecord(candidate, id, textLength) {
+        const item = this.promptItem(candidate);
+        const record = {
+            id,
+            title: item.title,
+            url: item.url,
+            visits: item.visitCount,
+            daysAgo: Math.floor((this.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24)),
+            ...this.visitDetails(item),
+            ...this.keptIn(item),
+        };
+
+        // Start of the page's captured text
+        const text = contentText(item);
+        if (text) {
+            record.pageText = text.length > textLength ? `${text.slice(0, textLength)}…` : text;
+        }
+        return record;
+    }
+
+    // How a page was reached: non-link transitions and the titles of pages that linked to it
+    visitDetails(item) {
+        const visits = item.visits || [];
+        const details = {};
+
+        const transitions = [...new Set(visits.map((visit) => visit.transition))].filter((transition) => transition && transition !== "link");
+        if (transitions.length > 0) {
+            details.openedVia = transitions;
+        }
+        const referrers = [...new Set(visits.filter((visit) => visit.referrer).map((visit) => visit.referrer.title || visit.referrer.url))].slice(0, 2);
+        if (referrers.length > 0) {
+            details.linkedFrom = referrers;
+        }
+        return details;
+    }
+
+    // Where a page was kept besides history: keptIn lists "bookmark", "tab" (open now), "closedTab" (recently
+    // closed) or "readingList", with the bookmark folders it is filed under
+    keptIn(item) {
+        const kept = (item.sources || []).filter((source) => source !== "history");
+        if (kept.length === 0) return {};
+        return { keptIn: kept, ...(item.bookmarkFolders?.length > 0 && { bookmarkFolders: item.bookmarkFolders }) };
+    }
+
+    // Page sources and grouped URL variants carried over from a candidate to its result, for the source badges
+    // and the variant list on its card
+    pageDetails(item) {
+        return {
+            ...(item.sources && { sources: item.sources, bookmarkFolders: item.bookmarkFolders || [] }),
+            ...(item.variants && { variants: item.variants }),
+        };
+    }
+
+    buildAnalysisPrompt(query, candidates, context = "", ids = opaqueIds(Math.min(candidates.length, MAX_ANALYSIS_CANDIDATES))) {
+        const safeQuery = this.promptQuery(query);
+
+        // Prepare candidate pages for analysis; limit to the top candidates to avoid token limits
+        const records = candidates.slice(0, MAX_ANALYSIS_CANDIDATES).map((candidate, index) => this.candidateRecord(candidate, ids[index], 400));
+
+        return `
+${UNTRUSTED_DATA_NOTICE}
+${context}
+I need to find the most relevant websites from a user's browsing history for this EXACT query: "${safeQuery}"
+
+Here are the PRE-FILTERED candidate pages from their browsing history:
+${dataBlock("candidates", records)}
+
+CRITICAL: These candidates have already been filtered to match the user's query. Your job is to:
+1. ONLY analyze and rank the pages from the candidate list above
+2. Do NOT suggest any pages that aren't in the candidate list
+3. Focus on which of these candidates best match the query intent
+4. If the query mentions a specific platform (like "reddit post"), ONLY return results from that platform
+
+Important considerations:
+- The user's query is: "${safeQuery}"
+- Look specifically for content that matches ALL aspects of this query
+- Consider the user's engagement level (visits and daysAgo) as a secondary factor
+- Use how a page was opened (openedVia: typed directly or from a bookmark; linkedFrom: the pages that linked to it) when the query mentions it
+- Use where a page was kept (keptIn: bookmark, tab that is open now, recently closedTab, readingList; bookmarkFolders: the folders it is filed under) when the query mentions saving, bookmarks, tabs or a folder's topic
+- Use the pageText, where given, to judge what a page is actually about when its title is vague
+- Prioritize pages that have actual relevant content over popular but unrelated pages
+
+Return your response as a JSON object with this exact format:
+{
+    "results": [
+        {
+            "id": "id_of_the_page_in_the_candidate_list_above",
+            "reason": "detailed explanation based on current content analysis of why this page perfectly matches the query"
+        }
+    ]
+}
+
+Only return the JSON object, no additional text.
+`;
+    }
+
+    // onResults(results) is called whenever the streamed reply has a different number of complete results
+    async groundedAnalysis(query, candidates, context = "", fallbacks = [], { signal, onResults = () => {}, grounded = this.useGrounding() } = {}) {
+        const listed = candidates.slice(0, MAX_ANALYSIS_CANDIDATES);
+        const ids = opaqueIds(listed.length);
+        const byId = new Map(ids.map((id, index) => [id, listed[index]]));
+        const stepSignal = this.stepSignal(signal);
+        let partial = [];
+        const onText = (text) => {
+            const parsed = this.matchResults(completeArrayItems(text, "results"), byId, { grounded });
+            if (parsed.length !== partial.length) {
+                partial = parsed;
+                onResults(partial);
+            }
+        };
+        try {
+            const groundedPrompt = this.buildAnalysisPrompt(query, candidates, context, ids);
+            const response = await this.generateStructured(this.analysisProvider, groundedPrompt, ANALYSIS_SCHEMA, {
+                grounding: grounded,
+                check: (value) => this.checkCandidateIds(value.results.map((result) => result.id), byId),
+                signal: stepSignal,
+                onText,
+            });
+
+            if (!response) {
+                // Fallback to simple candidate analysis
+                fallbacks.push({ step: "analysis", reason: "invalidResponse", usedInstead: "keywordScore" });
+                return this.candidateBasedFallback(query, candidates);
+            }
+            return this.matchResults(response.value.results, byId, { grounded, groundingMetadata: response.groundingMetadata });
+        } catch (error) {
+            // Keep the results that streamed in before the request stopped
+            const reason = this.failureReason(signal, stepSignal);
+            if (partial.length > 0) {
+                fallbacks.push({ step: "analysis", reason, usedInstead: "partialResults", ...this.failureDetails(error, reason) });
+                return partial;
+            }
+            fallbacks.push({ step: "analysis", reason, usedInstead: "keywordScore", ...this.failureDetails(error, reason) });
+            return this.candidateBasedFallback(query, candidates);
+        }
+    }
+
+    // Map each answer back to its real candidate by id and attach its grounding sources. Unknown ids are dropped, and
+    // so is an answer whose URL (if the model added one) isn't exactly the URL its candidate was sent with.
+    matchResults(answers, byId, { grounded = false, groundingMetadata = null } = {}) {
+        const seen = new Set();
+        return answers
+            .filter((result) => {
+                // Partial replies are not validated as a whole, so check each answer
+                if (validate(result, ANALYSIS_SCHEMA.properties.results.items).length > 0) return false;
+                const candidate = byId.get(result.id);
+                if (!candidate || seen.has(result.id)) return false;
+                if (result.url !== undefined && result.url !== this.promptItem(candidate).url) return false;
+                seen.add(result.id);
+                return true;
+            })
+            .map((result, index) => {
+                const candidate = byId.get(result.id);
+                return {
+                    url: candidate.url,
+                    title: candidate.title,
+                    visits: candidate.visits,
+                    lastVisitTime: candidate.lastVisitTime,
+                    visitCount: candidate.visitCount,
+                    ...this.pageDetails(candidate),
+                    reason: result.reason,
+                    grounding: this.groundingFor(result.reason, groundingMetadata),
+                    explanation: this.explain(candidate, grounded ? "grounded" : "analysis", { analysisRank: index + 1 }),
+                };
+            })
+            .slice(0, this.settings.resultsShown);
+    }
+
+    // How a result came about, for the "why this result" panel: the pipeline stages it went through ("keyword",
+    // "aiRank", then the one that produced it: "analysis", "grounded", "fallback" or "onDevice"), the score
+    // breakdown that picked or ordered it, and its place in the ranking and analysis models' answers
+    explain(candidate, stage, { breakdown = candidate.scoreBreakdown, analysisRank = null } = {}) {
+        const llmRank = this.llmRanks.get(candidate) ?? null;
+        return {
+            stages: [...(candidate.scoreBreakdown ? ["keyword"] : []), ...(llmRank ? ["aiRank"] : []), stage],
+            breakdown: breakdown || null,
+            llmRank,
+            analysisRank,
+        };
+    }
+
+    // Grounding behind one result as { sources: [{ title, uri }], searchQueries }, or null without any.
+    // Sources are the web chunks cited by supports whose text is part of this result's reason (segment offsets
+    // count from the start of the whole reply, not the reason). The searches Gemini ran apply to every result.
+    groundingFor(reason, groundingMetadata) {
+        if (!groundingMetadata) return null;
+
+        const chunks = groundingMetadata.groundingChunks || [];
+        const sources = new Map();
+        (groundingMetadata.groundingSupports || [])
+            .filter((support) => support.segment?.text && reason.includes(support.segment.text))
+            .flatMap((support) => support.groundingChunkIndices || [])
+            .forEach((index) => {
+                const web = chunks[index]?.web;
+                if (web?.uri && isWebUrl(web.uri) && !sources.has(web.uri)) {
+                    sources.set(web.uri, { title: web.title || new URL(web.uri).hostname, uri: web.uri });
+                }
+            });
+        const searchQueries = (groundingMetadata.webSearchQueries || []).filter((searchQuery) => typeof searchQuery === "string" && searchQuery.trim());
+
+        if (sources.size === 0 && searchQueries.length === 0) return null;
+        return { sources: [...sources.values()], searchQueries };
+    }
+
+    candidateBasedFallback(query, candidates) {
+        const queryWords = query.toLowerCase().split(/\s+/);
+        const queryTerms = tokenize(query);
+        const { recencyWeight, visitWeight } = this.personalization;
+
+        const scored = candidates.map((page) => {
+            const parts = { words: 0, personal: 0, visits: 0, recency: 0 };
+            const titleLower = page.title.toLowerCase();
+            const urlLower = page.url.toLowerCase();
+
+            queryWords.forEach((word) => {
+                if (titleLower.includes(word)) parts.words += 3;
+                if (urlLower.includes(word)) parts.words += 2;
+            });
+            if (parts.words > 0) {
+                parts.personal = personalBoost(this.personalization, page.url, queryTerms);
+            }
+
+            // Bonus for visit frequency and recency
+            parts.visits = Math.min(page.visitCount * 0.2, 3) * visitWeight;
+            const daysSince = Math.floor((this.now() - page.lastVisitTime) / (1000 * 60 * 60 * 24));
+            if (daysSince < 7) parts.recency = 2 * recencyWeight;
+            else if (daysSince < 30) parts.recency = recencyWeight;
+
+            const score = Object.values(parts).reduce((total, part) => total + part, 0);
+            return { ...page, score, explanation: this.explain(page, "fallback", { breakdown: { score, parts } }) };
+        });
+
+        return scored
+            .filter((page) => page.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.settings.resultsShown)
+            .map((page) => ({
+                url: page.url,
+                title: page.title,
+                visits: page.visits,
+                lastVisitTime: page.lastVisitTime,
+                visitCount: page.visitCount,
+                ...this.pageDetails(page),
+                reason: `Relevant match with score: ${page.score.toFixed(1)} (visited ${page.visitCount} times)`,
+                explanation: page.explanation,
+            }));
+    }
+    prepareHistoryForFiltering(historyItems) {
+        // Prepare a more comprehensive list for AI filtering
+        const historyLines = [];
+        historyItems.forEach((item, index) => {
+            const daysSince = Math.floor((this.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24));
+            const visitInfo = `(${item.visitCount} visits, ${daysSince} days ago)`;
+            historyLines.push(`${index + 1}. ${item.title} - ${item.url} ${visitInfo}`);
+        });
+        return historyLines.join("\n");
+    }
+    async fallbackAnalysis(query, historyData) {
+        return this.semanticRank(query, historyData);
+    }
+    // On-device ranking: embedding similarity blended with recency and visit count
+    async semanticRank(query, historyData, limit = this.settings.resultsShown) {
+        const hasQueryTerms = tokenize(query).length > 0;
+        const concepts = this.extractConcepts(query);
+        // Keep the platform exclusions from keyword search ("reddit post" means reddit only)
+        const eligible = historyData.filter((item) => this.getDomainScore(item.url, concepts) > EXCLUDED_SCORE);
+        const [queryVector] = hasQueryTerms ? await this.embedder.embed([query]) : [];
+        const pageVectors = hasQueryTerms ? await this.embeddingCache.forPages(eligible) : [];
+        const minSimilarity = await this.embedder.minSimilarity();
+
+        const scored = eligible
+            .map((item, index) => {
+                const similarity = hasQueryTerms ? cosineSimilarity(queryVector, pageVectors[index]) : 0;
+                const daysSince = (this.now() - item.lastVisitTime) / (1000 * 60 * 60 * 24);
+                const recency = Math.exp(-daysSince / 14);
+                const popularity = Math.min(Math.log1p(item.visitCount) / Math.log1p(50), 1);
+                const parts = { similarity: similarity * 0.75, recency: recency * 0.15, visits: popularity * 0.1 };
+                const score = parts.similarity + parts.recency + parts.visits;
+                return { ...item, similarity, score, explanation: this.explain({}, "onDevice", { breakdown: { score, parts } }) };
+            });
+
+        return scored
+            .filter((item) => !hasQueryTerms || item.similarity > minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map((item) => ({
+                url: item.url,
+                title: item.title,
+                visits: item.visits,
+                lastVisitTime: item.lastVisitTime,
+                visitCount: item.visitCount,
+                ...this.pageDetails(item),
+                reason: hasQueryTerms ? `On-device match: ${Math.round(item.similarity * 100)}% similar (visited ${item.visitCount} times)` : `Visited ${item.visitCount} times`,
+                explanation: item.explanation,
+            }));
+    }
+
+    // A refinement term matches on title, URL or page text, or on the platform's domains ("github" -> github.com)
+    matchesTerm(item, term) {
+        const text = `${item.title} ${item.url} ${contentText(item)}`.toLowerCase();
+        if (text.includes(term)) return true;
+        const singular = term.replace(/s$/, "");
+        if (singular.length > 2 && text.includes(singular)) return true;
+        const concepts = this.extractConcepts(term);
+        return concepts.some((concept) => concept.isPlatform) && this.getDomainScore(item.url, concepts) >= PLATFORM_MATCH_BONUS;
+    }
+
+    platformNames() {
+        return this.taxonomy.platforms.map((platform) => platform.name);
+    }
+
+    // The pages a follow-up can refine: this turn's results plus the best keyword matches
+    async candidatePool(keywordQuery, historyData, results) {
+        const pool = this.settings.offlineMode ? await this.semanticRank(keywordQuery, historyData, 50) : this.smartKeywordFilter(keywordQuery, historyData).slice(0, 50);
+        const byUrl = new Map();
+        [...(results || []), ...pool].forEach((item) => {
+            const original = historyData.find((page) => page.url === item.url) || item;
+            if (!byUrl.has(item.url)) byUrl.set(item.url, original);
+        });
+        return [...byUrl.values()];
+    }
+
+    // Earlier conversation turns, included in prompts so the LLM can interpret a follow-up.
+    // Shown titles come from web pages, so they go in a data block like the candidates.
+    buildConversationContext(turns) {
+        const records = turns.slice(-3).map((turn) => ({
+            userAsked: this.promptQuery(turn.query),
+            searched: turn.timeRange.label,
+            shown: (turn.results || []).slice(0, 5).map((result) => {
+                const item = this.promptItem(result);
+                return { title: item.title, url: item.url };
+            }),
+        }));
+
+        return `Earlier in this conversation (the current query may refine these results):\n${dataBlock("conversation", records)}\n`;
+    }
+
+}
@@ -0,0 +1,63 @@
+// User settings stored in chrome.storage.sync
+
+export const DEFAULT_SETTINGS = {
+    geminiApiKey: "",
+    // Provider for step 1 (ranking keyword candidates) and step 2 (final analysis).
+    // An empty apiKey on a Gemini provider falls back to geminiApiKey.
+    rankingProvider: { type: "gemini", model: "gemini-1.5-flash", baseUrl: "", apiKey: "" },
+    analysisProvider: { type: "gemini", model: "gemini-2.5-flash", baseUrl: "", apiKey: "" },
+    // Rank with on-device embeddings only: no API key, nothing leaves the browser
+    offlineMode: false,
+    // History window used when the query has no time expression
+    lookbackDays: 30,
+    // Cap on history entries considered per search
+    maxResults: 1000,
+    // Result cards shown per answer
+    resultsShown: 5,
+    // What Enter does after "ss <query>" in the address bar: "openTopHit" or "showResults"
+    omniboxAction: "openTopHit",
+    // Each LLM step is stopped after this long and falls back to keyword ranking
+    stepTimeoutSeconds: 60,
+    // A repeated search over unchanged history reuses its results for this long (0 turns the cache off)
+    resultCacheMinutes: 60,
+    // Google Search grounding for the analysis step (Gemini only)
+    grounding: true,
+    // Extra platforms, categories and penalised sites for keyword scoring, added to the built-in ones in taxonomy.js:
+    // [{ kind: "platform" | "category" | "penalty", name, domains: [], keywords: [], weight }]
+    customTaxonomy: [],
+    // Domains, globs and /regex/ patterns that are never indexed or sent (see privacy.js)
+    blocklist: [],
+    // Strip query strings, fragments, emails and tokens from prompts
+    redactPrompts: true,
+    // Capture the text of visited pages with a content script; stored only in the local index
+    indexPageContent: false,
+    // Sites whose text is never captured, in the same rule syntax as the blocklist
+    contentOptOut: [],
+};
+
+export async function loadSettings() {
+    try {
+        const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+        return { ...DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+        // Storage unavailable, run with defaults
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export async function saveSettings(changes) {
+    await chrome.storage.sync.set(changes);
+}
+
+export async function resetSettings() {
+    await chrome.storage.sync.remove(Object.keys(DEFAULT_SETTINGS));
+}
+
+// Provider config with the shared Gemini key filled in where needed
+export function resolveProviderConfig(settings, role) {
+    const config = { ...DEFAULT_SETTINGS[role], ...settings[role] };
+    if (config.type === "gemini" && !config.apiKey) {
+        config.apiKey = settings.geminiApiKey;
+    }
+    return config;
+}
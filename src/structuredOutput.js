@@ -0,0 +1,147 @@
+// Response schemas for the LLM steps, and parsing/validation of what comes back.
+// Schemas are plain JSON Schema; providers translate them to their own structured-output format.
+
+// Step 1: candidate ids, most relevant first
+export const RANKING_SCHEMA = {
+    type: "object",
+    properties: {
+        ranking: {
+            type: "array",
+            description: "Ids of the most relevant candidates, most relevant first",
+            items: { type: "string" },
+        },
+    },
+    required: ["ranking"],
+    additionalProperties: false,
+};
+
+// Step 2: the chosen candidates with an explanation each
+export const ANALYSIS_SCHEMA = {
+    type: "object",
+    properties: {
+        results: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    id: { type: "string", description: "Id of the candidate in the list" },
+                    reason: { type: "string", description: "Why this page matches the query" },
+                },
+                required: ["id", "reason"],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ["results"],
+    additionalProperties: false,
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (typeof value === "number" && Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// Check a value against the subset of JSON Schema used above. Returns a list of problems, empty if valid.
+export function validate(value, schema, path = "$") {
+    const actual = typeOf(value);
+    if (actual !== schema.type && !(schema.type === "number" && actual === "integer")) {
+        return [`${path} should be ${schema.type}, got ${actual}`];
+    }
+
+    if (schema.type === "array") {
+        return value.flatMap((item, index) => validate(item, schema.items, `${path}[${index}]`));
+    }
+    if (schema.type === "object") {
+        const missing = (schema.required || []).filter((key) => !(key in value)).map((key) => `${path}.${key} is missing`);
+        const present = Object.entries(schema.properties || {})
+            .filter(([key]) => key in value)
+            .flatMap(([key, propertySchema]) => validate(value[key], propertySchema, `${path}.${key}`));
+        return [...missing, ...present];
+    }
+    return [];
+}
+
+// Pull the JSON out of a reply: bare, inside a code fence, or surrounded by prose
+export function extractJson(text) {
+    const trimmed = text.trim();
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        // Not bare JSON, look inside
+    }
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const body = fenced ? fenced[1] : trimmed;
+    const start = body.search(/[[{]/);
+    const end = Math.max(body.lastIndexOf("]"), body.lastIndexOf("}"));
+    if (start === -1 || end < start) {
+        throw new Error("No JSON found in the response");
+    }
+    return JSON.parse(body.slice(start, end + 1));
+}
+
+// Parse and validate a reply. Returns { value } or { errors }.
+export function parseStructured(text, schema) {
+    let value;
+    try {
+        value = extractJson(text);
+    } catch (error) {
+        return { errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const errors = validate(value, schema);
+    return errors.length > 0 ? { errors } : { value };
+}
+
+// Items of an array property that are already complete in a reply still streaming in, e.g. the
+// first result of '{"results": [{"id": "p1", "reason": "..."}, {"id": "p2", "rea'. Unparseable items are skipped.
+export function completeArrayItems(text, key) {
+    const match = text.match(new RegExp(`"${key}"\\s*:\\s*\\[`));
+    if (!match) return [];
+
+    const items = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let itemStart = -1;
+    for (let index = match.index + match[0].length; index < text.length; index++) {
+        const char = text[index];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === "\\") escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === "{" || char === "[") {
+            if (depth === 0) itemStart = index;
+            depth++;
+        } else if (char === "}" || char === "]") {
+            // The array itself closed
+            if (depth === 0) break;
+            depth--;
+            if (depth === 0) {
+                try {
+                    items.push(JSON.parse(text.slice(itemStart, index + 1)));
+                } catch (error) {
+                    // Malformed item, leave it to the full validation
+                }
+            }
+        }
+    }
+    return items;
+}
+
+// Follow-up prompt asking the model to fix a reply that failed validation
+export function buildRepairPrompt(prompt, reply, errors, schema) {
+    return `${prompt}
+
+Your previous reply could not be used:
+${reply.slice(0, 2000)}
+
+Problems: ${errors.slice(0, 5).join("; ")}
+
+Reply again with ONLY a JSON object matching this schema, no other text:
+${JSON.stringify(schema)}`;
+}
@@ -0,0 +1,95 @@
+// Platforms, content categories and domain weights used by keyword scoring (SearchEngine.extractConcepts
+// and getDomainScore). The built-in taxonomy below is plain data; users add their own entries in Settings.
+//
+//   platforms:  sites a query can ask for by name. Asking for one keeps only pages on its domains.
+//   categories: kinds of content ("video", "recipe"), matched against titles and URLs.
+//   topics:     query words whose pages tend to live on domains containing certain words.
+//   penalties:  sites that are rarely what a search is after unless it asks for them by name.
+//
+// pattern is a regular expression source tested against the lower-cased query; keywords are matched
+// against titles and URLs. Domains match themselves and their subdomains.
+
+export const DEFAULT_TAXONOMY = {
+    platforms: [
+        { name: "reddit", pattern: "reddit|r\\/|subreddit", keywords: ["reddit", "r/", "subreddit", "reddit.com"], domains: ["reddit.com"], weight: 25 },
+        { name: "youtube", pattern: "youtube|youtu\\.be", keywords: ["youtube", "youtu.be"], domains: ["youtube.com", "youtu.be"], weight: 22 },
+        { name: "twitter", pattern: "twitter|x\\.com|tweet", keywords: ["twitter", "x.com", "tweet", "t.co"], domains: ["twitter.com", "x.com", "t.co"], weight: 22 },
+        { name: "github", pattern: "github|gh\\s", keywords: ["github", "github.com"], domains: ["github.com"], weight: 22 },
+        { name: "stackoverflow", pattern: "stackoverflow|stack overflow", keywords: ["stackoverflow", "stack overflow"], domains: ["stackoverflow.com"], weight: 20 },
+        { name: "linkedin", pattern: "linkedin", keywords: ["linkedin", "linkedin.com"], domains: ["linkedin.com"], weight: 18 },
+        { name: "medium", pattern: "medium\\.com|medium article", keywords: ["medium", "medium.com"], domains: ["medium.com"], weight: 18 },
+        { name: "wikipedia", pattern: "wikipedia", keywords: ["wikipedia", "wiki"], domains: ["wikipedia.org"], weight: 15 },
+    ],
+    categories: [
+        { name: "video", pattern: "video|watch|stream", keywords: ["video", "watch", "stream", "player"], weight: 15 },
+        { name: "article", pattern: "article|blog|post|read", keywords: ["article", "blog", "post", "read", "news"], weight: 12 },
+        { name: "tutorial", pattern: "tutorial|guide|how to|learn", keywords: ["tutorial", "guide", "how", "learn", "course"], weight: 14 },
+        { name: "documentation", pattern: "docs|documentation|reference|api", keywords: ["docs", "documentation", "reference", "api"], weight: 14 },
+        { name: "shopping", pattern: "buy|shop|price|store|amazon|ebay", keywords: ["buy", "shop", "price", "store", "cart", "order"], weight: 12 },
+        { name: "recipe", pattern: "recipe|cook|food|meal", keywords: ["recipe", "cook", "food", "meal", "ingredient"], weight: 12 },
+        { name: "news", pattern: "news|headline|breaking", keywords: ["news", "headline", "breaking", "report"], weight: 12 },
+    ],
+    topics: [
+        { name: "wallpaper", domainKeywords: ["wallpaper", "background", "desktop", "image", "photo", "pic"], bonus: 12 },
+        { name: "art", domainKeywords: ["deviantart", "artstation", "pixiv", "behance", "art"], bonus: 12 },
+        { name: "gaming", domainKeywords: ["steam", "epic", "riot", "gaming", "game"], bonus: 12 },
+        { name: "tech", domainKeywords: ["dev", "tech", "code"], bonus: 12 },
+        { name: "chatbot", domainKeywords: ["perplexity", "openai", "claude", "gemini", "bard"], bonus: 12 },
+    ],
+    penalties: [
+        { name: "social media", domains: ["facebook.com", "instagram.com", "tiktok.com"], penalty: 15 },
+        { name: "general", domains: ["gmail.com", "google.com"], penalty: 25 },
+    ],
+};
+
+// Defaults for entries added in Settings, by kind
+export const CUSTOM_ENTRY_WEIGHTS = { platform: 20, category: 12, penalty: 15 };
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+// A user's keywords as a pattern, matched as whole words so "gl" doesn't fire on "english"
+function keywordPattern(keywords) {
+    return `(?<![a-z0-9])(?:${keywords.map(escapeRegExp).join("|")})(?![a-z0-9])`;
+}
+
+export function matchesDomain(hostname, domains) {
+    return domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Built-in taxonomy with the user's entries from settings.customTaxonomy
+// ([{ kind: "platform" | "category" | "penalty", name, domains, keywords, weight }]) added.
+// A custom entry with the same kind and name as a built-in one replaces it.
+export function compileTaxonomy(customEntries = []) {
+    const byName = (entries) => new Map(entries.map((entry) => [entry.name, entry]));
+    const platforms = byName(DEFAULT_TAXONOMY.platforms);
+    const categories = byName(DEFAULT_TAXONOMY.categories);
+    const penalties = byName(DEFAULT_TAXONOMY.penalties);
+
+    customEntries.forEach((entry) => {
+        const name = (entry.name || "").trim().toLowerCase();
+        if (!name) return;
+        const domains = (entry.domains || []).map((domain) => domain.trim().toLowerCase().replace(/^\.+/, "")).filter(Boolean);
+        const keywords = (entry.keywords || []).map((keyword) => keyword.trim().toLowerCase()).filter(Boolean);
+        const weight = Number.isFinite(entry.weight) && entry.weight > 0 ? entry.weight : CUSTOM_ENTRY_WEIGHTS[entry.kind];
+
+        if (entry.kind === "platform") {
+            const platformKeywords = keywords.length > 0 ? keywords : [name];
+            platforms.set(name, { name, pattern: keywordPattern(platformKeywords), keywords: [...platformKeywords, ...domains], domains, weight });
+        } else if (entry.kind === "category") {
+            const categoryKeywords = keywords.length > 0 ? keywords : [name];
+            categories.set(name, { name, pattern: keywordPattern(categoryKeywords), keywords: categoryKeywords, weight });
+        } else if (entry.kind === "penalty" && domains.length > 0) {
+            penalties.set(name, { name, domains, penalty: weight });
+        }
+    });
+
+    const withRegExp = (entry) => ({ ...entry, pattern: new RegExp(entry.pattern) });
+    return {
+        platforms: [...platforms.values()].map(withRegExp),
+        categories: [...categories.values()].map(withRegExp),
+        topics: DEFAULT_TAXONOMY.topics,
+        penalties: [...penalties.values()],
+    };
+}
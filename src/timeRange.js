@@ -0,0 +1,192 @@
+// Natural-language time range parsing for history queries
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const MONTH_ALIASES = {
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11,
+};
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, "a couple of": 2, "couple of": 2, "a few": 3, few: 3, several: 3,
+};
+
+const MONTH_NAME = `(${MONTHS.join("|")}|${Object.keys(MONTH_ALIASES).join("|")})`;
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join("|")})`;
+const UNIT = "(day|week|month|year)s?";
+const ORDINAL = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function subtractUnits(date, unit, amount) {
+    switch (unit) {
+        case "day":
+            return new Date(date.getTime() - amount * DAY_MS);
+        case "week":
+            return new Date(date.getTime() - amount * 7 * DAY_MS);
+        case "month":
+            return new Date(date.getFullYear(), date.getMonth() - amount, date.getDate(), date.getHours(), date.getMinutes());
+        default:
+            return new Date(date.getFullYear() - amount, date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+    }
+}
+
+function parseNumber(text) {
+    const normalized = text.toLowerCase();
+    if (/^\d+$/.test(normalized)) return parseInt(normalized, 10);
+    return NUMBER_WORDS[normalized] || 1;
+}
+
+function parseMonth(text) {
+    const normalized = text.toLowerCase();
+    const index = MONTHS.indexOf(normalized);
+    return index >= 0 ? index : MONTH_ALIASES[normalized];
+}
+
+function formatDate(date, withYear) {
+    const options = { month: "short", day: "numeric" };
+    if (withYear) options.year = "numeric";
+    return date.toLocaleDateString("en-US", options);
+}
+
+// Human-readable description of a range, used in the chat messages
+function formatRange(start, end, now) {
+    const lastDay = new Date(end.getTime() - 1);
+    const withYear = start.getFullYear() !== now.getFullYear() || lastDay.getFullYear() !== now.getFullYear();
+    if (startOfDay(start).getTime() === startOfDay(lastDay).getTime()) {
+        return formatDate(start, withYear);
+    }
+    return `${formatDate(start, withYear)} – ${formatDate(lastDay, withYear)}`;
+}
+
+// Each matcher returns { start, end, label? } for a regex match, or null if the match
+// does not describe a valid range. Order matters: more specific phrases come first.
+const MATCHERS = [
+    {
+        pattern: new RegExp(`\\b(?:between|from)\\s+(?:the\\s+)?${ORDINAL}\\s+(?:and|to|until|-)\\s+(?:the\\s+)?${ORDINAL}(?:\\s+of\\s+${MONTH_NAME})?\\b`, "i"),
+        resolve: (match, now) => {
+            const first = parseInt(match[1], 10);
+            const last = parseInt(match[2], 10);
+            if (first < 1 || last < first || last > 31) return null;
+
+            let month = match[3] ? parseMonth(match[3]) : now.getMonth();
+            let year = now.getFullYear();
+            // Without an explicit month, "the 3rd" means the most recent 3rd
+            if (!match[3] && first > now.getDate()) month -= 1;
+            if (match[3] && new Date(year, month, first) > now) year -= 1;
+            // "between the 28th and 31st of February" names days the month doesn't have
+            if (last > new Date(year, month + 1, 0).getDate()) return null;
+
+            return { start: new Date(year, month, first), end: new Date(year, month, last + 1) };
+        },
+    },
+    {
+        pattern: /\b(?:earlier\s+)?today\b/i,
+        resolve: (match, now) => ({ start: startOfDay(now), end: addDays(startOfDay(now), 1), label: "today" }),
+    },
+    {
+        pattern: /\byesterday\b/i,
+        resolve: (match, now) => ({ start: addDays(startOfDay(now), -1), end: startOfDay(now), label: "yesterday" }),
+    },
+    {
+        pattern: new RegExp(`\\b(?:in\\s+|during\\s+|over\\s+)?(?:the\\s+)?(?:past|last)\\s+${NUMBER}\\s+${UNIT}\\b`, "i"),
+        resolve: (match, now) => {
+            const amount = parseNumber(match[1]);
+            return { start: subtractUnits(now, match[2].toLowerCase(), amount), end: now, label: `the last ${amount} ${match[2].toLowerCase()}${amount === 1 ? "" : "s"}` };
+        },
+    },
+    {
+        pattern: new RegExp(`\\b${NUMBER}\\s+${UNIT}\\s+ago\\b`, "i"),
+        resolve: (match, now) => {
+            // "Two weeks ago" is fuzzy, so search one unit either side of the exact point
+            const amount = parseNumber(match[1]);
+            const unit = match[2].toLowerCase();
+            return { start: subtractUnits(now, unit, amount + 1), end: subtractUnits(now, unit, amount - 1) };
+        },
+    },
+    {
+        pattern: new RegExp(`\\b(?:(?:on|last|this past)\\s+)+(${WEEKDAYS.join("|")})\\b`, "i"),
+        resolve: (match, now) => {
+            const target = WEEKDAYS.indexOf(match[1].toLowerCase());
+            let offset = (now.getDay() - target + 7) % 7;
+            if (offset === 0) offset = 7;
+            const day = addDays(startOfDay(now), -offset);
+            return { start: day, end: addDays(day, 1), label: `${match[1][0].toUpperCase()}${match[1].slice(1).toLowerCase()} (${formatDate(day, false)})` };
+        },
+    },
+    {
+        pattern: /\b(last|this)\s+(week|month|year)\b/i,
+        resolve: (match, now) => {
+            const which = match[1].toLowerCase();
+            const unit = match[2].toLowerCase();
+            let start;
+            if (unit === "week") {
+                start = addDays(startOfDay(now), -now.getDay());
+            } else if (unit === "month") {
+                start = new Date(now.getFullYear(), now.getMonth(), 1);
+            } else {
+                start = new Date(now.getFullYear(), 0, 1);
+            }
+
+            if (which === "this") {
+                return { start, end: now, label: `this ${unit}` };
+            }
+            return { start: subtractUnits(start, unit, 1), end: start, label: `last ${unit}` };
+        },
+    },
+    {
+        // "in March", "from March", "from last May", "back in August 2024"; a bare name needs a year, since "may" is usually a verb
+        pattern: new RegExp(`\\b(?:(?:from\\s+)?(?:back\\s+)?(?:in|during)\\s+|from\\s+(?:last\\s+)?|last\\s+)${MONTH_NAME}(?:\\s+(\\d{4}))?\\b|\\b${MONTH_NAME}\\s+(\\d{4})\\b`, "i"),
+        resolve: (match, now) => {
+            const month = parseMonth(match[1] || match[3]);
+            const explicitYear = match[2] || match[4];
+            let year = explicitYear ? parseInt(explicitYear, 10) : now.getFullYear();
+            // A bare month name means its most recent occurrence
+            if (!explicitYear && month > now.getMonth()) year -= 1;
+            return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        },
+    },
+];
+
+// Parse a time expression out of a query.
+// Returns the search window plus the query text with the time expression removed.
+export function parseTimeRange(query, now = new Date(), lookbackDays = DEFAULT_LOOKBACK_DAYS) {
+    for (const matcher of MATCHERS) {
+        const match = query.match(matcher.pattern);
+        if (!match) continue;
+
+        const range = matcher.resolve(match, now);
+        if (!range || range.start >= now) continue;
+
+        const end = range.end > now ? now : range.end;
+        // Drop a dangling preposition left in front of the expression ("video from two weeks ago")
+        const before = query.slice(0, match.index).replace(/\b(?:from|since|on|in|during)\s*$/i, "");
+        const text = (before + " " + query.slice(match.index + match[0].length))
+            .replace(/\s+/g, " ")
+            .trim();
+
+        return {
+            startTime: range.start.getTime(),
+            endTime: end.getTime(),
+            label: range.label || formatRange(range.start, end, now),
+            text,
+            isDefault: false,
+        };
+    }
+
+    return {
+        startTime: now.getTime() - lookbackDays * DAY_MS,
+        endTime: now.getTime(),
+        label: `the last ${lookbackDays} days`,
+        text: query.trim(),
+        isDefault: true,
+    };
+}
@@ -0,0 +1,88 @@
+// Token usage of LLM calls, totalled per day and model in chrome.storage.local for the usage dashboard in Settings
+
+const USAGE_KEY = "apiUsage";
+const KEPT_DAYS = 90;
+
+// Approximate list prices in US dollars per million input and output tokens, for the cost estimate.
+// Models not listed here (local models, other servers) show token counts only.
+export const MODEL_PRICES = {
+    "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+};
+
+// Local calendar day, e.g. "2025-03-15"
+export function dayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Resolves to { [day]: { [model]: { provider, calls, errors, retries, promptTokens, outputTokens, totalTokens } } }
+export async function loadUsage() {
+    try {
+        const stored = await chrome.storage.local.get(USAGE_KEY);
+        return stored[USAGE_KEY] || {};
+    } catch (error) {
+        // Storage unavailable, nothing recorded
+        return {};
+    }
+}
+
+async function addUsage({ provider, model, promptTokens = 0, outputTokens = 0, totalTokens = 0, retries = 0, error = null }, now) {
+    const usage = await loadUsage();
+    const day = (usage[dayKey(now)] ??= {});
+    const totals = (day[model] ??= { provider, calls: 0, errors: 0, retries: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0 });
+    totals.calls++;
+    totals.errors += error ? 1 : 0;
+    totals.retries += retries;
+    totals.promptTokens += promptTokens;
+    totals.outputTokens += outputTokens;
+    totals.totalTokens += totalTokens;
+
+    const kept = Object.keys(usage).sort().slice(-KEPT_DAYS);
+    await chrome.storage.local.set({ [USAGE_KEY]: Object.fromEntries(kept.map((key) => [key, usage[key]])) });
+}
+
+// Writes are queued so calls finishing close together don't overwrite each other's totals
+let pendingWrite = Promise.resolve();
+
+// Add one call as reported by a provider's onUsage (see providers.js)
+export function recordUsage(entry, now = Date.now()) {
+    pendingWrite = pendingWrite.then(() => addUsage(entry, now)).catch(() => {
+        // Storage full or unavailable; the dashboard just misses this call
+    });
+    return pendingWrite;
+}
+
+export async function clearUsage() {
+    await chrome.storage.local.remove(USAGE_KEY);
+}
+
+// Estimated cost in US dollars, or null for a model without a known price
+export function estimateCost(model, promptTokens, outputTokens) {
+    const price = MODEL_PRICES[model];
+    if (!price) return null;
+    return (promptTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+// Totals per day, newest first. cost counts priced models only; unpricedTokens says how many tokens it leaves out.
+export function dailyTotals(usage) {
+    return Object.keys(usage)
+        .sort()
+        .reverse()
+        .map((day) => {
+            const totals = { day, calls: 0, errors: 0, retries: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedTokens: 0 };
+            Object.entries(usage[day]).forEach(([model, modelTotals]) => {
+                ["calls", "errors", "retries", "promptTokens", "outputTokens", "totalTokens"].forEach((field) => {
+                    totals[field] += modelTotals[field];
+                });
+                const cost = estimateCost(model, modelTotals.promptTokens, modelTotals.outputTokens);
+                if (cost === null) {
+                    totals.unpricedTokens += modelTotals.totalTokens;
+                } else {
+                    totals.cost += cost;
+                }
+            });
+            return totals;
+        });
+}
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { classifyError, parseErrorBody, sendRequest } from "../src/apiClient.js";
+
+const geminiError = (code, status, details = []) => JSON.stringify({ error: { code, message: `${status} error`, status, details } });
+const RETRY_INFO = { "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "7s" };
+const quotaFailure = (quotaId) => ({ "@type": "type.googleapis.com/google.rpc.QuotaFailure", violations: [{ quotaId }] });
+
+// Transport answering with the given responses in turn, and a sleep that only records how long it was asked to wait
+function scripted(...responses) {
+    const transport = async () => responses.shift()();
+    const waits = [];
+    const sleep = async (ms) => {
+        waits.push(ms);
+    };
+    return { transport, waits, sleep };
+}
+
+describe("parseErrorBody", () => {
+    it("reads Gemini's error details", () => {
+        const details = parseErrorBody(geminiError(429, "RESOURCE_EXHAUSTED", [RETRY_INFO, quotaFailure("GenerateRequestsPerMinutePerProjectPerModel-FreeTier")]));
+        assert.equal(details.message, "RESOURCE_EXHAUSTED error");
+        assert.deepEqual(details.reasons, ["RESOURCE_EXHAUSTED"]);
+        assert.deepEqual(details.quotaIds, ["GenerateRequestsPerMinutePerProjectPerModel-FreeTier"]);
+        assert.equal(details.retryDelayMs, 7000);
+    });
+
+    it("keeps a plain-text body as the message", () => {
+        assert.deepEqual(parseErrorBody("Bad gateway\n"), { message: "Bad gateway", reasons: [], quotaIds: [], retryDelayMs: null });
+    });
+});
+
+describe("classifyError", () => {
+    it("tells a rejected key, a spent quota and a rate limit apart", () => {
+        assert.equal(classifyError(400, parseErrorBody(geminiError(400, "INVALID_ARGUMENT", [{ "@type": "type.googleapis.com/google.rpc.ErrorInfo", reason: "API_KEY_INVALID" }]))), "invalidKey");
+        assert.equal(classifyError(401, parseErrorBody(JSON.stringify({ error: { message: "Incorrect API key", code: "invalid_api_key" } }))), "invalidKey");
+        assert.equal(classifyError(429, parseErrorBody(geminiError(429, "RESOURCE_EXHAUSTED", [quotaFailure("GenerateRequestsPerDayPerProjectPerModel-FreeTier")]))), "quotaExhausted");
+        assert.equal(classifyError(429, parseErrorBody(JSON.stringify({ error: { message: "You exceeded your current quota", code: "insufficient_quota" } }))), "quotaExhausted");
+        assert.equal(classifyError(429, parseErrorBody("Too many requests")), "rateLimited");
+        assert.equal(classifyError(503, parseErrorBody("")), "serverError");
+        assert.equal(classifyError(404, parseErrorBody("Not found")), "requestFailed");
+    });
+});
+
+describe("sendRequest", () => {
+    it("backs off exponentially on server errors", async () => {
+        const { transport, waits, sleep } = scripted(
+            () => new Response("", { status: 500 }),
+            () => new Response("", { status: 502 }),
+            () => new Response("OK")
+        );
+        const { response, retries } = await sendRequest(transport, "https://api.example", {}, { sleep });
+        assert.equal(await response.text(), "OK");
+        assert.equal(retries, 2);
+        assert.deepEqual(waits, [1000, 2000]);
+    });
+
+    it("waits as long as Retry-After or RetryInfo asks", async () => {
+        const { transport, waits, sleep } = scripted(
+            () => new Response("", { status: 429, headers: { "Retry-After": "3" } }),
+            () => new Response(geminiError(429, "RESOURCE_EXHAUSTED", [RETRY_INFO]), { status: 429 }),
+            () => new Response("OK")
+        );
+        await sendRequest(transport, "https://api.example", {}, { sleep });
+        assert.deepEqual(waits, [3000, 7000]);
+    });
+
+    it("gives up straight away on errors a retry can't fix", async () => {
+        for (const make of [() => new Response(geminiError(429, "RESOURCE_EXHAUSTED", [quotaFailure("GenerateRequestsPerDayPerProjectPerModel-FreeTier")]), { status: 429 }), () => new Response("", { status: 403 })]) {
+            const { transport, waits, sleep } = scripted(make);
+            await assert.rejects(sendRequest(transport, "https://api.example", {}, { sleep }), { name: "ApiError", retries: 0 });
+            assert.deepEqual(waits, []);
+        }
+    });
+
+    it("doesn't sit out a wait longer than the maximum delay", async () => {
+        const { transport, waits, sleep } = scripted(() => new Response("", { status: 429, headers: { "Retry-After": "120" } }));
+        await assert.rejects(sendRequest(transport, "https://api.example", {}, { sleep }), { kind: "rateLimited", retryAfterMs: 120000 });
+        assert.deepEqual(waits, []);
+    });
+
+    it("reports network failures and passes aborts through", async () => {
+        const offline = async () => {
+            throw new TypeError("Failed to fetch");
+        };
+        await assert.rejects(sendRequest(offline, "https://api.example", {}), { name: "ApiError", kind: "network" });
+
+        const controller = new AbortController();
+        controller.abort();
+        const aborted = async (url, { signal }) => signal.throwIfAborted();
+        await assert.rejects(sendRequest(aborted, "https://api.example", { signal: controller.signal }), { name: "AbortError" });
+    });
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { canonicalUrl, collapseDuplicates } from "../src/canonicalUrl.js";
+import { NOW } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sameAs = (url, other) => assert.equal(canonicalUrl(url), canonicalUrl(other), `${url} vs ${other}`);
+const differs = (url, other) => assert.notEqual(canonicalUrl(url), canonicalUrl(other), `${url} vs ${other}`);
+
+describe("canonicalUrl", () => {
+    it("groups short links, mobile hosts and start times of one video", () => {
+        sameAs("https://youtu.be/dQw4w9WgXcQ?si=abc", "https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+        sameAs("https://m.youtube.com/watch?v=dQw4w9WgXcQ&t=30", "https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL1&index=2");
+        differs("https://www.youtube.com/watch?v=dQw4w9WgXcQ", "https://www.youtube.com/watch?v=other");
+    });
+
+    it("drops tracking parameters but keeps the ones that pick the content", () => {
+        sameAs("https://example.com/post?utm_source=newsletter&utm_medium=email&fbclid=x", "http://example.com/post/");
+        sameAs("https://example.com/search?b=2&a=1&gclid=y", "https://example.com/search?a=1&b=2");
+        differs("https://example.com/search?q=python", "https://example.com/search?q=rust");
+        // si, feature and ref are only tracking on YouTube
+        sameAs("https://www.youtube.com/playlist?list=PL1&si=abc&feature=shared", "https://www.youtube.com/playlist?list=PL1");
+        differs("https://example.com/page?si=1", "https://example.com/page?si=2");
+        differs("https://example.com/docs?feature=search", "https://example.com/docs?feature=export");
+        differs("https://github.com/org/repo/tree/main?ref=v1", "https://github.com/org/repo/tree/main?ref=v2");
+    });
+
+    it("strips mobile labels anywhere before the registrable domain", () => {
+        sameAs("https://en.m.wikipedia.org/wiki/Python", "https://en.wikipedia.org/wiki/Python");
+        sameAs("https://mobile.twitter.com/someone", "https://twitter.com/someone");
+        differs("https://m.example.com/page", "https://example.com/other");
+        assert.equal(canonicalUrl("https://m.me/someone"), "m.me/someone");
+    });
+
+    it("treats reddit comment permalinks as their thread", () => {
+        sameAs("https://old.reddit.com/r/Python/comments/abc123/python_best_practices/kx9z1/?context=3", "https://www.reddit.com/r/python/comments/abc123/");
+        differs("https://www.reddit.com/r/Python/comments/abc123/", "https://www.reddit.com/r/Python/comments/def456/");
+    });
+
+    it("keeps fragments that are app routes", () => {
+        sameAs("https://example.com/docs#install", "https://example.com/docs");
+        differs("https://mail.google.com/mail/u/0/#inbox/abc", "https://mail.google.com/mail/u/0/#inbox/def");
+        assert.equal(canonicalUrl("file:///home/me/notes.html"), "file:///home/me/notes.html");
+    });
+});
+
+describe("collapseDuplicates", () => {
+    const page = (url, visitCount, daysAgo, extra = {}) => ({ url, title: url, visitCount, lastVisitTime: NOW - daysAgo * DAY_MS, ...extra });
+
+    it("sums visits, keeps the latest visit and the most-visited URL, and lists the variants", () => {
+        const items = collapseDuplicates([
+            page("https://youtu.be/abc", 1, 1, { visits: [{ visitTime: NOW - DAY_MS }] }),
+            page("https://example.com/", 2, 2),
+            page("https://www.youtube.com/watch?v=abc&t=30", 4, 5, { visits: [{ visitTime: NOW - 5 * DAY_MS }], sources: ["history", "tab"] }),
+        ]);
+        assert.equal(items.length, 2);
+        const [video, other] = items;
+        assert.equal(video.url, "https://www.youtube.com/watch?v=abc&t=30");
+        assert.equal(video.visitCount, 5);
+        assert.equal(video.lastVisitTime, NOW - DAY_MS);
+        assert.deepEqual(
+            video.visits.map((visit) => visit.visitTime),
+            [NOW - DAY_MS, NOW - 5 * DAY_MS]
+        );
+        assert.deepEqual(video.sources, ["history", "tab"]);
+        assert.deepEqual(
+            video.variants.map((variant) => variant.url),
+            ["https://www.youtube.com/watch?v=abc&t=30", "https://youtu.be/abc"]
+        );
+        assert.equal(other.variants, undefined);
+    });
+});
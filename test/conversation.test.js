@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { classifyFollowUp } from "../src/conversation.js";
+import { NOW } from "./helpers.js";
+
+const previousTurn = { query: "pasta recipe", keywordQuery: "pasta recipe" };
+const classify = (query) => classifyFollowUp(query, previousTurn, { lookbackDays: 30, platformNames: ["github", "reddit", "youtube"], now: new Date(NOW) });
+
+describe("classifyFollowUp", () => {
+    it("starts a new search without a previous turn", () => {
+        assert.deepEqual(classifyFollowUp("only github", null), { type: "new" });
+    });
+
+    it("refines the previous results", () => {
+        assert.deepEqual(classify("only the ones from GitHub"), { type: "filter", terms: ["github"] });
+        assert.deepEqual(classify("not reddit"), { type: "exclude", terms: ["reddit"] });
+        assert.deepEqual(classify("what about youtube"), { type: "platform", platform: "youtube" });
+        assert.deepEqual(classify("show more"), { type: "expand" });
+        assert.deepEqual(classify("more results please"), { type: "expand" });
+        assert.deepEqual(classify("not the ones about python"), { type: "exclude", terms: ["python"] });
+        assert.deepEqual(classify("without dev.to"), { type: "exclude", terms: ["dev.to"] });
+        assert.deepEqual(classify("which of these are about sauce"), { type: "filter", terms: ["sauce"] });
+        assert.deepEqual(classify("from reddit instead"), { type: "platform", platform: "reddit" });
+    });
+
+    it("shifts the time window when that is all the message says", () => {
+        assert.deepEqual(classify("no, older than that"), { type: "time", shift: "older", text: "" });
+        assert.deepEqual(classify("earlier"), { type: "time", shift: "older", text: "" });
+        assert.deepEqual(classify("more recent ones"), { type: "time", shift: "newer", text: "" });
+
+        const lastWeek = classify("what about last week");
+        assert.equal(lastWeek.type, "time");
+        assert.equal(lastWeek.text, "");
+        assert.equal(classify("only github from last week instead").text, "github");
+    });
+
+    it("treats a message with words of its own as a new search", () => {
+        assert.deepEqual(classify("react docs from last week"), { type: "new" });
+        assert.deepEqual(classify("github repo yesterday"), { type: "new" });
+        assert.deepEqual(classify("the article I read earlier"), { type: "new" });
+        assert.deepEqual(classify("recipe for dinner later"), { type: "new" });
+    });
+
+    it("doesn't read a leading cue word as a refinement", () => {
+        for (const query of ["more ways to cook rice", "no code website builder", "remove background from image tool", "hide and seek article", "just dance game trailer", "try rust async book", "now playing spotify"]) {
+            assert.deepEqual(classify(query), { type: "new" }, query);
+        }
+    });
+
+    it("starts over when asked", () => {
+        assert.deepEqual(classify("new search"), { type: "new" });
+    });
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { cosineSimilarity, Embedder, EmbeddingCache, lexicalEmbed } from "../src/embeddings.js";
+
+describe("Embedder", () => {
+    it("falls back to lexical embeddings when the model can't load", async () => {
+        for (const loadModel of [async () => null, async () => Promise.reject(new Error("no model files"))]) {
+            const embedder = new Embedder({ loadModel });
+            assert.equal(await embedder.kind(), "lexical");
+            assert.deepEqual(await embedder.embed(["pasta recipe"]), [lexicalEmbed("pasta recipe")]);
+        }
+        // Outside the extension there is no model to load
+        assert.equal(await new Embedder().kind(), "lexical");
+    });
+
+    it("loads the model once and embeds in batches", async () => {
+        let loads = 0;
+        const batches = [];
+        const embedder = new Embedder({
+            loadModel: async () => {
+                loads += 1;
+                return async (texts) => {
+                    batches.push(texts.length);
+                    return texts.map(() => Float32Array.from([1, 0]));
+                };
+            },
+        });
+        const texts = Array.from({ length: 40 }, (_, index) => `page ${index}`);
+
+        assert.equal((await Promise.all([embedder.embed(texts), embedder.embed(["query"])]))[0].length, 40);
+        assert.equal(loads, 1);
+        assert.deepEqual(batches.sort((a, b) => a - b), [1, 8, 32]);
+        assert.equal(await embedder.kind(), "model");
+    });
+});
+
+describe("EmbeddingCache", () => {
+    it("embeds each page once", async () => {
+        const embedded = [];
+        const cache = new EmbeddingCache({ embed: async (texts) => (embedded.push(...texts), texts.map(lexicalEmbed)) });
+        const page = { url: "https://example.com/pasta", title: "Pasta recipe", visitCount: 1 };
+
+        const [first] = await cache.forPages([page]);
+        const [again, other] = await cache.forPages([page, { ...page, url: "https://example.com/rice", title: "Rice" }]);
+        assert.equal(again, first);
+        assert.equal(embedded.length, 2);
+        assert.ok(cosineSimilarity(first, other) < 0.99);
+    });
+});
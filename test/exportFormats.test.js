@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { buildExport, exportFilename, parseImport, serializeExport } from "../src/exportFormats.js";
+import { loadPins, mergePins } from "../src/pins.js";
+import { loadRecentSearches, loadSavedSearches, mergeRecentSearches, mergeSavedSearches, recordSearch } from "../src/savedSearches.js";
+import { fakeStorageArea, NOW } from "./helpers.js";
+
+const results = [
+    { url: "https://github.com/shadcn-ui/ui", title: "shadcn/ui: components, \"copy & paste\"", reason: "A GitHub repo of React components.", visits: [] },
+    { url: "https://example.com/=sum", title: "=HYPERLINK(\"https://evil.example\")", reason: "Line one\nline two" },
+];
+
+const resultExport = () => buildExport({ title: "Search \"react\"", sections: [{ title: "react (last week)", query: "react", timeRangeLabel: "last week", searchedAt: NOW, pages: results }], now: NOW });
+
+describe("serializeExport", () => {
+    it("writes CSV with quoting and no live formulas", () => {
+        const lines = serializeExport(resultExport(), "csv").split("\r\n");
+        assert.equal(lines[0], "section,title,url,reason,visitCount,lastVisited");
+        assert.equal(lines[1], 'react (last week),"shadcn/ui: components, ""copy & paste""",https://github.com/shadcn-ui/ui,A GitHub repo of React components.,,');
+        assert.ok(lines[2].startsWith(`react (last week),"'=HYPERLINK(""https://evil.example"")"`));
+    });
+
+    it("writes Markdown links under a heading per section", () => {
+        const markdown = serializeExport(resultExport(), "markdown");
+        assert.match(markdown, /^# Search "react"\n/);
+        assert.match(markdown, /\n## react \(last week\)\n\n- \[shadcn\/ui: components, "copy & paste"\]\(https:\/\/github.com\/shadcn-ui\/ui\) — A GitHub repo/);
+        assert.match(markdown, /— Line one line two\n/);
+    });
+
+    it("writes an escaped Netscape bookmarks file", () => {
+        const html = serializeExport(resultExport(), "bookmarks");
+        assert.ok(html.startsWith("<!DOCTYPE NETSCAPE-Bookmark-file-1>"));
+        assert.match(html, /<DT><H3 ADD_DATE="\d+">react \(last week\)<\/H3>/);
+        assert.match(html, /<A HREF="https:\/\/github.com\/shadcn-ui\/ui" ADD_DATE="\d+">shadcn\/ui: components, &quot;copy &amp; paste&quot;<\/A>/);
+        assert.ok(!html.includes("<script"));
+    });
+
+    it("lists pins as a section in the text formats", () => {
+        const data = buildExport({ title: "Pins and searches", pins: [{ url: "https://docs.python.org/3/tutorial/", title: "The Python Tutorial", pinnedAt: NOW }], savedSearches: [{ query: "react", savedAt: NOW }], now: NOW });
+        assert.match(serializeExport(data, "markdown"), /## Pinned pages\n\n- \[The Python Tutorial\]\(https:\/\/docs.python.org\/3\/tutorial\/\)\n\n## Saved searches\n\n- react\n/);
+    });
+
+    it("names files after the export", () => {
+        assert.equal(exportFilename('Search "React components"', NOW), "site-sleuth-search-react-components-2025-03-15");
+    });
+});
+
+describe("parseImport", () => {
+    it("reads back pins, saved searches and searches from a JSON export", () => {
+        const data = buildExport({ title: "Everything", sections: resultExport().sections, pins: [{ url: "https://docs.python.org/3/tutorial/", title: "The Python Tutorial", pinnedAt: 5 }], savedSearches: [{ query: "react", savedAt: 6 }], now: NOW });
+        const imported = parseImport(serializeExport(data, "json"));
+
+        assert.deepEqual(imported.pins, [{ url: "https://docs.python.org/3/tutorial/", title: "The Python Tutorial", pinnedAt: 5 }]);
+        assert.deepEqual(imported.savedSearches, [{ query: "react", savedAt: 6 }]);
+        assert.deepEqual(imported.recentSearches, [{ query: "react", timeRangeLabel: "last week", searchedAt: NOW, results: results.map(({ url, title, reason }) => ({ url, title, reason })) }]);
+    });
+
+    it("drops links that could run script", () => {
+        const text = JSON.stringify({ type: "site-sleuth-export", version: 1, sections: [], pins: [{ url: "javascript:alert(1)", title: "Click me" }, { url: "https://example.com/", title: "Fine" }] });
+        assert.deepEqual(
+            parseImport(text, NOW).pins.map((pin) => pin.url),
+            ["https://example.com/"]
+        );
+    });
+
+    it("rejects files that are not exports", () => {
+        assert.throws(() => parseImport("not json"), /not valid JSON/);
+        assert.throws(() => parseImport('{"pins": []}'), /not a Site Sleuth export/);
+        assert.throws(() => parseImport('{"type": "site-sleuth-export", "version": 99}'), /newer version/);
+    });
+});
+
+describe("importing", () => {
+    beforeEach(() => {
+        globalThis.chrome = { storage: { local: fakeStorageArea() } };
+    });
+
+    afterEach(() => {
+        delete globalThis.chrome;
+    });
+
+    it("adds to what is already stored without duplicates", async () => {
+        await mergePins([{ url: "https://example.com/a", title: "A", pinnedAt: 1 }]);
+        assert.equal(await mergePins([{ url: "https://example.com/a", title: "A again", pinnedAt: 9 }, { url: "https://example.com/b", title: "B", pinnedAt: 2 }]), 1);
+        assert.deepEqual(
+            (await loadPins()).map((pin) => pin.title),
+            ["B", "A"]
+        );
+
+        assert.equal(await mergeSavedSearches([{ query: "react", savedAt: 1 }]), 1);
+        assert.equal(await mergeSavedSearches([{ query: "react", savedAt: 2 }]), 0);
+        assert.equal((await loadSavedSearches()).length, 1);
+
+        await recordSearch({ query: "pasta", timeRangeLabel: "today", results: [] }, 10);
+        await mergeRecentSearches([
+            { query: "pasta", timeRangeLabel: "last year", results: [], searchedAt: 5 },
+            { query: "react", timeRangeLabel: "last week", results: [], searchedAt: 7 },
+        ]);
+        assert.deepEqual(
+            (await loadRecentSearches()).map((search) => [search.query, search.timeRangeLabel]),
+            [
+                ["pasta", "today"],
+                ["react", "last week"],
+            ]
+        );
+    });
+});
@@ -0,0 +1,112 @@
+// Shared fixtures and fakes for the test suite
+
+import { readFileSync } from "node:fs";
+
+import { DEFAULT_SETTINGS } from "../src/settings.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed clock so recency scoring and time ranges are reproducible
+export const NOW = new Date(2025, 2, 15, 12).getTime();
+
+// Fixture entries use daysAgo instead of timestamps
+export function loadHistory(name = "history", now = NOW) {
+    const entries = JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"));
+    return entries.map(({ daysAgo, visits, ...entry }) => ({
+        ...entry,
+        lastVisitTime: now - daysAgo * DAY_MS,
+        ...(visits && { visits: visits.map(({ daysAgo: visitDaysAgo, ...visit }) => ({ ...visit, visitTime: now - visitDaysAgo * DAY_MS })) }),
+    }));
+}
+
+// Retries without the real backoff delays, so failing API calls don't slow the suite down
+export const FAST_RETRY = { retries: 2, baseDelayMs: 1, maxDelayMs: 50 };
+
+export function testSettings(overrides = {}) {
+    return { ...DEFAULT_SETTINGS, geminiApiKey: "test-key", ...overrides };
+}
+
+// History source over a fixed list, recording the ranges it was asked for
+export class FixtureHistorySource {
+    constructor(items) {
+        this.items = items;
+        this.queries = [];
+    }
+
+    async query({ startTime, endTime }) {
+        this.queries.push({ startTime, endTime });
+        return this.items.filter((item) => item.lastVisitTime >= startTime && item.lastVisitTime <= endTime).sort((a, b) => b.lastVisitTime - a.lastVisitTime);
+    }
+}
+
+// Server-sent event stream of Gemini response chunks, with any grounding metadata on the last one.
+// A stalled stream stays open after the chunks until signal aborts, like a slow model.
+function geminiEventStream(chunks, { stall = false, signal, groundingMetadata } = {}) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            chunks.forEach((text, index) => {
+                const candidate = { content: { parts: [{ text }] }, ...(groundingMetadata && index === chunks.length - 1 && { groundingMetadata }) };
+                controller.enqueue(encoder.encode(`data: ${JSON.stringify({ candidates: [candidate] })}\n\n`));
+            });
+            if (!stall) {
+                controller.close();
+                return;
+            }
+            signal?.addEventListener("abort", () => controller.error(signal.reason));
+        },
+    });
+}
+
+// Fetch-compatible transport that answers Gemini streamGenerateContent calls.
+// respond(request) returns the model's text (streamed in small chunks), { text, groundingMetadata } for a
+// grounded reply, { chunks, stall } to control the stream, or { status, body } for an HTTP error.
+// Requests honour their AbortSignal.
+export function mockGeminiTransport(respond) {
+    const requests = [];
+    const transport = async (url, options) => {
+        const model = url.match(/\/models\/([^:]+):/)?.[1];
+        const body = JSON.parse(options.body);
+        const request = { url, model, headers: options.headers, body, prompt: body.contents[0].parts[0].text, signal: options.signal };
+        requests.push(request);
+
+        const signal = options.signal;
+        signal?.throwIfAborted();
+        const aborted = new Promise((resolve, reject) => signal?.addEventListener("abort", () => reject(signal.reason)));
+        const reply = await Promise.race([respond(request), aborted]);
+
+        if (typeof reply === "string" || reply.text !== undefined) {
+            const text = reply.text ?? reply;
+            const chunks = text.match(/[\s\S]{1,16}/g) || [];
+            return new Response(geminiEventStream(chunks, { groundingMetadata: reply.groundingMetadata }), { headers: { "Content-Type": "text/event-stream" } });
+        }
+        if (reply.chunks) {
+            return new Response(geminiEventStream(reply.chunks, { stall: reply.stall, signal }), { headers: { "Content-Type": "text/event-stream" } });
+        }
+        return new Response(reply.body || "", { status: reply.status });
+    };
+    transport.requests = requests;
+    return transport;
+}
+
+// The candidate records a prompt sent, parsed from its <candidates> block
+export function promptCandidates(prompt) {
+    const block = prompt.match(/<candidates>\n([\s\S]*?)\n<\/candidates>/);
+    return block ? block[1].split("\n").map((line) => JSON.parse(line)) : [];
+}
+
+// In-memory chrome.storage area (get, set and remove by key or list of keys)
+export function fakeStorageArea() {
+    const data = {};
+    const keys = (key) => (Array.isArray(key) ? key : [key]);
+    return {
+        data,
+        get: async (key) => Object.fromEntries(keys(key).filter((name) => name in data).map((name) => [name, data[name]])),
+        set: async (values) => {
+            Object.assign(data, structuredClone(values));
+        },
+        remove: async (key) => {
+            keys(key).forEach((name) => delete data[name]);
+        },
+    };
+}
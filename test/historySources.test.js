@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { IndexHistorySource } from "../src/historySources.js";
+import { NOW } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("IndexHistorySource", () => {
+    const indexed = [{ url: "https://example.com/indexed", title: "Indexed", visitCount: 1, lastVisitTime: NOW, visits: [] }];
+    const direct = [{ url: "https://example.com/direct", title: "Direct", visitCount: 2, lastVisitTime: NOW }, { url: "https://example.com/untitled", title: "", visitCount: 1, lastVisitTime: NOW }];
+    let searches;
+
+    beforeEach(() => {
+        searches = [];
+        globalThis.chrome = {
+            runtime: {},
+            history: {
+                search: (query, callback) => {
+                    searches.push(query);
+                    callback(direct);
+                },
+            },
+        };
+    });
+
+    afterEach(() => {
+        delete globalThis.chrome;
+    });
+
+    // Covers only ranges starting within the last 30 days
+    const fakeIndex = (seeded) => ({
+        covers: async (startTime) => seeded && startTime >= NOW - 30 * DAY_MS,
+        query: async () => indexed,
+    });
+
+    it("reads the index once it covers the range", async () => {
+        const source = new IndexHistorySource(fakeIndex(true), { maxResults: 100 });
+        assert.deepEqual(await source.query({ startTime: NOW - 7 * DAY_MS, endTime: NOW }), indexed);
+        assert.equal(searches.length, 0);
+    });
+
+    it("searches chrome.history while seeding and for ranges older than the index keeps", async () => {
+        for (const [seeded, days] of [[false, 7], [true, 90]]) {
+            const source = new IndexHistorySource(fakeIndex(seeded), { maxResults: 100 });
+            const items = await source.query({ startTime: NOW - days * DAY_MS, endTime: NOW });
+            assert.deepEqual(items.map((item) => item.url), ["https://example.com/direct"]);
+        }
+        assert.deepEqual(searches[1], { text: "", startTime: NOW - 90 * DAY_MS, endTime: NOW, maxResults: 100 });
+    });
+});
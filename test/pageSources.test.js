@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { mergeSourcePages, MultiSource, readBookmarks, readRecentlyClosed } from "../src/pageSources.js";
+import { FixtureHistorySource, NOW } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE = { startTime: NOW - 30 * DAY_MS, endTime: NOW, isDefault: true };
+const LAST_WEEK = { startTime: NOW - 7 * DAY_MS, endTime: NOW, isDefault: false };
+const visited = { url: "https://example.com/visited", title: "Visited", visitCount: 3, lastVisitTime: NOW - DAY_MS };
+
+describe("mergeSourcePages", () => {
+    it("adds sources and folders to history entries and keeps other pages too", () => {
+        const merged = mergeSourcePages(
+            [visited],
+            [
+                { url: visited.url, title: "Visited", source: "bookmark", time: NOW - 90 * DAY_MS, folder: "Work" },
+                { url: visited.url, title: "Visited", source: "tab", time: NOW },
+                { url: "https://example.com/old", title: "Old bookmark", source: "bookmark", time: NOW - 400 * DAY_MS, folder: "Recipes / Italian" },
+                { url: "chrome://settings", title: "Settings", source: "tab", time: NOW },
+            ],
+            DEFAULT_RANGE,
+            NOW
+        );
+        assert.deepEqual(merged, [
+            { ...visited, sources: ["history", "bookmark", "tab"], bookmarkFolders: ["Work"] },
+            { url: "https://example.com/old", title: "Old bookmark", visitCount: 0, lastVisitTime: NOW - 400 * DAY_MS, sources: ["bookmark"], bookmarkFolders: ["Recipes / Italian"] },
+        ]);
+    });
+
+    it("keeps other pages to a time range the query named", () => {
+        const pages = [
+            { url: "https://example.com/closed", title: "Closed", source: "closedTab", time: NOW - 2 * DAY_MS },
+            { url: "https://example.com/old", title: "Old", source: "readingList", time: NOW - 60 * DAY_MS },
+        ];
+        assert.deepEqual(
+            mergeSourcePages([], pages, LAST_WEEK, NOW).map((item) => item.url),
+            ["https://example.com/closed"]
+        );
+    });
+});
+
+describe("readers", () => {
+    afterEach(() => {
+        delete globalThis.chrome;
+    });
+
+    it("reads bookmark folder paths without the built-in roots", async () => {
+        globalThis.chrome = {
+            bookmarks: {
+                getTree: async () => [
+                    {
+                        title: "",
+                        children: [
+                            {
+                                title: "Bookmarks bar",
+                                children: [
+                                    { title: "Top", url: "https://top.example/", dateAdded: 1 },
+                                    { title: "Recipes", children: [{ title: "Italian", children: [{ title: "Carbonara", url: "https://food.example/carbonara", dateAdded: 2, dateLastUsed: 3 }] }] },
+                                ],
+                            },
+                        ],
+                    },
+                ],
+            },
+        };
+        assert.deepEqual(await readBookmarks(), [
+            { url: "https://top.example/", title: "Top", source: "bookmark", time: 1, folder: "" },
+            { url: "https://food.example/carbonara", title: "Carbonara", source: "bookmark", time: 3, folder: "Recipes / Italian" },
+        ]);
+    });
+
+    it("reads every tab of a closed window", async () => {
+        globalThis.chrome = {
+            sessions: {
+                MAX_SESSION_RESULTS: 25,
+                getRecentlyClosed: async () => [{ lastModified: 1000, tab: { url: "https://a.example/", title: "A" } }, { lastModified: 2000, window: { tabs: [{ url: "https://b.example/", title: "B" }, { url: "https://c.example/", title: "C" }] } }],
+            },
+        };
+        assert.deepEqual(
+            (await readRecentlyClosed()).map((page) => [page.url, page.time]),
+            [
+                ["https://a.example/", 1000000],
+                ["https://b.example/", 2000000],
+                ["https://c.example/", 2000000],
+            ]
+        );
+    });
+});
+
+describe("MultiSource", () => {
+    it("leaves out a source that fails", async () => {
+        const source = new MultiSource(new FixtureHistorySource([visited]), {
+            readers: {
+                tab: async () => [{ url: "https://example.com/tab", title: "Tab", source: "tab", time: null }],
+                readingList: async () => {
+                    throw new TypeError("Cannot read properties of undefined (reading 'query')");
+                },
+            },
+            sources: ["tab", "readingList"],
+            now: () => NOW,
+        });
+        const items = await source.query(DEFAULT_RANGE);
+        assert.deepEqual(
+            items.map((item) => [item.url, item.sources]),
+            [
+                ["https://example.com/tab", ["tab"]],
+                [visited.url, ["history"]],
+            ]
+        );
+    });
+});
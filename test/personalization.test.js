@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { clearFeedback, describeAdjustments, feedbackEvent, learnAdjustments, loadFeedback, NO_ADJUSTMENTS, recordFeedback } from "../src/personalization.js";
+import { SearchEngine } from "../src/searchEngine.js";
+import { fakeStorageArea, FixtureHistorySource, loadHistory, NOW, testSettings } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const history = loadHistory();
+const FLASK = "https://github.com/pallets/flask";
+const REDDIT_PYTHON = "https://www.reddit.com/r/Python/comments/abc123/python_best_practices_in_2025/";
+
+const event = (type, url, overrides = {}) => ({ type, query: "python", url, position: 1, ageDays: null, visitCount: null, shownAgeDays: null, shownVisitCount: null, at: NOW, ...overrides });
+const repeat = (count, make) => Array.from({ length: count }, make);
+
+function rankedUrls(query, personalization) {
+    const engine = new SearchEngine({ settings: testSettings(), historySource: new FixtureHistorySource(history), personalization, now: () => NOW });
+    return engine.smartKeywordFilter(query, history).map((item) => item.url);
+}
+
+describe("feedbackEvent", () => {
+    it("records the position and how the result compares to the others shown", () => {
+        const shown = [
+            { url: "https://a.example/", lastVisitTime: NOW - 10 * DAY_MS, visitCount: 1 },
+            { url: "https://b.example/", lastVisitTime: NOW - 4 * DAY_MS, visitCount: 9 },
+            { url: "https://c.example/", lastVisitTime: NOW - DAY_MS, visitCount: 3 },
+        ];
+        assert.deepEqual(feedbackEvent("click", { query: "docs", result: shown[2], shown, now: NOW }), {
+            type: "click",
+            query: "docs",
+            url: "https://c.example/",
+            position: 3,
+            ageDays: 1,
+            visitCount: 3,
+            shownAgeDays: 4,
+            shownVisitCount: 3,
+            at: NOW,
+        });
+    });
+});
+
+describe("learnAdjustments", () => {
+    it("learns nothing from no feedback", () => {
+        assert.deepEqual(learnAdjustments([]), NO_ADJUSTMENTS);
+    });
+
+    it("likes sites and pages that were opened or pinned and dislikes dismissed ones", () => {
+        const adjustments = learnAdjustments([event("click", FLASK, { position: 3 }), event("pin", FLASK), event("dismiss", REDDIT_PYTHON)]);
+        assert.ok(adjustments.domainAffinity["github.com"] > 0);
+        assert.ok(adjustments.domainAffinity["reddit.com"] < 0);
+        assert.ok(adjustments.termBoosts.python[FLASK] > 0);
+        assert.ok(adjustments.termBoosts.python[REDDIT_PYTHON] < 0);
+    });
+
+    it("caps what any amount of feedback can add", () => {
+        const adjustments = learnAdjustments(repeat(200, () => event("pin", FLASK)));
+        assert.ok(adjustments.domainAffinity["github.com"] <= 10);
+        assert.ok(adjustments.termBoosts.python[FLASK] <= 15);
+    });
+
+    it("weights recency up when newer pages are chosen, once there is enough feedback", () => {
+        const newer = (index) => event("click", `https://example.com/${index}`, { ageDays: 1, visitCount: 2, shownAgeDays: 10, shownVisitCount: 2 });
+        assert.equal(learnAdjustments(repeat(4, (_, index) => newer(index))).recencyWeight, 1);
+
+        const adjustments = learnAdjustments(repeat(6, (_, index) => newer(index)));
+        assert.equal(adjustments.recencyWeight, 2);
+        assert.equal(adjustments.visitWeight, 1);
+    });
+
+    it("describes what it learned", () => {
+        assert.match(describeAdjustments(NO_ADJUSTMENTS), /Nothing learned yet/);
+        const text = describeAdjustments(learnAdjustments([event("click", FLASK, { position: 3 })]));
+        assert.match(text, /Learned from 1 results/);
+        assert.match(text, /github\.com \+\d/);
+        assert.match(text, /"python" → https:\/\/github\.com\/pallets\/flask \+\d/);
+    });
+});
+
+describe("personalised keyword ranking", () => {
+    it("moves a result that keeps being picked from third place to the top", () => {
+        assert.equal(rankedUrls("python", NO_ADJUSTMENTS).indexOf(FLASK), 2);
+        const adjustments = learnAdjustments(repeat(3, () => event("click", FLASK, { position: 3 })));
+        assert.equal(rankedUrls("python", adjustments)[0], FLASK);
+    });
+
+    it("ranks dismissed results lower", () => {
+        assert.equal(rankedUrls("python", NO_ADJUSTMENTS)[0], REDDIT_PYTHON);
+        const adjustments = learnAdjustments(repeat(2, () => event("dismiss", REDDIT_PYTHON)));
+        assert.notEqual(rankedUrls("python", adjustments)[0], REDDIT_PYTHON);
+    });
+
+    it("does not pull liked pages into searches they don't match", () => {
+        const adjustments = learnAdjustments(repeat(5, () => event("pin", FLASK)));
+        assert.deepEqual(rankedUrls("pasta", adjustments).slice(0, 4), rankedUrls("pasta", NO_ADJUSTMENTS).slice(0, 4));
+    });
+});
+
+describe("feedback storage", () => {
+    beforeEach(() => {
+        globalThis.chrome = { storage: { local: fakeStorageArea() } };
+    });
+
+    afterEach(() => {
+        delete globalThis.chrome;
+    });
+
+    it("keeps the most recent events and clears them on reset", async () => {
+        for (let index = 0; index < 505; index++) {
+            await recordFeedback(event("click", `https://example.com/${index}`));
+        }
+        const events = await loadFeedback();
+        assert.equal(events.length, 500);
+        assert.equal(events[0].url, "https://example.com/5");
+
+        await clearFeedback();
+        assert.deepEqual(await loadFeedback(), []);
+    });
+
+    it("keeps every event recorded at the same time", async () => {
+        const updates = await Promise.all([recordFeedback(event("click", "https://example.com/a")), recordFeedback(event("pin", "https://example.com/a")), recordFeedback(event("dismiss", "https://example.com/b"))]);
+
+        assert.deepEqual(
+            (await loadFeedback()).map((stored) => stored.type),
+            ["click", "pin", "dismiss"]
+        );
+        assert.equal(updates[2].length, 3);
+    });
+});
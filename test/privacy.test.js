@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { compileBlocklist, isBlocked, redactUrl } from "../src/privacy.js";
+
+const blocked = (rules, url) => isBlocked(url, compileBlocklist(rules));
+
+describe("compileBlocklist", () => {
+    it("blocks a domain and its subdomains, but not lookalike domains", () => {
+        assert.equal(blocked(["example.com"], "https://example.com/"), true);
+        assert.equal(blocked(["example.com"], "https://mail.example.com/inbox"), true);
+        assert.equal(blocked(["example.com"], "https://notexample.com/"), false);
+        assert.equal(blocked(["example.com"], "https://example.com.evil.net/"), false);
+        // A subdomain rule leaves the parent domain alone
+        assert.equal(blocked(["mail.example.com"], "https://example.com/"), false);
+    });
+
+    it("matches host globs against the host only", () => {
+        assert.equal(blocked(["*.corp.example.com"], "https://wiki.corp.example.com/page"), true);
+        assert.equal(blocked(["*.corp.example.com"], "https://example.com/corp.example.com"), false);
+    });
+
+    it("matches URL globs with or without a scheme", () => {
+        assert.equal(blocked(["example.com/private/*"], "https://example.com/private/notes?id=1"), true);
+        assert.equal(blocked(["example.com/private/*"], "https://example.com/public/notes"), false);
+        assert.equal(blocked(["https://example.com/admin/*"], "http://example.com/admin/users"), false);
+        assert.equal(blocked(["*://example.com/admin/*"], "http://example.com/admin/users"), true);
+    });
+
+    it("tests /regex/ rules against the full URL", () => {
+        assert.equal(blocked(["/token=\\w+/i"], "https://example.com/callback?TOKEN=abc"), true);
+        assert.equal(blocked(["/token=\\w+/"], "https://example.com/callback?TOKEN=abc"), false);
+        // A global flag would make test() stateful and miss every other URL
+        const blocklist = compileBlocklist(["/secret/g"]);
+        assert.equal(isBlocked("https://example.com/secret", blocklist), true);
+        assert.equal(isBlocked("https://example.com/secret", blocklist), true);
+    });
+
+    it("skips comments, blank lines and invalid rules", () => {
+        assert.equal(compileBlocklist(["# work", "", "   ", "/([/", "example.com"]).length, 1);
+        assert.equal(blocked([], "https://example.com/"), false);
+        assert.equal(blocked(["example.com"], "not a url"), false);
+    });
+});
+
+describe("redactUrl", () => {
+    it("drops the query string and fragment and redacts the path", () => {
+        assert.equal(redactUrl("https://example.com/users/me@example.com/profile?session=abc#top"), "https://example.com/users/[email]/profile");
+        assert.equal(redactUrl("https://example.com/orders/1234567890"), "https://example.com/orders/[number]");
+    });
+
+    it("hides internal hosts", () => {
+        assert.equal(redactUrl("http://localhost:3000/admin"), "http://[internal-host]/admin");
+        assert.equal(redactUrl("http://192.168.1.10/router"), "http://[internal-host]/router");
+        assert.equal(redactUrl("https://wiki.internal/page"), "https://[internal-host]/page");
+        assert.equal(redactUrl("https://intranet/page"), "https://[internal-host]/page");
+        assert.equal(redactUrl("https://172.15.0.1/page"), "https://172.15.0.1/page");
+        assert.equal(redactUrl("https://docs.python.org/3/"), "https://docs.python.org/3/");
+    });
+
+    it("hides internal hosts in paths with malformed escapes", () => {
+        assert.equal(redactUrl("http://wiki.corp/page/100%?token=abc"), "http://[internal-host]/page/100%");
+        assert.equal(redactUrl("https://jira.internal/browse/%E0%A4%A/secret@x.com"), "https://[internal-host]/browse/%E0%A4%A/[email]");
+    });
+});
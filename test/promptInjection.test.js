@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+import { SearchEngine } from "../src/searchEngine.js";
+import { FixtureHistorySource, loadHistory, mockGeminiTransport, NOW, promptCandidates, testSettings } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Titles and URLs a hostile page could put in your history
+const attacks = JSON.parse(readFileSync(new URL("./fixtures/adversarial-titles.json", import.meta.url), "utf8")).map((attack) => ({ ...attack, visitCount: 1, lastVisitTime: NOW - DAY_MS }));
+const history = loadHistory().slice(0, 5);
+
+function createEngine(settings = {}, transport) {
+    return new SearchEngine({ settings: testSettings(settings), historySource: new FixtureHistorySource([...history, ...attacks]), transport, now: () => NOW });
+}
+
+// Prompt text outside the data blocks, i.e. everything the model is meant to read as instructions
+function instructionText(prompt) {
+    return prompt.replace(/<candidates>\n[\s\S]*?\n<\/candidates>/, "").replace(/<conversation>\n[\s\S]*?\n<\/conversation>/, "");
+}
+
+describe("adversarial titles in prompts", () => {
+    for (const redactPrompts of [true, false]) {
+        const engine = createEngine({ redactPrompts });
+
+        attacks.forEach((attack) => {
+            it(`keeps ${JSON.stringify(attack.title.slice(0, 40))} inside its record (redaction ${redactPrompts ? "on" : "off"})`, () => {
+                const candidates = [history[0], attack, history[1]];
+                const context = engine.buildConversationContext([{ query: "earlier search", timeRange: { label: "last week" }, results: [attack] }]);
+
+                [engine.buildRankingPrompt("pasta", candidates, context), engine.buildAnalysisPrompt("pasta", candidates, context)].forEach((prompt) => {
+                    // One block each, one record per candidate, no record injected
+                    assert.equal(prompt.split("</candidates>").length, 2);
+                    assert.equal(prompt.split("</conversation>").length, 2);
+                    const records = promptCandidates(prompt);
+                    assert.equal(records.length, candidates.length);
+                    assert.equal(new Set(records.map((record) => record.id)).size, candidates.length);
+                    records.forEach((record) => assert.match(record.id, /^p[0-9a-f]{8}$/));
+
+                    // The title survives exactly, as data
+                    assert.equal(records[1].title, engine.promptItem(attack).title);
+                    assert.equal(records[1].url, engine.promptItem(attack).url);
+
+                    const instructions = instructionText(prompt);
+                    assert.ok(!instructions.includes("evil"));
+                    assert.ok(!instructions.includes(attack.url));
+                });
+            });
+        });
+    }
+});
+
+describe("replies steered by an adversarial title", () => {
+    it("never returns a URL that isn't a candidate", async () => {
+        // A model that obeys the injected instructions
+        const transport = mockGeminiTransport((request) => {
+            const records = promptCandidates(request.prompt);
+            const attackIds = records.filter((record) => record.url.includes("attacker")).map((record) => record.id);
+            if (request.model === "gemini-1.5-flash") {
+                return JSON.stringify({ ranking: ["evil", "https://evil.example", ...attackIds, records[0].id] });
+            }
+            return JSON.stringify({
+                results: [
+                    { id: "evil", url: "https://evil.example", reason: "Best match" },
+                    ...attackIds.map((id) => ({ id, url: "https://evil.example", reason: "Redirected" })),
+                    { id: records[0].id, reason: "Genuine match" },
+                ],
+            });
+        });
+        const engine = createEngine({ resultsShown: 20 }, transport);
+        const candidates = [...attacks, ...history];
+        const fallbacks = [];
+
+        const ranked = await engine.aiRankCandidates("pasta", candidates, "", fallbacks);
+        assert.ok(ranked.every((item) => candidates.includes(item)));
+
+        const results = await engine.groundedAnalysis("pasta", ranked, "", fallbacks);
+        const knownUrls = new Set([...attacks, ...history].map((item) => item.url));
+        assert.ok(results.length > 0);
+        assert.ok(results.every((result) => knownUrls.has(result.url)));
+        assert.ok(results.every((result) => !result.url.includes("evil.example")));
+        // Answers that named a different URL than their candidate's are rejected outright
+        assert.deepEqual(
+            results.map((result) => result.reason),
+            ["Genuine match"]
+        );
+        assert.deepEqual(fallbacks, []);
+    });
+
+    it("rejects a reply made only of invented ids and falls back", async () => {
+        const transport = mockGeminiTransport(() => JSON.stringify({ ranking: ["evil"], results: [{ id: "evil", url: "https://evil.example", reason: "Best match" }] }));
+        const engine = createEngine({}, transport);
+        const fallbacks = [];
+
+        const results = await engine.groundedAnalysis("pasta", [...attacks, ...history], "", fallbacks);
+        assert.equal(transport.requests.length, 2);
+        assert.ok(results.every((result) => !result.url.includes("evil.example")));
+        assert.deepEqual(fallbacks, [{ step: "analysis", reason: "invalidResponse", usedInstead: "keywordScore" }]);
+    });
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createProvider, GeminiProvider, LocalProvider } from "../src/providers.js";
+import { RANKING_SCHEMA } from "../src/structuredOutput.js";
+import { FAST_RETRY, mockGeminiTransport } from "./helpers.js";
+
+describe("GeminiProvider", () => {
+    it("sends the prompt with the key in a header", async () => {
+        const transport = mockGeminiTransport(() => "OK");
+        const provider = new GeminiProvider({ apiKey: "secret", transport });
+        const response = await provider.generate("Hello", { grounding: true });
+
+        const [request] = transport.requests;
+        assert.equal(request.url, "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse");
+        assert.equal(request.headers["x-goog-api-key"], "secret");
+        assert.ok(!request.url.includes("secret"));
+        assert.equal(request.prompt, "Hello");
+        assert.deepEqual(request.body.tools, [{ google_search: {} }]);
+        assert.equal(response.text, "OK");
+    });
+
+    it("requests JSON output for a schema when not grounding", async () => {
+        const transport = mockGeminiTransport(() => '{"ranking": []}');
+        const provider = new GeminiProvider({ apiKey: "secret", transport });
+        await provider.generate("Rank", { schema: RANKING_SCHEMA });
+
+        assert.deepEqual(transport.requests[0].body.generationConfig, {
+            responseMimeType: "application/json",
+            responseSchema: { type: "OBJECT", properties: { ranking: { type: "ARRAY", description: RANKING_SCHEMA.properties.ranking.description, items: { type: "STRING" } } }, required: ["ranking"] },
+        });
+    });
+
+    it("streams the reply and keeps the grounding metadata from the last chunk", async () => {
+        const groundingMetadata = { groundingChunks: [{ web: { uri: "https://example.com", title: "Example" } }] };
+        const events = [{ candidates: [{ content: { parts: [{ text: "Hel" }] } }] }, { candidates: [{ content: { parts: [{ text: "lo" }] }, groundingMetadata }] }];
+        const transport = async () => new Response(events.map((event) => `data: ${JSON.stringify(event)}\r\n\r\n`).join(""), { headers: { "Content-Type": "text/event-stream" } });
+        const provider = new GeminiProvider({ apiKey: "secret", transport });
+        const seen = [];
+        const response = await provider.generate("Hi", { grounding: true, onText: (text) => seen.push(text) });
+
+        assert.deepEqual(seen, ["Hel", "Hello"]);
+        assert.equal(response.text, "Hello");
+        assert.deepEqual(response.groundingMetadata, groundingMetadata);
+    });
+
+    it("stops when its signal is aborted mid-stream", async () => {
+        const controller = new AbortController();
+        const transport = mockGeminiTransport(() => ({ chunks: ['{"ranking": ['], stall: true }));
+        const provider = new GeminiProvider({ apiKey: "secret", transport });
+        const pending = provider.generate("Rank", { signal: controller.signal, onText: () => controller.abort() });
+
+        await assert.rejects(pending, { name: "AbortError" });
+        assert.equal(transport.requests[0].signal, controller.signal);
+    });
+
+    it("throws with the status and body on HTTP errors once retries run out", async () => {
+        const transport = mockGeminiTransport(() => ({ status: 429, body: "quota exceeded" }));
+        const provider = new GeminiProvider({ apiKey: "secret", transport, retry: FAST_RETRY });
+        await assert.rejects(provider.generate("Hello"), { name: "ApiError", kind: "rateLimited", retries: 2, message: "API call failed: 429 - quota exceeded" });
+        assert.equal(transport.requests.length, 3);
+    });
+
+    it("reports token usage from the last chunk", async () => {
+        const events = [
+            { candidates: [{ content: { parts: [{ text: "O" }] } }], usageMetadata: { promptTokenCount: 12 } },
+            { candidates: [{ content: { parts: [{ text: "K" }] } }], usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 2, thoughtsTokenCount: 5, totalTokenCount: 19 } },
+        ];
+        const transport = async () => new Response(events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join(""), { headers: { "Content-Type": "text/event-stream" } });
+        const usage = [];
+        const provider = new GeminiProvider({ apiKey: "secret", model: "gemini-2.5-flash", transport, onUsage: (entry) => usage.push(entry) });
+        const response = await provider.generate("Hi");
+
+        assert.deepEqual(response.usage, { promptTokens: 12, outputTokens: 7, totalTokens: 19 });
+        assert.deepEqual(usage, [{ provider: "Gemini", model: "gemini-2.5-flash", promptTokens: 12, outputTokens: 7, totalTokens: 19, retries: 0, error: null }]);
+    });
+});
+
+describe("createProvider", () => {
+    it("builds OpenAI-compatible providers with a bearer token", async () => {
+        const requests = [];
+        const transport = async (url, options) => {
+            requests.push({ url, options });
+            return Response.json({ choices: [{ message: { content: "OK" } }] });
+        };
+        const provider = createProvider({ type: "openai", apiKey: "sk-test", baseUrl: "https://llm.example.com/v1/", transport });
+        const response = await provider.generate("Hello", { schema: RANKING_SCHEMA });
+
+        assert.equal(requests[0].url, "https://llm.example.com/v1/chat/completions");
+        assert.equal(requests[0].options.headers.Authorization, "Bearer sk-test");
+        assert.deepEqual(JSON.parse(requests[0].options.body).response_format, { type: "json_schema", json_schema: { name: "response", strict: true, schema: RANKING_SCHEMA } });
+        assert.equal(response.text, "OK");
+    });
+
+    it("defaults local providers to Ollama without a key", () => {
+        const provider = createProvider({ type: "local" });
+        assert.ok(provider instanceof LocalProvider);
+        assert.equal(provider.baseUrl, "http://localhost:11434/v1");
+        assert.equal(provider.requiresApiKey, false);
+    });
+
+    it("rejects unknown provider types", () => {
+        assert.throws(() => createProvider({ type: "nope" }), /Unknown LLM provider: nope/);
+    });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { loadPins, togglePin } from "../src/pins.js";
+import { isSamePage, markdownLink, openResult } from "../src/resultActions.js";
+import { fakeStorageArea } from "./helpers.js";
+
+// Just enough of the extension APIs, recording the calls made
+function fakeChrome({ tabs = [] } = {}) {
+    const calls = [];
+    globalThis.chrome = {
+        tabs: {
+            query: async () => tabs,
+            update: async (tabId, changes) => calls.push(["tabs.update", tabId, changes]),
+            create: async (options) => calls.push(["tabs.create", options]),
+        },
+        windows: {
+            update: async (windowId, changes) => calls.push(["windows.update", windowId, changes]),
+        },
+        storage: { local: fakeStorageArea() },
+    };
+    return calls;
+}
+
+afterEach(() => {
+    delete globalThis.chrome;
+});
+
+describe("markdownLink", () => {
+    it("escapes brackets in the title and parentheses in the URL", () => {
+        assert.equal(markdownLink({ title: "[Solved] Why (and how)", url: "https://en.wikipedia.org/wiki/Rust_(programming_language)" }), "[\\[Solved\\] Why (and how)](https://en.wikipedia.org/wiki/Rust_%28programming_language%29)");
+    });
+
+    it("falls back to the URL for untitled pages", () => {
+        assert.equal(markdownLink({ title: "", url: "https://example.com/" }), "[https://example.com/](https://example.com/)");
+    });
+});
+
+describe("openResult", () => {
+    it("ignores the fragment when matching open tabs", () => {
+        assert.ok(isSamePage("https://example.com/docs#install", "https://example.com/docs"));
+        assert.ok(!isSamePage("https://example.com/docs?page=2", "https://example.com/docs"));
+        assert.ok(isSamePage("https://www.youtube.com/watch?v=abc&t=30", "https://youtu.be/abc"));
+    });
+
+    it("switches to a tab that already shows the page", async () => {
+        const calls = fakeChrome({ tabs: [{ id: 7, windowId: 2, url: "https://example.com/docs#install" }] });
+        await openResult("https://example.com/docs");
+        assert.deepEqual(calls, [
+            ["tabs.update", 7, { active: true }],
+            ["windows.update", 2, { focused: true }],
+        ]);
+    });
+
+    it("opens a new tab otherwise", async () => {
+        const calls = fakeChrome({ tabs: [{ id: 7, windowId: 2, url: "https://example.com/other" }] });
+        await openResult("https://example.com/docs");
+        assert.deepEqual(calls, [["tabs.create", { url: "https://example.com/docs" }]]);
+    });
+});
+
+describe("pins", () => {
+    it("toggles a page in and out of the pinned list", async () => {
+        fakeChrome();
+        assert.equal(await togglePin({ url: "https://example.com/a", title: "A" }, 1), true);
+        assert.equal(await togglePin({ url: "https://example.com/b", title: "B" }, 2), true);
+        assert.deepEqual(
+            (await loadPins()).map((pin) => pin.url),
+            ["https://example.com/b", "https://example.com/a"]
+        );
+
+        assert.equal(await togglePin({ url: "https://example.com/a" }), false);
+        assert.deepEqual(await loadPins(), [{ url: "https://example.com/b", title: "B", pinnedAt: 2 }]);
+    });
+});
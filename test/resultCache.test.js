@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { cacheKey, candidateFingerprint, normalizeQuery, ResultCache } from "../src/resultCache.js";
+import { fakeStorageArea, NOW } from "./helpers.js";
+
+const MINUTE_MS = 60 * 1000;
+const page = (url, overrides = {}) => ({ url, lastVisitTime: NOW, visitCount: 1, ...overrides });
+
+describe("cache keys", () => {
+    it("ignore case, punctuation and filler words but not word order", () => {
+        assert.equal(normalizeQuery("Find that Reddit post about Python!"), "reddit post about python");
+        assert.notEqual(normalizeQuery("python not reddit"), normalizeQuery("reddit not python"));
+        assert.notEqual(normalizeQuery("python 2 docs"), normalizeQuery("python 3 docs"));
+    });
+
+    it("fingerprint the candidate set rather than its order", () => {
+        const a = page("https://a.example/");
+        const b = page("https://b.example/");
+        assert.equal(candidateFingerprint([a, b]), candidateFingerprint([b, a]));
+        assert.notEqual(candidateFingerprint([a, b]), candidateFingerprint([a]));
+        assert.notEqual(candidateFingerprint([a, b]), candidateFingerprint([a, { ...b, visitCount: 2 }]));
+        assert.notEqual(cacheKey("docs", [a], "grounded"), cacheKey("docs", [a], ""));
+    });
+});
+
+describe("ResultCache", () => {
+    const results = [{ url: "https://a.example/", title: "A", reason: "Matches." }];
+
+    it("expires entries after their TTL", async () => {
+        let now = NOW;
+        const cache = new ResultCache(fakeStorageArea(), { now: () => now });
+        await cache.set("key", { results, urls: ["https://a.example/", "https://b.example/"] }, 10 * MINUTE_MS);
+        assert.deepEqual(await cache.get("key"), { results, storedAt: NOW });
+
+        now += 11 * MINUTE_MS;
+        assert.equal(await cache.get("key"), null);
+    });
+
+    it("removes entries for deleted pages, including ones that were only candidates", async () => {
+        const cache = new ResultCache(fakeStorageArea(), { now: () => NOW });
+        cache.set("a", { results, urls: ["https://a.example/", "https://b.example/"] }, MINUTE_MS);
+        cache.set("c", { results: [], urls: ["https://c.example/"] }, MINUTE_MS);
+        await cache.removeUrls(["https://b.example/"]);
+        assert.equal(await cache.get("a"), null);
+        assert.notEqual(await cache.get("c"), null);
+
+        await cache.clear();
+        assert.equal(await cache.get("c"), null);
+    });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { filterPins } from "../src/pins.js";
+import { clearRecentSearches, filterRecentSearches, loadRecentSearches, loadSavedSearches, recordSearch, toggleSavedSearch } from "../src/savedSearches.js";
+import { fakeStorageArea } from "./helpers.js";
+
+const results = (count) => Array.from({ length: count }, (_, index) => ({ url: `https://example.com/${index}`, title: `Page ${index}`, reason: "Matches.", visits: [], score: 3 }));
+
+beforeEach(() => {
+    globalThis.chrome = { storage: { local: fakeStorageArea() } };
+});
+
+afterEach(() => {
+    delete globalThis.chrome;
+});
+
+describe("recent searches", () => {
+    it("keeps the newest entry per query with its first results", async () => {
+        await recordSearch({ query: "pasta", timeRangeLabel: "last 30 days", results: results(2) }, 1);
+        await recordSearch({ query: "react", timeRangeLabel: "last week", results: results(12) }, 2);
+        await recordSearch({ query: "pasta", timeRangeLabel: "yesterday", results: results(1) }, 3);
+
+        const recent = await loadRecentSearches();
+        assert.deepEqual(
+            recent.map((search) => [search.query, search.timeRangeLabel, search.searchedAt]),
+            [
+                ["pasta", "yesterday", 3],
+                ["react", "last week", 2],
+            ]
+        );
+        // Only what is needed to show the results again
+        assert.equal(recent[1].results.length, 10);
+        assert.deepEqual(recent[0].results, [{ url: "https://example.com/0", title: "Page 0", reason: "Matches." }]);
+
+        await clearRecentSearches();
+        assert.deepEqual(await loadRecentSearches(), []);
+    });
+
+    it("filters on the query and the results it showed", async () => {
+        await recordSearch({ query: "pasta", timeRangeLabel: "today", results: [{ url: "https://www.youtube.com/watch?v=pasta01", title: "Carbonara in 10 minutes" }] });
+        await recordSearch({ query: "react components", timeRangeLabel: "today", results: [] });
+        const recent = await loadRecentSearches();
+
+        assert.deepEqual(
+            filterRecentSearches(recent, "CARBONARA youtube").map((search) => search.query),
+            ["pasta"]
+        );
+        assert.deepEqual(
+            filterRecentSearches(recent, "react").map((search) => search.query),
+            ["react components"]
+        );
+        assert.equal(filterRecentSearches(recent, "").length, 2);
+    });
+});
+
+describe("saved searches", () => {
+    it("toggles a query in and out of the saved list", async () => {
+        assert.equal(await toggleSavedSearch("pasta", 1), true);
+        assert.deepEqual(await loadSavedSearches(), [{ query: "pasta", savedAt: 1 }]);
+        assert.equal(await toggleSavedSearch("pasta"), false);
+        assert.deepEqual(await loadSavedSearches(), []);
+    });
+});
+
+describe("filterPins", () => {
+    it("matches every word against the title and URL", () => {
+        const pins = [
+            { url: "https://github.com/shadcn-ui/ui", title: "shadcn/ui components" },
+            { url: "https://docs.python.org/3/tutorial/", title: "The Python Tutorial" },
+        ];
+        assert.deepEqual(
+            filterPins(pins, "github components").map((pin) => pin.url),
+            ["https://github.com/shadcn-ui/ui"]
+        );
+        assert.deepEqual(filterPins(pins, "github python"), []);
+    });
+});
@@ -0,0 +1,583 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Embedder } from "../src/embeddings.js";
+import { mergeSourcePages } from "../src/pageSources.js";
+import { ResultCache } from "../src/resultCache.js";
+import { SearchEngine } from "../src/searchEngine.js";
+import { fakeStorageArea, FAST_RETRY, FixtureHistorySource, loadHistory, mockGeminiTransport, NOW, promptCandidates, testSettings } from "./helpers.js";
+
+const history = loadHistory();
+
+function createEngine({ settings = {}, transport, llm, onUsage, resultCache, items = history } = {}) {
+    const historySource = new FixtureHistorySource(items);
+    const engine = new SearchEngine({ settings: testSettings(settings), historySource, transport, llm, retry: FAST_RETRY, onUsage, resultCache, now: () => NOW });
+    return { engine, historySource };
+}
+
+const urls = (items) => items.map((item) => item.url);
+
+// Opaque id of the nth candidate (1-based) in a request's prompt
+const idAt = (request, position) => promptCandidates(request.prompt)[position - 1]?.id;
+
+describe("smartKeywordFilter", () => {
+    const { engine } = createEngine();
+
+    it("keeps only the requested platform", () => {
+        const results = engine.smartKeywordFilter("reddit post about python best practices", history);
+        assert.equal(results[0].url, "https://www.reddit.com/r/Python/comments/abc123/python_best_practices_in_2025/");
+        assert.ok(results.every((item) => item.url.includes("reddit.com")));
+    });
+
+    it("ranks the page matching every concept first", () => {
+        assert.equal(engine.smartKeywordFilter("youtube video about cooking pasta", history)[0].url, "https://www.youtube.com/watch?v=pasta01");
+        assert.equal(engine.smartKeywordFilter("github repo with react components", history)[0].url, "https://github.com/shadcn-ui/ui");
+        assert.equal(engine.smartKeywordFilter("machine learning article", history)[0].url, "https://medium.com/@someone/an-introduction-to-machine-learning-3f2a");
+    });
+
+    it("matches captured page text when the title is vague", () => {
+        assert.equal(engine.smartKeywordFilter("pasta carbonara", history)[0].url, "https://www.example-family-blog.com/2025/03/dinner-ideas");
+        assert.deepEqual(urls(engine.smartKeywordFilter("guanciale", history).slice(0, 1)), ["https://www.example-family-blog.com/2025/03/dinner-ideas"]);
+    });
+
+    it("ranks pinned pages higher only when they match", () => {
+        const pinnedUrls = new Set(["https://www.youtube.com/watch?v=pasta01", "https://docs.python.org/3/tutorial/index.html"]);
+        const pinnedEngine = new SearchEngine({ settings: testSettings(), historySource: new FixtureHistorySource(history), pinnedUrls, now: () => NOW });
+
+        assert.equal(engine.smartKeywordFilter("youtube video", history)[0].url, "https://www.youtube.com/watch?v=lofi02");
+        assert.equal(pinnedEngine.smartKeywordFilter("youtube video", history)[0].url, "https://www.youtube.com/watch?v=pasta01");
+        // A pin is no reason to rank an unrelated page higher
+        const pythonScore = (candidate) => candidate.smartKeywordFilter("pasta recipe", history).find((item) => item.url.startsWith("https://docs.python.org"))?.score;
+        assert.equal(pythonScore(pinnedEngine), pythonScore(engine));
+    });
+
+    it("doesn't read words containing \"form\" as a submitted form", () => {
+        assert.deepEqual(
+            engine.extractConcepts("terraform platform docs").map((concept) => concept.name),
+            ["documentation", "terraform", "platform"],
+        );
+        assert.ok(engine.extractConcepts("the form I submitted").some((concept) => concept.name === "form"));
+
+        const guide = { url: "https://example.dev/terraform-platform-engineering", title: "Terraform platform engineering guide", visitCount: 1, lastVisitTime: NOW };
+        assert.equal(engine.smartKeywordFilter("terraform platform docs", [...history, guide])[0].url, guide.url);
+    });
+
+    it("matches referrer concepts against visits", () => {
+        const concept = engine.extractConcepts("the page I opened from that hacker news thread").find((candidate) => candidate.referrerKeywords);
+        assert.deepEqual(concept.referrerKeywords, ["hacker", "news"]);
+
+        const matching = history.filter((item) => engine.matchesVisitConcept(item, concept));
+        assert.deepEqual(urls(matching), ["https://sqlitebrowser.example.dev/"]);
+    });
+});
+
+describe("semanticRank", () => {
+    const { engine } = createEngine({ settings: { offlineMode: true } });
+
+    it("ranks on-device by similarity", async () => {
+        assert.equal((await engine.semanticRank("python tutorial", history))[0].url, "https://docs.python.org/3/tutorial/index.html");
+        assert.deepEqual(urls(await engine.semanticRank("sqlite browser", history)), ["https://sqlitebrowser.example.dev/", "https://news.ycombinator.com/item?id=39000001"]);
+    });
+
+    it("returns at most resultsShown results", async () => {
+        assert.ok((await engine.semanticRank("pasta", history)).length <= engine.settings.resultsShown);
+        assert.equal((await engine.semanticRank("pasta recipe", history, 2)).length, 2);
+    });
+
+    it("ranks by the model's vectors when the model loads", async () => {
+        // Stands in for the bundled model: puts text about overheating laptops on one axis, everything else on another
+        const model = async (texts) => texts.map((text) => Float32Array.from(/overheat|fan noise/i.test(text) ? [1, 0] : [0, 1]));
+        const fans = { url: "https://support.example.com/macbook-fans", title: "MacBook fan noise fixes", visitCount: 1, lastVisitTime: NOW };
+        const historySource = new FixtureHistorySource([...history, fans]);
+        const modelEngine = new SearchEngine({ settings: testSettings({ offlineMode: true }), historySource, embedder: new Embedder({ loadModel: async () => model }), now: () => NOW });
+
+        assert.deepEqual(urls(await modelEngine.semanticRank("laptop keeps overheating", [...history, fans])), [fans.url]);
+        assert.deepEqual(await engine.semanticRank("laptop keeps overheating", [...history, fans]), []);
+    });
+});
+
+describe("search", () => {
+    it("reads the parsed time range from the history source", async () => {
+        const { engine, historySource } = createEngine({ settings: { offlineMode: true } });
+        const { timeRange, results } = await engine.search("pasta yesterday");
+
+        assert.equal(timeRange.label, "yesterday");
+        assert.deepEqual(historySource.queries, [{ startTime: timeRange.startTime, endTime: timeRange.endTime }]);
+        assert.deepEqual(results, []);
+    });
+
+    it("never returns blocklisted sites", async () => {
+        const { engine } = createEngine({ settings: { offlineMode: true, blocklist: ["youtube.com"] } });
+        const { historyData, results } = await engine.search("cooking pasta video");
+
+        assert.ok(historyData.every((item) => !item.url.includes("youtube.com")));
+        assert.ok(results.length > 0);
+        assert.ok(results.every((item) => !item.url.includes("youtube.com")));
+    });
+
+    it("runs both steps through the Gemini transport", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 2), idAt(request, 1)] });
+            return JSON.stringify({
+                results: [
+                    { id: idAt(request, 1), reason: "A YouTube video about cooking pasta." },
+                    { id: idAt(request, 2), reason: "Also YouTube." },
+                ],
+            });
+        });
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search("youtube video about cooking pasta");
+
+        assert.deepEqual(
+            transport.requests.map((request) => request.model),
+            ["gemini-1.5-flash", "gemini-2.5-flash"]
+        );
+        assert.equal(transport.requests[0].headers["x-goog-api-key"], "test-key");
+        assert.equal(transport.requests[0].body.generationConfig.responseMimeType, "application/json");
+        // Grounded requests cannot use JSON mode, so only the tool is sent
+        assert.deepEqual(transport.requests[1].body.tools, [{ google_search: {} }]);
+        assert.equal(transport.requests[1].body.generationConfig, undefined);
+        // Step 1 reordered the keyword candidates, and answers map back by id
+        assert.deepEqual(urls(results), ["https://www.youtube.com/watch?v=lofi02", "https://www.youtube.com/watch?v=pasta01"]);
+        assert.equal(results[1].reason, "Also YouTube.");
+        assert.deepEqual(fallbacks, []);
+    });
+
+    it("accepts JSON wrapped in prose or a code fence", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return `Sure! {"ranking": ["${idAt(request, 1)}"]}`;
+            return `Here are the results:\n\`\`\`json\n{"results": [{"id": "${idAt(request, 1)}", "reason": "Matches."}]}\n\`\`\``;
+        });
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search("github repo with react components");
+
+        assert.equal(transport.requests.length, 2);
+        assert.deepEqual(urls(results), ["https://github.com/shadcn-ui/ui"]);
+        assert.deepEqual(fallbacks, []);
+    });
+
+    it("retries once when a reply only names unknown candidates", async () => {
+        let analysisCalls = 0;
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1)] });
+            analysisCalls++;
+            return JSON.stringify({ results: [{ id: analysisCalls === 1 ? "42" : idAt(request, 1), reason: "Matches." }] });
+        });
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search("github repo with react components");
+
+        assert.equal(analysisCalls, 2);
+        assert.match(transport.requests[2].prompt, /"42" is not a candidate id/);
+        assert.deepEqual(urls(results), ["https://github.com/shadcn-ui/ui"]);
+        assert.deepEqual(fallbacks, []);
+    });
+
+    it("drops ids that are not in the candidate list", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1), "77"] });
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "Matches." }, { id: "9", reason: "Made up." }, { id: idAt(request, 1), reason: "Again." }] });
+        });
+        const { engine } = createEngine({ transport });
+        const { results } = await engine.search("github repo with react components");
+
+        assert.deepEqual(urls(results), ["https://github.com/shadcn-ui/ui"]);
+    });
+
+    it("redacts prompts before they are sent", async () => {
+        const transport = mockGeminiTransport(() => JSON.stringify({ ranking: [], results: [] }));
+        const { engine } = createEngine({ transport });
+        await engine.search("pasta maker on amazon");
+
+        const prompts = transport.requests.map((request) => request.prompt).join("\n");
+        assert.ok(prompts.includes("https://www.amazon.com/dp/B000TEST"));
+        assert.ok(!prompts.includes("session="));
+    });
+
+    it("includes captured page text in the prompts", async () => {
+        const transport = mockGeminiTransport(() => JSON.stringify({ ranking: [], results: [] }));
+        const { engine } = createEngine({ transport });
+        await engine.search("carbonara without cream");
+
+        transport.requests.forEach((request) => {
+            const dinnerIdeas = promptCandidates(request.prompt).find((record) => record.title === "Dinner ideas");
+            assert.match(dinnerIdeas.pageText, /^Five quick weeknight dinners/);
+        });
+    });
+
+    it("falls back to on-device ranking when the API fails", async () => {
+        const transport = mockGeminiTransport(() => ({ status: 500, body: "internal error" }));
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search("python tutorial");
+
+        // Each step is tried once and retried twice
+        assert.equal(transport.requests.length % 3, 0);
+        assert.equal(results[0].url, "https://docs.python.org/3/tutorial/index.html");
+        assert.ok(fallbacks.length > 0);
+        assert.ok(fallbacks.every((fallback) => fallback.reason === "apiError" && fallback.error.kind === "serverError"));
+    });
+
+    it("retries a rate-limited step and records token usage per call", async () => {
+        let analysisCalls = 0;
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1)] });
+            analysisCalls++;
+            if (analysisCalls === 1) return { status: 429, body: JSON.stringify({ error: { code: 429, message: "Slow down", status: "RESOURCE_EXHAUSTED" } }) };
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "Matches." }] });
+        });
+        const usage = [];
+        const { engine } = createEngine({ transport, onUsage: (entry) => usage.push(entry) });
+        const { results, fallbacks } = await engine.search("github repo with react components");
+
+        assert.deepEqual(urls(results), ["https://github.com/shadcn-ui/ui"]);
+        assert.deepEqual(fallbacks, []);
+        assert.deepEqual(
+            usage.map((entry) => [entry.model, entry.retries, entry.error]),
+            [
+                ["gemini-1.5-flash", 0, null],
+                ["gemini-2.5-flash", 1, null],
+            ]
+        );
+    });
+
+    it("says why the API failed when the key is rejected", async () => {
+        const body = JSON.stringify({ error: { code: 400, message: "API key not valid. Please pass a valid API key.", status: "INVALID_ARGUMENT", details: [{ "@type": "type.googleapis.com/google.rpc.ErrorInfo", reason: "API_KEY_INVALID" }] } });
+        const transport = mockGeminiTransport(() => ({ status: 400, body }));
+        const { engine } = createEngine({ transport });
+        const { fallbacks } = await engine.search("github repo with react components");
+
+        // Not worth retrying
+        assert.equal(transport.requests.length, 2);
+        assert.deepEqual(fallbacks[0].error, { kind: "invalidKey", status: 400, message: "API call failed: 400 - API key not valid. Please pass a valid API key.", retryAfterMs: null });
+    });
+
+    it("falls back to keyword scoring when the retry is not JSON either", async () => {
+        const transport = mockGeminiTransport((request) => (request.model === "gemini-1.5-flash" ? JSON.stringify({ ranking: [idAt(request, 1)] }) : "Sorry, I can't help with that."));
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search("github repo with react components");
+
+        assert.equal(transport.requests.length, 3);
+        assert.equal(results[0].url, "https://github.com/shadcn-ui/ui");
+        assert.match(results[0].reason, /^Relevant match with score/);
+        assert.deepEqual(fallbacks, [{ step: "analysis", reason: "invalidResponse", usedInstead: "keywordScore" }]);
+    });
+
+    it("uses injected LLM clients instead of building providers", async () => {
+        const prompts = [];
+        const client = {
+            name: "Fake",
+            supportsGrounding: false,
+            generate: async (prompt) => {
+                prompts.push(prompt);
+                const [first] = promptCandidates(prompt);
+                return { text: JSON.stringify({ ranking: [first.id], results: [{ id: first.id, reason: "fake" }] }), groundingMetadata: null };
+            },
+        };
+        const { engine } = createEngine({ settings: { geminiApiKey: "" }, llm: { ranking: client, analysis: client } });
+        const { results } = await engine.search("stack overflow sorted array");
+
+        assert.equal(engine.setupError, null);
+        assert.ok(prompts.length > 0);
+        assert.equal(results[0].url, "https://stackoverflow.com/questions/11227809/why-is-processing-a-sorted-array-faster");
+    });
+});
+
+describe("streaming and stopping", () => {
+    const query = "youtube video about cooking pasta";
+
+    it("reports analysis results as they stream in", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1), idAt(request, 2)] });
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "First." }, { id: idAt(request, 2), reason: "Second." }] });
+        });
+        const { engine } = createEngine({ transport });
+        const updates = [];
+        const { results } = await engine.search(query, { onResults: (partial) => updates.push(urls(partial)) });
+
+        assert.deepEqual(updates, [urls(results).slice(0, 1), urls(results)]);
+    });
+
+    it("keeps the results that arrived before the search was stopped", async () => {
+        const controller = new AbortController();
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1), idAt(request, 2)] });
+            return { chunks: [`{"results": [{"id": "${idAt(request, 1)}", "reason": "First."}`, `, {"id": "${idAt(request, 2)}", "rea`], stall: true };
+        });
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search(query, { signal: controller.signal, onResults: () => controller.abort() });
+
+        assert.deepEqual(urls(results), ["https://www.youtube.com/watch?v=pasta01"]);
+        assert.equal(results[0].reason, "First.");
+        assert.deepEqual(fallbacks, [{ step: "analysis", reason: "cancelled", usedInstead: "partialResults" }]);
+    });
+
+    it("skips the analysis and scores by keyword when stopped during ranking", async () => {
+        const controller = new AbortController();
+        const transport = mockGeminiTransport(() => {
+            controller.abort();
+            return new Promise(() => {});
+        });
+        const { engine } = createEngine({ transport });
+        const { results, fallbacks } = await engine.search(query, { signal: controller.signal });
+
+        assert.equal(transport.requests.length, 1);
+        assert.equal(results[0].url, "https://www.youtube.com/watch?v=pasta01");
+        assert.match(results[0].reason, /^Relevant match with score/);
+        assert.deepEqual(fallbacks, [{ step: "ranking", reason: "cancelled", usedInstead: "keywordScore" }]);
+    });
+
+    it("moves on to the next step when one runs over its timeout", async () => {
+        const transport = mockGeminiTransport((request) => {
+            // A ranking model far slower than the step timeout
+            if (request.model === "gemini-1.5-flash") {
+                return new Promise((resolve) => {
+                    const timer = setTimeout(resolve, 5000, JSON.stringify({ ranking: [] }));
+                    request.signal.addEventListener("abort", () => clearTimeout(timer));
+                });
+            }
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "Matches." }] });
+        });
+        const { engine } = createEngine({ settings: { stepTimeoutSeconds: 0.05 }, transport });
+        const { results, fallbacks } = await engine.search(query);
+
+        assert.equal(transport.requests.length, 2);
+        assert.equal(results[0].reason, "Matches.");
+        assert.deepEqual(fallbacks, [{ step: "ranking", reason: "timeout", usedInstead: "keywordOrder" }]);
+    });
+});
+
+describe("result explanations", () => {
+    const sum = (parts) => Object.values(parts).reduce((total, part) => total + part, 0);
+
+    it("traces model results through keyword scoring, ranking and analysis", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 2), idAt(request, 1)] });
+            return JSON.stringify({ results: [{ id: idAt(request, 2), reason: "Pasta." }] });
+        });
+        const { engine } = createEngine({ transport });
+        const { results } = await engine.search("youtube video about cooking pasta");
+
+        const { stages, breakdown, llmRank, analysisRank } = results[0].explanation;
+        assert.equal(results[0].url, "https://www.youtube.com/watch?v=pasta01");
+        assert.deepEqual(stages, ["keyword", "aiRank", "grounded"]);
+        assert.equal(llmRank, 2);
+        assert.equal(analysisRank, 1);
+        assert.deepEqual(
+            breakdown.matchedConcepts.map((concept) => concept.name),
+            ["youtube", "video", "recipe", "pasta"]
+        );
+        assert.equal(breakdown.parts.domain, 100);
+        assert.equal(sum(breakdown.parts), breakdown.score);
+    });
+
+    it("shows the keyword score parts that ordered a fallback", async () => {
+        const transport = mockGeminiTransport((request) => (request.model === "gemini-1.5-flash" ? JSON.stringify({ ranking: [idAt(request, 1)] }) : "Sorry, I can't help with that."));
+        const { engine } = createEngine({ transport });
+        const { results } = await engine.search("github repo with react components");
+
+        const { stages, breakdown, llmRank } = results[0].explanation;
+        assert.deepEqual(stages, ["keyword", "aiRank", "fallback"]);
+        assert.equal(llmRank, 1);
+        assert.deepEqual(Object.keys(breakdown.parts), ["words", "personal", "visits", "recency"]);
+        assert.equal(sum(breakdown.parts), breakdown.score);
+    });
+
+    it("explains on-device results by similarity, recency and visits", async () => {
+        const { engine } = createEngine({ settings: { offlineMode: true } });
+        const [result] = await engine.semanticRank("python tutorial", history);
+
+        assert.deepEqual(result.explanation.stages, ["onDevice"]);
+        assert.ok(result.explanation.breakdown.parts.similarity > 0);
+        assert.ok(Math.abs(sum(result.explanation.breakdown.parts) - result.explanation.breakdown.score) < 1e-9);
+    });
+
+    it("marks a concept penalty when only one of several concepts matched", () => {
+        const { engine } = createEngine();
+        const flask = engine.smartKeywordFilter("python recipe", history).find((item) => item.url === "https://github.com/pallets/flask");
+        assert.equal(flask.scoreBreakdown.conceptPenalty, true);
+    });
+});
+
+describe("grounding", () => {
+    const groundingMetadata = {
+        webSearchQueries: ["perfect pasta cooking video"],
+        groundingChunks: [{ web: { uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc", title: "seriouseats.com" } }, { web: { uri: "javascript:alert(1)", title: "Evil" } }, { web: { uri: "https://example.com/other" } }],
+        groundingSupports: [
+            { segment: { text: "a well-known technique" }, groundingChunkIndices: [0, 1] },
+            { segment: { text: "not in any reason" }, groundingChunkIndices: [2] },
+        ],
+    };
+    const transport = () =>
+        mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1)] });
+            const text = JSON.stringify({ results: [{ id: idAt(request, 1), reason: "Shows a well-known technique for pasta." }] });
+            return request.body.tools ? { text, groundingMetadata } : text;
+        });
+
+    it("keeps sources and search queries as data instead of text in the reason", async () => {
+        const { engine } = createEngine({ transport: transport() });
+        const { results } = await engine.search("youtube video about cooking pasta");
+
+        assert.equal(results[0].reason, "Shows a well-known technique for pasta.");
+        assert.deepEqual(results[0].grounding, {
+            sources: [{ title: "seriouseats.com", uri: "https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc" }],
+            searchQueries: ["perfect pasta cooking video"],
+        });
+        assert.deepEqual(results[0].explanation.stages, ["keyword", "aiRank", "grounded"]);
+    });
+
+    it("can be turned off for one search", async () => {
+        const mock = transport();
+        const { engine } = createEngine({ transport: mock });
+        const { results } = await engine.search("youtube video about cooking pasta", { grounding: false });
+
+        assert.equal(mock.requests[1].body.tools, undefined);
+        assert.equal(results[0].grounding, null);
+        assert.deepEqual(results[0].explanation.stages, ["keyword", "aiRank", "analysis"]);
+    });
+});
+
+describe("result cache", () => {
+    const QUERY = "youtube video about cooking pasta";
+    const PASTA = "https://www.youtube.com/watch?v=pasta01";
+    const transport = () =>
+        mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1)] });
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "A pasta video." }] });
+        });
+    const cached = ({ resultCache = new ResultCache(fakeStorageArea(), { now: () => NOW }), items, settings } = {}) => {
+        const mock = transport();
+        return { mock, resultCache, ...createEngine({ transport: mock, resultCache, items, settings }) };
+    };
+
+    it("answers the same search again without calling the models", async () => {
+        const { engine, mock } = cached();
+        const first = await engine.search(QUERY);
+        assert.equal(first.cachedAt, null);
+        assert.equal(mock.requests.length, 2);
+
+        const second = await engine.search("Find that YouTube video about cooking pasta!");
+        assert.equal(mock.requests.length, 2);
+        assert.equal(second.cachedAt, NOW);
+        assert.deepEqual(second.results, first.results);
+    });
+
+    it("asks again when refreshed", async () => {
+        const { engine, mock } = cached();
+        await engine.search(QUERY);
+        const { cachedAt } = await engine.search(QUERY, { refresh: true });
+        assert.equal(cachedAt, null);
+        assert.equal(mock.requests.length, 4);
+    });
+
+    it("misses when the candidates or the grounding change", async () => {
+        const { engine, resultCache } = cached();
+        await engine.search(QUERY);
+        assert.equal((await engine.search(QUERY, { grounding: false })).cachedAt, null);
+
+        const visitedAgain = history.map((item) => (item.url === PASTA ? { ...item, visitCount: item.visitCount + 1, lastVisitTime: NOW } : item));
+        const { engine: later, mock } = cached({ resultCache, items: visitedAgain });
+        assert.equal((await later.search(QUERY)).cachedAt, null);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    it("drops entries whose pages were deleted from history", async () => {
+        const { engine, resultCache } = cached();
+        await engine.search(QUERY);
+        await resultCache.removeUrls([PASTA]);
+        assert.equal((await engine.search(QUERY)).cachedAt, null);
+    });
+
+    it("caches neither fallbacks nor anything when turned off", async () => {
+        const failing = mockGeminiTransport(() => ({ status: 500 }));
+        const resultCache = new ResultCache(fakeStorageArea(), { now: () => NOW });
+        const { engine } = createEngine({ transport: failing, resultCache });
+        await engine.search(QUERY);
+        assert.deepEqual(await resultCache.load(), {});
+
+        const { engine: uncached, resultCache: unused } = cached({ settings: { resultCacheMinutes: 0 } });
+        await uncached.search(QUERY);
+        assert.deepEqual(await unused.load(), {});
+    });
+});
+
+describe("page sources", () => {
+    const PYTHON_DOCS = "https://docs.python.org/3/tutorial/index.html";
+    const CACIO = "https://food.example/cacio-e-pepe";
+    const range = { startTime: NOW - 30 * 24 * 60 * 60 * 1000, endTime: NOW, isDefault: true };
+    const items = mergeSourcePages(
+        history,
+        [
+            { url: PYTHON_DOCS, title: "The Python Tutorial", source: "tab", time: NOW },
+            { url: CACIO, title: "Cacio e pepe", source: "bookmark", time: NOW - 200 * 24 * 60 * 60 * 1000, folder: "Recipes / Italian" },
+        ],
+        range,
+        NOW
+    );
+
+    it("counts bookmark folder names as matches", () => {
+        const { engine } = createEngine({ items });
+        const [first] = engine.smartKeywordFilter("italian recipes", items);
+        assert.equal(first.url, CACIO);
+        assert.ok(first.scoreBreakdown.parts.folder > 0);
+        assert.ok(first.scoreBreakdown.matchedConcepts.some((concept) => concept.inFolder));
+    });
+
+    it("ranks open tabs first when the query asks for one", () => {
+        const { engine } = createEngine({ items });
+        assert.notEqual(engine.smartKeywordFilter("python", items)[0].url, PYTHON_DOCS);
+        assert.equal(engine.smartKeywordFilter("python tab I have open", items)[0].url, PYTHON_DOCS);
+    });
+
+    it("tells the models where a page was kept and carries the sources to the results", async () => {
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: [idAt(request, 1)] });
+            return JSON.stringify({ results: [{ id: idAt(request, 1), reason: "Filed under Italian recipes." }] });
+        });
+        const { engine } = createEngine({ items, transport });
+        const { results } = await engine.rank("italian recipes", items);
+
+        assert.deepEqual(promptCandidates(transport.requests[1].prompt)[0].keptIn, ["bookmark"]);
+        assert.deepEqual(promptCandidates(transport.requests[1].prompt)[0].bookmarkFolders, ["Recipes / Italian"]);
+        assert.deepEqual(results[0].sources, ["bookmark"]);
+        assert.deepEqual(results[0].bookmarkFolders, ["Recipes / Italian"]);
+    });
+});
+
+describe("near-duplicate URLs", () => {
+    it("are grouped before ranking, so they take one candidate slot and one result", async () => {
+        const variants = [
+            { url: "https://youtu.be/pasta01?si=share", title: "How to Cook Perfect Pasta Every Time - YouTube", visitCount: 2, lastVisitTime: NOW - 60 * 60 * 1000 },
+            { url: "https://m.youtube.com/watch?v=pasta01&t=95", title: "How to Cook Perfect Pasta Every Time - YouTube", visitCount: 1, lastVisitTime: NOW - 2 * 60 * 60 * 1000 },
+        ];
+        const transport = mockGeminiTransport((request) => {
+            if (request.model === "gemini-1.5-flash") return JSON.stringify({ ranking: promptCandidates(request.prompt).map((candidate) => candidate.id) });
+            return JSON.stringify({ results: promptCandidates(request.prompt).map((candidate) => ({ id: candidate.id, reason: "A pasta video." })) });
+        });
+        const { engine } = createEngine({ transport, items: [...history, ...variants] });
+        const { historyData, results } = await engine.search("youtube video about cooking pasta");
+
+        const original = history.find((item) => item.url === "https://www.youtube.com/watch?v=pasta01");
+        const video = historyData.find((item) => item.variants);
+        assert.equal(historyData.filter((item) => item.url.includes("pasta01")).length, 1);
+        assert.equal(video.visitCount, original.visitCount + 3);
+        assert.equal(video.lastVisitTime, NOW - 60 * 60 * 1000);
+
+        assert.equal(promptCandidates(transport.requests[0].prompt).filter((candidate) => candidate.title.startsWith("How to Cook Perfect Pasta")).length, 1);
+        assert.equal(results.filter((result) => result.title.startsWith("How to Cook Perfect Pasta")).length, 1);
+        assert.equal(results.find((result) => result.variants).variants.length, 3);
+    });
+});
+
+describe("setup", () => {
+    it("reports a missing Gemini key", () => {
+        const { engine } = createEngine({ settings: { geminiApiKey: "" } });
+        assert.equal(engine.setupError, "missingApiKey");
+        assert.equal(engine.isReady(), false);
+    });
+
+    it("needs no provider in offline mode", () => {
+        const { engine } = createEngine({ settings: { geminiApiKey: "", offlineMode: true } });
+        assert.equal(engine.setupError, null);
+        assert.equal(engine.isReady(), true);
+    });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ANALYSIS_SCHEMA, completeArrayItems, extractJson, parseStructured, RANKING_SCHEMA, validate } from "../src/structuredOutput.js";
+
+describe("extractJson", () => {
+    it("parses bare JSON", () => {
+        assert.deepEqual(extractJson(' {"ranking": ["a", "b"]} '), { ranking: ["a", "b"] });
+    });
+
+    it("finds JSON inside a code fence or prose", () => {
+        assert.deepEqual(extractJson('```json\n{"ranking": [3]}\n```'), { ranking: [3] });
+        assert.deepEqual(extractJson('Here you go: {"ranking": [4]} Hope that helps!'), { ranking: [4] });
+    });
+
+    it("throws when there is no JSON", () => {
+        assert.throws(() => extractJson("I couldn't find anything."), /No JSON found/);
+    });
+});
+
+describe("validate", () => {
+    it("accepts matching values", () => {
+        assert.deepEqual(validate({ results: [{ id: "p1a2b3c4d", reason: "Matches." }] }, ANALYSIS_SCHEMA), []);
+    });
+
+    it("reports wrong types and missing fields with their path", () => {
+        assert.deepEqual(validate({ results: [{ id: 1 }] }, ANALYSIS_SCHEMA), ["$.results[0].reason is missing", "$.results[0].id should be string, got integer"]);
+        assert.deepEqual(validate(["a", "b"], RANKING_SCHEMA), ["$ should be object, got array"]);
+        assert.deepEqual(validate({ ranking: [1.5] }, RANKING_SCHEMA), ["$.ranking[0] should be string, got number"]);
+    });
+});
+
+describe("parseStructured", () => {
+    it("returns the value or the problems", () => {
+        assert.deepEqual(parseStructured('{"ranking": ["b"]}', RANKING_SCHEMA), { value: { ranking: ["b"] } });
+        assert.deepEqual(parseStructured('{"order": ["b"]}', RANKING_SCHEMA), { errors: ["$.ranking is missing"] });
+        assert.match(parseStructured("{not json}", RANKING_SCHEMA).errors[0], /^Response is not valid JSON/);
+    });
+});
+
+describe("completeArrayItems", () => {
+    it("returns only the items that have fully streamed in", () => {
+        const text = '```json\n{"results": [{"id": "p1", "reason": "Has } and \\" inside"}, {"id": "p2", "reason": "Cut o';
+        assert.deepEqual(completeArrayItems(text, "results"), [{ id: "p1", reason: 'Has } and " inside' }]);
+    });
+
+    it("stops at the end of the array", () => {
+        assert.deepEqual(completeArrayItems('{"results": [{"id": "p1", "reason": "a"}], "other": [{"id": "x"}]}', "results"), [{ id: "p1", reason: "a" }]);
+        assert.deepEqual(completeArrayItems('{"resul', "results"), []);
+    });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { SearchEngine } from "../src/searchEngine.js";
+import { compileTaxonomy, DEFAULT_TAXONOMY, matchesDomain } from "../src/taxonomy.js";
+import { FixtureHistorySource, NOW, testSettings } from "./helpers.js";
+
+const JIRA = { kind: "platform", name: "jira", domains: ["jira.example.com"], keywords: ["jira", "ticket"] };
+
+function createEngine(customTaxonomy = []) {
+    return new SearchEngine({ settings: testSettings({ customTaxonomy }), historySource: new FixtureHistorySource([]), now: () => NOW });
+}
+
+const page = (url, title) => ({ url, title, lastVisitTime: NOW, visitCount: 1, typedCount: 0 });
+
+describe("compileTaxonomy", () => {
+    it("returns the built-in taxonomy when there are no custom entries", () => {
+        const taxonomy = compileTaxonomy();
+        assert.deepEqual(
+            taxonomy.platforms.map((platform) => platform.name),
+            DEFAULT_TAXONOMY.platforms.map((platform) => platform.name),
+        );
+        assert.ok(taxonomy.platforms.every((platform) => platform.pattern instanceof RegExp));
+    });
+
+    it("adds custom entries with default weights and matches their keywords as whole words", () => {
+        const taxonomy = compileTaxonomy([JIRA, { kind: "category", name: "podcast" }]);
+        const jira = taxonomy.platforms.find((platform) => platform.name === "jira");
+        assert.equal(jira.weight, 20);
+        assert.deepEqual(jira.keywords, ["jira", "ticket", "jira.example.com"]);
+        assert.ok(jira.pattern.test("that jira ticket about login"));
+        assert.ok(!jira.pattern.test("tickets"));
+
+        const podcast = taxonomy.categories.find((category) => category.name === "podcast");
+        assert.ok(podcast.pattern.test("a podcast about history"));
+    });
+
+    it("replaces a built-in entry with the same name", () => {
+        const taxonomy = compileTaxonomy([{ kind: "penalty", name: "general", domains: ["mail.example.com"], weight: 40 }]);
+        assert.deepEqual(taxonomy.penalties.find((penalty) => penalty.name === "general"), { name: "general", domains: ["mail.example.com"], penalty: 40 });
+    });
+
+    it("ignores entries without a name and penalties without domains", () => {
+        const taxonomy = compileTaxonomy([{ kind: "platform", name: " " }, { kind: "penalty", name: "nothing", domains: [] }]);
+        assert.equal(taxonomy.platforms.length, DEFAULT_TAXONOMY.platforms.length);
+        assert.equal(taxonomy.penalties.length, DEFAULT_TAXONOMY.penalties.length);
+    });
+
+    it("matches domains and their subdomains only", () => {
+        assert.ok(matchesDomain("x.com", ["x.com"]));
+        assert.ok(matchesDomain("mobile.x.com", ["x.com"]));
+        assert.ok(!matchesDomain("fox.com", ["x.com"]));
+    });
+});
+
+describe("keyword scoring with a custom taxonomy", () => {
+    it("keeps a custom platform's pages when a query names it", () => {
+        const engine = createEngine([JIRA]);
+        const history = [page("https://jira.example.com/browse/WEB-42", "Login fails after password reset"), page("https://github.com/example/web/issues/42", "Login fails after password reset")];
+        const results = engine.smartKeywordFilter("jira ticket login fails", history);
+        assert.deepEqual(
+            results.map((item) => item.url),
+            ["https://jira.example.com/browse/WEB-42"],
+        );
+        assert.ok(engine.platformNames().includes("jira"));
+    });
+
+    it("penalises a custom site unless the query asks for it", () => {
+        const withoutPenalty = createEngine();
+        const withPenalty = createEngine([{ kind: "penalty", name: "intranet", domains: ["intranet.example.com"], weight: 30 }]);
+        const url = "https://intranet.example.com/news";
+        const concepts = withPenalty.extractConcepts("company news");
+        assert.equal(withPenalty.getDomainScore(url, concepts), withoutPenalty.getDomainScore(url, concepts) - 30);
+    });
+
+    it("no longer penalises linkedin", () => {
+        const engine = createEngine();
+        assert.equal(engine.getDomainScore("https://www.linkedin.com/jobs/view/1", engine.extractConcepts("frontend jobs")), 0);
+    });
+});
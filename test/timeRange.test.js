@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseTimeRange } from "../src/timeRange.js";
+
+// Saturday 15 March 2025, noon local time
+const now = new Date(2025, 2, 15, 12);
+
+describe("parseTimeRange", () => {
+    it("defaults to the lookback window", () => {
+        const range = parseTimeRange("react docs", now, 30);
+        assert.equal(range.isDefault, true);
+        assert.equal(range.endTime - range.startTime, 30 * 24 * 60 * 60 * 1000);
+        assert.equal(range.text, "react docs");
+    });
+
+    it("parses yesterday and removes it from the query", () => {
+        const range = parseTimeRange("pasta recipe from yesterday", now);
+        assert.equal(range.startTime, new Date(2025, 2, 14).getTime());
+        assert.equal(range.endTime, new Date(2025, 2, 15).getTime());
+        assert.equal(range.text, "pasta recipe");
+    });
+
+    it("parses a weekday as its most recent occurrence", () => {
+        const range = parseTimeRange("the video I watched last tuesday", now);
+        assert.equal(range.startTime, new Date(2025, 2, 11).getTime());
+        assert.equal(range.label, "Tuesday (Mar 11)");
+    });
+
+    it("parses fuzzy relative ranges one unit either side", () => {
+        const range = parseTimeRange("article from a couple of weeks ago", now);
+        assert.equal(range.startTime, now.getTime() - 21 * 24 * 60 * 60 * 1000);
+        assert.equal(range.endTime, now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        assert.equal(range.text, "article");
+    });
+
+    it("treats a bare month as its most recent occurrence", () => {
+        const range = parseTimeRange("github repo in august", now);
+        assert.equal(range.startTime, new Date(2024, 7, 1).getTime());
+        assert.equal(range.endTime, new Date(2024, 8, 1).getTime());
+    });
+
+    it("reads a month after \"from\" or \"last\"", () => {
+        const may = { startTime: new Date(2024, 4, 1).getTime(), endTime: new Date(2024, 5, 1).getTime() };
+        for (const query of ["video from last may", "the article from May", "video last may"]) {
+            const range = parseTimeRange(query, now);
+            assert.deepEqual({ startTime: range.startTime, endTime: range.endTime }, may, query);
+        }
+        const march = parseTimeRange("notes from march", now);
+        assert.equal(march.startTime, new Date(2025, 2, 1).getTime());
+        assert.equal(march.text, "notes");
+        assert.equal(parseTimeRange("the article from May", now).text, "the article");
+        // "may" on its own is a verb
+        assert.equal(parseTimeRange("pages I may have read", now).isDefault, true);
+    });
+
+    it("labels a range that runs into the future by its searched part", () => {
+        const range = parseTimeRange("notes in march", now);
+        assert.equal(range.endTime, now.getTime());
+        assert.equal(range.label, "Mar 1 – Mar 15");
+        assert.equal(parseTimeRange("video from one day ago", now).label, "Mar 13 – Mar 15");
+    });
+
+    it("rejects days the month doesn't have", () => {
+        assert.equal(parseTimeRange("flights between the 28th and 30th of february", now).isDefault, true);
+        assert.equal(parseTimeRange("flights between the 28th and 31st of april", now).isDefault, true);
+        const range = parseTimeRange("flights between the 27th and 28th of february", now);
+        assert.equal(range.startTime, new Date(2025, 1, 27).getTime());
+        assert.equal(range.endTime, new Date(2025, 2, 1).getTime());
+    });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { clearUsage, dailyTotals, dayKey, estimateCost, loadUsage, recordUsage } from "../src/usage.js";
+import { fakeStorageArea, NOW } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const call = (overrides = {}) => ({ provider: "Gemini", model: "gemini-2.5-flash", promptTokens: 1000, outputTokens: 200, totalTokens: 1200, retries: 0, error: null, ...overrides });
+
+describe("estimateCost", () => {
+    it("prices known models per million tokens", () => {
+        assert.equal(estimateCost("gpt-4o-mini", 1e6, 1e6), 0.75);
+        assert.equal(estimateCost("llama3.2", 1e6, 1e6), null);
+    });
+});
+
+describe("usage storage", () => {
+    beforeEach(() => {
+        globalThis.chrome = { storage: { local: fakeStorageArea() } };
+    });
+
+    afterEach(() => {
+        delete globalThis.chrome;
+    });
+
+    it("totals calls per day and model, including concurrent ones", async () => {
+        await Promise.all([recordUsage(call(), NOW), recordUsage(call({ retries: 2 }), NOW), recordUsage(call({ error: "rateLimited", promptTokens: 0, outputTokens: 0, totalTokens: 0 }), NOW)]);
+        await recordUsage(call({ provider: "Local", model: "llama3.2" }), NOW);
+        await recordUsage(call(), NOW - DAY_MS);
+
+        const usage = await loadUsage();
+        assert.deepEqual(usage[dayKey(NOW)]["gemini-2.5-flash"], { provider: "Gemini", calls: 3, errors: 1, retries: 2, promptTokens: 2000, outputTokens: 400, totalTokens: 2400 });
+
+        const [today, yesterday] = dailyTotals(usage);
+        assert.equal(today.day, dayKey(NOW));
+        assert.equal(today.calls, 4);
+        assert.equal(today.unpricedTokens, 1200);
+        assert.equal(today.cost, estimateCost("gemini-2.5-flash", 2000, 400));
+        assert.equal(yesterday.calls, 1);
+
+        await clearUsage();
+        assert.deepEqual(await loadUsage(), {});
+    });
+});